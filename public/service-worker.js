@@ -0,0 +1,205 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for Bus Tracker.
+//
+// Offline support:
+//   - the app shell (index.html, the build's JS/CSS and the CDN stylesheets
+//     index.html pulls in) is precached on install, so /track and the other
+//     routes still load without a connection
+//   - OpenStreetMap tiles are cached as they are viewed, keeping the most
+//     recently used MAX_TILES so a passenger's usual area is available
+//     offline. Other tile providers' terms don't allow caching them, so the
+//     satellite layer only works online.
+// Route geometry and last known bus positions are cached by the app itself
+// (src/services/routing.js, src/services/offlineStops.js) since they come
+// from authenticated or POST requests this worker can't replay.
+//
+// Arrival alerts reach the passenger in two ways:
+//   - a Web Push message from the backend (works with the tab closed)
+//   - a SHOW_ALERT message from an open, possibly backgrounded, page that
+//     detected the condition itself from the live socket stream
+// Both use the same notification tag, so a passenger who gets both only
+// sees one notification.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const TILE_CACHE = `tiles-${CACHE_VERSION}`;
+const MAX_TILES = 800;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/icon.svg'];
+const CDN_URLS = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://cdn.tailwindcss.com'
+];
+const CDN_HOSTS = ['unpkg.com', 'cdn.tailwindcss.com', 'cdnjs.cloudflare.com'];
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+// asset-manifest.json is written by the build and lists the hashed bundles
+const getBuildAssets = async () => {
+  try {
+    const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+    if (!response.ok) return [];
+    const manifest = await response.json();
+    return Object.values(manifest.files || {}).filter((url) => !url.endsWith('.map'));
+  } catch {
+    return [];
+  }
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const assets = await getBuildAssets();
+  await cache.addAll([...new Set([...SHELL_URLS, ...assets])]);
+  // CDN responses are opaque, so add them one by one and tolerate failures
+  await Promise.all(CDN_URLS.map(async (url) => {
+    try {
+      const request = new Request(url, { mode: 'no-cors' });
+      await cache.put(request, await fetch(request));
+    } catch (error) {
+      console.warn('Could not precache', url, error);
+    }
+  }));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().catch((error) => console.error('Precache failed:', error)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key !== SHELL_CACHE && key !== TILE_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache API keys come back in insertion order; tiles are re-inserted on use,
+// so the oldest keys are the least recently viewed
+let trimming = null;
+const trimTileCache = () => {
+  if (trimming) return trimming;
+  trimming = caches.open(TILE_CACHE)
+    .then(async (cache) => {
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((key) => cache.delete(key)));
+    })
+    .finally(() => { trimming = null; });
+  return trimming;
+};
+
+const handleTile = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    cache.delete(request).then(() => cache.put(request, cached.clone()));
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimTileCache();
+  }
+  return response;
+};
+
+// Network first, falling back to the cache. Navigations are stored as
+// index.html since routing is client-side, so any route opens offline.
+const handleNetworkFirst = async (request, cacheKey = request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  } catch {
+    return (await cache.match(cacheKey)) || Response.error();
+  }
+};
+
+// Hashed bundles never change, so they are served straight from the cache;
+// CDN files are served from the cache and refreshed in the background
+const handleCacheFirst = async (request, revalidate) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached && !revalidate) return cached;
+
+  const network = fetch(request).then((response) => {
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+};
+
+const HASHED_ASSET = /\.[0-9a-f]{8}\.(chunk\.)?(js|css)$/;
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNetworkFirst(request, '/index.html'));
+  } else if (TILE_HOST.test(url.hostname)) {
+    event.respondWith(handleTile(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleCacheFirst(request, true));
+  } else if (url.origin === self.location.origin && HASHED_ASSET.test(url.pathname)) {
+    event.respondWith(handleCacheFirst(request, false));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/static/') || SHELL_URLS.includes(url.pathname))) {
+    // Unhashed files (the development bundle, manifest, icon)
+    event.respondWith(handleNetworkFirst(request));
+  }
+});
+
+const showAlert = (alert) =>
+  self.registration.showNotification(alert.title || 'Bus Tracker', {
+    body: alert.body || '',
+    tag: alert.tag,
+    renotify: Boolean(alert.tag),
+    icon: '/icon.svg',
+    badge: '/icon.svg',
+    vibrate: [200, 100, 200],
+    data: { url: alert.url || '/passenger' }
+  });
+
+self.addEventListener('push', (event) => {
+  let alert = {};
+  try {
+    alert = event.data ? event.data.json() : {};
+  } catch {
+    alert = { body: event.data ? event.data.text() : '' };
+  }
+  event.waitUntil(showAlert(alert));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SHOW_ALERT') {
+    event.waitUntil(showAlert(event.data.alert || {}));
+  }
+});
+
+// Focus an open tracker tab if there is one, otherwise open the alert's page
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const targetUrl = new URL(event.notification.data?.url || '/passenger', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.focus().then((client) => (client.url === targetUrl ? client : client.navigate(targetUrl)));
+      }
+      return self.clients.openWindow(targetUrl);
+    })
+  );
+});
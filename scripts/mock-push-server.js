@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Local stand-in for the backend's arrival alert endpoints, for trying out
+// Web Push alerts without the real server.
+//
+//   npm run mock:push
+//
+// Then start the app with REACT_APP_VAPID_PUBLIC_KEY set to the key printed
+// on startup and REACT_APP_API_URL=http://localhost:5050 (or proxy just the
+// /api/passenger/alerts routes to it), set an alert from the tracking view
+// and feed it positions:
+//
+//   curl -X POST localhost:5050/api/mock/locations \
+//     -H 'Content-Type: application/json' \
+//     -d '{"busId":"<id>","latitude":11.0168,"longitude":76.9558,"speed":30}'
+//
+// or force one alert out with POST /api/mock/alerts/<alertId>/push.
+//
+// Set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY to keep the same keys between runs.
+//
+// src/services/pushAlerts.test.js starts it through createMockPushServer().
+
+const http = require('http');
+const crypto = require('crypto');
+const webpush = require('web-push');
+
+const PORT = Number(process.env.MOCK_PUSH_PORT) || 5050;
+// Same fallbacks the app uses for ETAs (src/utils/eta.js)
+const ROAD_DETOUR_FACTOR = 1.25;
+const MIN_SPEED_KMH = 8;
+
+const vapidKeys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+  ? { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY }
+  : webpush.generateVAPIDKeys();
+
+webpush.setVapidDetails('mailto:alerts@localhost', vapidKeys.publicKey, vapidKeys.privateKey);
+
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const sendJson = (req, res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': req.headers.origin || '*',
+    'Access-Control-Allow-Credentials': 'true'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Alerts live in memory, one set per server
+const createMockPushServer = () => {
+  const alerts = new Map();
+
+  const sendPush = async (alert, distanceKm, minutes) => {
+    const payload = {
+      title: '🚌 Your bus is almost here',
+      body: alert.thresholdType === 'km'
+        ? `About ${distanceKm.toFixed(1)} km from stop ${alert.stopCode}`
+        : `About ${Math.max(1, Math.round(minutes))} min from stop ${alert.stopCode}`,
+      tag: alert.tag,
+      url: `/passenger?stop=${encodeURIComponent(alert.stopCode)}`
+    };
+
+    try {
+      await webpush.sendNotification(alert.subscription, JSON.stringify(payload));
+      console.log(`📨 Push sent for alert ${alert._id}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Push failed for alert ${alert._id}:`, error.statusCode || '', error.body || error.message);
+      // The browser unsubscribed; the alert can never be delivered
+      if (error.statusCode === 404 || error.statusCode === 410) alerts.delete(alert._id);
+      return false;
+    }
+  };
+
+  const handleLocation = async ({ busId, latitude, longitude, speed }) => {
+    const sent = [];
+
+    for (const alert of alerts.values()) {
+      if (alert.busId !== busId || !alert.stopLocation) continue;
+
+      const distanceKm = calculateDistance(
+        Number(latitude), Number(longitude),
+        alert.stopLocation.latitude, alert.stopLocation.longitude
+      ) * ROAD_DETOUR_FACTOR;
+      const minutes = (distanceKm / Math.max(MIN_SPEED_KMH, Number(speed) || 0)) * 60;
+      const isDue = alert.thresholdType === 'km' ? distanceKm <= alert.threshold : minutes <= alert.threshold;
+
+      if (isDue && await sendPush(alert, distanceKm, minutes)) {
+        alerts.delete(alert._id);
+        sent.push(alert._id);
+      }
+    }
+
+    return sent;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method === 'POST' && pathname === '/api/passenger/alerts') {
+        const body = await readBody(req);
+        if (!body.subscription?.endpoint || !body.busId || !body.stopCode) {
+          sendJson(req, res, 400, { message: 'subscription, busId and stopCode are required' });
+          return;
+        }
+        const alert = { _id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...body };
+        alerts.set(alert._id, alert);
+        console.log(`🔔 Alert ${alert._id}: bus ${alert.busId}, ${alert.threshold} ${alert.thresholdType} from ${alert.stopCode}`);
+        sendJson(req, res, 201, { alert });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/api/passenger/alerts') {
+        sendJson(req, res, 200, { alerts: [...alerts.values()] });
+        return;
+      }
+
+      const alertMatch = /^\/api\/passenger\/alerts\/([^/]+)$/.exec(pathname);
+      if (req.method === 'DELETE' && alertMatch) {
+        alerts.delete(alertMatch[1]);
+        sendJson(req, res, 200, { message: 'Alert cancelled' });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === '/api/mock/locations') {
+        const sent = await handleLocation(await readBody(req));
+        sendJson(req, res, 200, { sent });
+        return;
+      }
+
+      const pushMatch = /^\/api\/mock\/alerts\/([^/]+)\/push$/.exec(pathname);
+      if (req.method === 'POST' && pushMatch) {
+        const alert = alerts.get(pushMatch[1]);
+        if (!alert) {
+          sendJson(req, res, 404, { message: 'Alert not found' });
+          return;
+        }
+        sendJson(req, res, 200, { sent: await sendPush(alert, 0, 0) });
+        return;
+      }
+
+      sendJson(req, res, 404, { message: `No mock route for ${req.method} ${pathname}` });
+    } catch (error) {
+      sendJson(req, res, 400, { message: error.message });
+    }
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  createMockPushServer().listen(PORT, () => {
+    console.log(`🚀 Mock push server on http://localhost:${PORT}`);
+    console.log(`🔑 REACT_APP_VAPID_PUBLIC_KEY=${vapidKeys.publicKey}`);
+  });
+}
+
+module.exports = { createMockPushServer, vapidKeys };
@@ -1,45 +1,52 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { SocketProvider } from './context/SocketContext';
 import Login from './pages/Login';
 import Register from './pages/Register';  
 import AdminPage from './pages/AdminPage';
 import DriverPage from './pages/DriverPage';
 import PassengerPage from './pages/PassengerPage';
 import PrivateRoute from './components/common/PrivateRoute';
+import SessionExpiredModal from './components/common/SessionExpiredModal';
 import ConnectionTest from './pages/ConnectionTest';
+import GtfsRealtimeTest from './pages/GtfsRealtimeTest';
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} /> 
+      <SocketProvider>
+        <Router>
+          <SessionExpiredModal />
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} /> 
           
-          <Route path="/track" element={<PassengerPage />} />
-          <Route path="/passenger" element={<PassengerPage />} />
+            <Route path="/track" element={<PassengerPage />} />
+            <Route path="/passenger" element={<PassengerPage />} />
           
-          <Route 
-            path="/admin/*" 
-            element={
-              <PrivateRoute role="admin">
-                <AdminPage />
-              </PrivateRoute>
-            } 
-          />
+            <Route 
+              path="/admin/*" 
+              element={
+                <PrivateRoute role="admin">
+                  <AdminPage />
+                </PrivateRoute>
+              } 
+            />
           
-          <Route 
-            path="/driver/*" 
-            element={
-              <PrivateRoute role="driver">
-                <DriverPage />
-              </PrivateRoute>
-            } 
-          />
-          <Route path="/test" element={<ConnectionTest />} />
-          <Route path="/" element={<Navigate to="/login" />} />
-        </Routes>
-      </Router>
+            <Route 
+              path="/driver/*" 
+              element={
+                <PrivateRoute role="driver">
+                  <DriverPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route path="/test" element={<ConnectionTest />} />
+            <Route path="/test/gtfs-rt" element={<GtfsRealtimeTest />} />
+            <Route path="/" element={<Navigate to="/login" />} />
+          </Routes>
+        </Router>
+      </SocketProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { X, Gauge, Clock3, User, MapPin, Wifi, WifiOff, Navigation2 } from 'lucide-react';
+import AnimatedBusMarker, { getBusIcon } from '../common/AnimatedBusMarker';
+import { useSocket } from '../../context/SocketContext';
+import { getRouteColor } from '../../utils/routeColors';
+import { clusterByDistance } from '../../utils/mapClusters';
+import { hasValidCoordinates } from '../../utils/geo';
+import { getDirectionStops, getDirectionLabel } from '../../utils/routeDirections';
+import { getStoredRouteCoordinates } from '../../utils/routeGeometry';
+import { buildRouteReference, locateOnRoute, getRouteProgress, getDistanceToStop } from '../../utils/linearReferencing';
+import 'leaflet/dist/leaflet.css';
+
+// Buses come out of their clusters from this zoom in
+const CLUSTER_MAX_ZOOM = 15;
+const CLUSTER_RADIUS_PX = 60;
+// Same cut-off the live dashboard uses for a stale signal
+export const SIGNAL_STALE_MS = 2 * 60 * 1000;
+const STALE_COLOR = '#9CA3AF';
+// Further than this from the route line the bus is shown as off route
+const OFF_ROUTE_KM = 0.15;
+
+export const isSignalStale = (bus, now = Date.now()) =>
+  !bus.lastUpdate || now - new Date(bus.lastUpdate).getTime() > SIGNAL_STALE_MS;
+
+const clusterIcons = new Map();
+
+const getClusterIcon = (count) => {
+  if (!clusterIcons.has(count)) {
+    const size = count < 10 ? 36 : count < 100 ? 42 : 48;
+    clusterIcons.set(count, new L.divIcon({
+      html: `<div style="background: rgba(15, 23, 42, 0.85); border: 3px solid white; border-radius: 50%; width: ${size}px; height: ${size}px; display: flex; align-items: center; justify-content: center; color: white; font-weight: 700; font-size: 14px; box-shadow: 0 2px 8px rgba(0,0,0,0.35);">${count}</div>`,
+      className: '',
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    }));
+  }
+  return clusterIcons.get(count);
+};
+
+const toLatLng = (bus) => [Number(bus.currentLocation.latitude), Number(bus.currentLocation.longitude)];
+
+const formatAge = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 10) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+};
+
+const getBusDirection = (bus) => bus.direction || bus.activeTrip?.direction || 'outbound';
+
+// How far along its trip `bus` is: share of the route driven, the next stop
+// and the distance to it, measured along the route line
+const getTripProgress = (route, bus) => {
+  const stops = getDirectionStops(route, getBusDirection(bus));
+  if (stops.length < 2 || !hasValidCoordinates(bus.currentLocation)) return null;
+
+  const reference = buildRouteReference(getStoredRouteCoordinates(route, stops), stops);
+  const located = locateOnRoute(reference, bus.currentLocation);
+  if (!reference || !located) return null;
+
+  const progress = getRouteProgress(reference, located.chainageKm, 'forward');
+  let nextIndex = -1;
+  stops.forEach((stop, index) => {
+    const distanceKm = getDistanceToStop(progress, index);
+    if (distanceKm > 0 && (nextIndex < 0 || distanceKm < getDistanceToStop(progress, nextIndex))) nextIndex = index;
+  });
+
+  return {
+    line: reference.line,
+    percent: reference.lengthKm > 0 ? Math.min(100, Math.round((progress.busKm / reference.lengthKm) * 100)) : 0,
+    remainingKm: Math.max(0, reference.lengthKm - progress.busKm),
+    nextStop: stops[nextIndex] || null,
+    nextStopKm: nextIndex >= 0 ? getDistanceToStop(progress, nextIndex) : null,
+    offRoute: located.offRouteKm > OFF_ROUTE_KM
+  };
+};
+
+function FitToFleet({ buses }) {
+  const map = useMap();
+  const fittedRef = useRef(false);
+
+  useEffect(() => {
+    if (fittedRef.current || buses.length === 0) return;
+    map.fitBounds(buses.map(toLatLng), { padding: [40, 40], maxZoom: 14 });
+    fittedRef.current = true;
+  }, [buses, map]);
+
+  return null;
+}
+
+// Pans to a bus when it is picked from the list, not on every update
+function FocusBus({ bus }) {
+  const map = useMap();
+  const busId = bus?._id;
+
+  useEffect(() => {
+    if (!bus) return;
+    map.flyTo(toLatLng(bus), Math.max(map.getZoom(), CLUSTER_MAX_ZOOM), { duration: 0.8 });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [busId, map]);
+
+  return null;
+}
+
+function FleetMarkers({ buses, getRoute, now, selectedId, onSelect }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const clusters = useMemo(() => (
+    zoom >= CLUSTER_MAX_ZOOM
+      ? buses.map((bus) => ({ items: [bus] }))
+      : clusterByDistance(buses, (bus) => map.project(toLatLng(bus), zoom), CLUSTER_RADIUS_PX)
+  ), [buses, zoom, map]);
+
+  return clusters.map(({ items }) => {
+    if (items.length === 1) {
+      const bus = items[0];
+      const color = isSignalStale(bus, now) ? STALE_COLOR : getRouteColor(getRoute(bus));
+      return (
+        <AnimatedBusMarker
+          key={bus._id}
+          position={toLatLng(bus)}
+          heading={bus.heading}
+          icon={getBusIcon({ color, label: bus.busNumber, size: bus._id === selectedId ? 38 : 30 })}
+          eventHandlers={{ click: () => onSelect(bus._id) }}
+        />
+      );
+    }
+
+    const positions = items.map(toLatLng);
+    const center = [
+      positions.reduce((sum, [lat]) => sum + lat, 0) / positions.length,
+      positions.reduce((sum, [, lng]) => sum + lng, 0) / positions.length
+    ];
+    return (
+      <Marker
+        key={`cluster-${items[0]._id}`}
+        position={center}
+        icon={getClusterIcon(items.length)}
+        eventHandlers={{ click: () => map.fitBounds(positions, { padding: [60, 60], maxZoom: CLUSTER_MAX_ZOOM }) }}
+      />
+    );
+  });
+}
+
+// Full-screen map of every active bus. `buses` is the live-dashboard list,
+// kept current by the page from the fleet room's socket events.
+const FleetMap = ({ buses, routes, onClose }) => {
+  const { status: socketStatus } = useSocket();
+  const [selectedId, setSelectedId] = useState(null);
+  const [focusId, setFocusId] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Ages tick on screen between updates
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const routeById = useMemo(() => new Map(routes.map((route) => [route._id, route])), [routes]);
+  // Dashboard buses carry a summary of their route; the route list has its stops
+  const getRoute = (bus) => routeById.get(bus.route?._id || bus.route) || bus.route;
+
+  const mappedBuses = useMemo(() => buses.filter((bus) => hasValidCoordinates(bus.currentLocation)), [buses]);
+  const sortedBuses = useMemo(
+    () => [...buses].sort((a, b) => String(a.busNumber || '').localeCompare(String(b.busNumber || ''), undefined, { numeric: true })),
+    [buses]
+  );
+  const staleCount = buses.filter((bus) => isSignalStale(bus, now)).length;
+
+  const selectedBus = buses.find((bus) => bus._id === selectedId) || null;
+  const selectedRoute = selectedBus ? getRoute(selectedBus) : null;
+  const tripProgress = useMemo(
+    () => (selectedBus ? getTripProgress(selectedRoute, selectedBus) : null),
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+    [selectedId, selectedRoute, selectedBus?.currentLocation?.latitude, selectedBus?.currentLocation?.longitude, selectedBus?.direction]
+  );
+
+  const pickBus = (busId) => {
+    setSelectedId(busId);
+    setFocusId(busId);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col">
+      <div className="px-5 py-4 border-b flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">Fleet Map</h3>
+          <p className="text-sm text-gray-500">
+            {buses.length} active bus{buses.length === 1 ? '' : 'es'}
+            {staleCount > 0 && ` • ${staleCount} with a stale signal`}
+            {mappedBuses.length < buses.length && ` • ${buses.length - mappedBuses.length} without GPS yet`}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className={`flex items-center gap-1.5 text-sm font-semibold px-3 py-1.5 rounded-full ${
+            socketStatus === 'connected' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+          }`}>
+            {socketStatus === 'connected' ? <Wifi size={14} /> : <WifiOff size={14} />}
+            {socketStatus === 'connected' ? 'Live' : 'Reconnecting...'}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close fleet map">
+            <X size={24} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex flex-col md:flex-row min-h-0">
+        <div className="flex-1 min-h-[50vh]">
+          {mappedBuses.length === 0 ? (
+            <div className="h-full flex items-center justify-center text-gray-500 p-6 text-center">
+              No bus is reporting a position yet. Buses appear here as soon as their drivers start sharing.
+            </div>
+          ) : (
+            <MapContainer center={toLatLng(mappedBuses[0])} zoom={13} style={{ height: '100%', width: '100%' }}>
+              <TileLayer
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+              />
+              <FitToFleet buses={mappedBuses} />
+              <FocusBus bus={mappedBuses.find((bus) => bus._id === focusId)} />
+              {tripProgress?.line && (
+                <Polyline positions={tripProgress.line} color={getRouteColor(selectedRoute)} weight={5} opacity={0.6} />
+              )}
+              <FleetMarkers
+                buses={mappedBuses}
+                getRoute={getRoute}
+                now={now}
+                selectedId={selectedId}
+                onSelect={setSelectedId}
+              />
+            </MapContainer>
+          )}
+        </div>
+
+        <aside className="w-full md:w-96 border-t md:border-t-0 md:border-l bg-gray-50 overflow-y-auto max-h-[40vh] md:max-h-none">
+          {selectedBus ? (
+            <div className="p-5 space-y-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="text-lg font-bold text-gray-900">{selectedBus.busName || 'Bus'}</p>
+                  <p className="text-sm text-gray-500">{selectedBus.busNumber}</p>
+                </div>
+                <button onClick={() => pickBus(null)} className="text-sm font-semibold text-blue-600 hover:text-blue-800">
+                  All buses
+                </button>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <span className="w-3 h-3 rounded-full" style={{ background: getRouteColor(selectedRoute) }}></span>
+                <div>
+                  <p className="font-medium text-gray-800">{selectedRoute?.routeName || 'No route'}</p>
+                  {selectedRoute?.stops?.length > 0 && (
+                    <p className="text-xs text-gray-500">{getDirectionLabel(selectedRoute, getBusDirection(selectedBus))}</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="bg-white border rounded-xl p-3">
+                  <p className="text-xs text-gray-500 flex items-center gap-1"><Gauge size={12} /> Speed</p>
+                  <p className="text-lg font-bold text-gray-900">
+                    {Number.isFinite(Number(selectedBus.speed)) ? `${Math.round(Number(selectedBus.speed))} km/h` : '—'}
+                  </p>
+                </div>
+                <div className="bg-white border rounded-xl p-3">
+                  <p className="text-xs text-gray-500 flex items-center gap-1"><Clock3 size={12} /> Last seen</p>
+                  <p className={`text-lg font-bold ${isSignalStale(selectedBus, now) ? 'text-amber-600' : 'text-gray-900'}`}>
+                    {selectedBus.lastUpdate ? formatAge(now - new Date(selectedBus.lastUpdate).getTime()) : 'Never'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="bg-white border rounded-xl p-3">
+                <p className="text-xs text-gray-500 flex items-center gap-1 mb-1"><User size={12} /> Driver</p>
+                <p className="font-medium text-gray-800">{selectedBus.driver?.name || 'Unassigned'}</p>
+                <p className="text-sm text-gray-500">{selectedBus.driver?.phone || selectedBus.driver?.email || 'No contact'}</p>
+              </div>
+
+              <div className="bg-white border rounded-xl p-3">
+                <p className="text-xs text-gray-500 flex items-center gap-1 mb-1"><Navigation2 size={12} /> Trip</p>
+                {selectedBus.activeTrip ? (
+                  <p className="font-medium text-gray-800">
+                    Started {new Date(selectedBus.activeTrip.startTime).toLocaleTimeString()}
+                    <span className="text-sm font-normal text-gray-500"> ({formatAge(now - new Date(selectedBus.activeTrip.startTime).getTime())})</span>
+                  </p>
+                ) : (
+                  <p className="text-gray-400">No active trip</p>
+                )}
+              </div>
+
+              <div className="bg-white border rounded-xl p-3">
+                <p className="text-xs text-gray-500 flex items-center gap-1 mb-2"><MapPin size={12} /> Route progress</p>
+                {tripProgress ? (
+                  <div className="space-y-2">
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full rounded-full" style={{ width: `${tripProgress.percent}%`, background: getRouteColor(selectedRoute) }}></div>
+                    </div>
+                    <p className="text-sm text-gray-700">
+                      {tripProgress.percent}% complete • {tripProgress.remainingKm.toFixed(1)} km to go
+                    </p>
+                    {tripProgress.nextStop && (
+                      <p className="text-sm text-gray-700">
+                        Next: <span className="font-semibold">{tripProgress.nextStop.stopName}</span> in {tripProgress.nextStopKm.toFixed(1)} km
+                      </p>
+                    )}
+                    {tripProgress.offRoute && (
+                      <span className="inline-flex px-3 py-1 rounded-full text-xs font-semibold bg-amber-100 text-amber-800">Off route</span>
+                    )}
+                  </div>
+                ) : (
+                  <p className="text-gray-400 text-sm">Needs a GPS position and a route with stops</p>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="divide-y">
+              {sortedBuses.length === 0 ? (
+                <p className="p-5 text-gray-500">No active buses.</p>
+              ) : (
+                sortedBuses.map((bus) => {
+                  const stale = isSignalStale(bus, now);
+                  return (
+                    <button
+                      key={bus._id}
+                      onClick={() => pickBus(bus._id)}
+                      disabled={!hasValidCoordinates(bus.currentLocation)}
+                      className="w-full text-left px-5 py-3 hover:bg-white transition flex items-center gap-3 disabled:opacity-60"
+                    >
+                      <span className="w-3 h-3 rounded-full shrink-0" style={{ background: stale ? STALE_COLOR : getRouteColor(getRoute(bus)) }}></span>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-gray-900 truncate">{bus.busNumber} • {bus.busName}</p>
+                        <p className="text-xs text-gray-500 truncate">{getRoute(bus)?.routeName || 'No route'} • {bus.driver?.name || 'Unassigned'}</p>
+                      </div>
+                      <p className={`text-xs shrink-0 ${stale ? 'text-amber-600' : 'text-gray-500'}`}>
+                        {bus.lastUpdate ? formatAge(now - new Date(bus.lastUpdate).getTime()) : 'No GPS'}
+                      </p>
+                    </button>
+                  );
+                })
+              )}
+            </div>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default FleetMap;
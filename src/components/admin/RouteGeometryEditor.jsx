@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import { getChunkedRoute } from '../../services/routing';
+import {
+  isGeometryCurrent,
+  buildRoutingPoints,
+  keepValidWaypoints,
+  compactCoordinates
+} from '../../utils/routeGeometry';
+import { calculateDistance, hasValidCoordinates } from '../../utils/geo';
+import 'leaflet/dist/leaflet.css';
+
+const numberedStopIcon = (number) => new L.divIcon({
+  html: `<div style="background:#2563EB;border:2px solid white;border-radius:50%;width:24px;height:24px;display:flex;align-items:center;justify-content:center;color:white;font-size:11px;font-weight:700;box-shadow:0 2px 4px rgba(0,0,0,0.3);">${number}</div>`,
+  className: '',
+  iconSize: [24, 24],
+  iconAnchor: [12, 12]
+});
+
+const handleIcon = new L.divIcon({
+  html: '<div style="background:white;border:2px solid #2563EB;border-radius:50%;width:14px;height:14px;opacity:0.85;cursor:grab;"></div>',
+  className: '',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7]
+});
+
+const waypointIcon = new L.divIcon({
+  html: '<div style="background:#F59E0B;border:2px solid white;border-radius:50%;width:16px;height:16px;box-shadow:0 2px 4px rgba(0,0,0,0.3);cursor:grab;"></div>',
+  className: '',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+function FitToStops({ stops, stopKey }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (stops.length === 0) return;
+    map.fitBounds(stops.map((stop) => [stop.location.latitude, stop.location.longitude]), { padding: [30, 30] });
+    // Only refit when the stop list itself changes, not on every geometry update
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [stopKey, map]);
+
+  return null;
+}
+
+// Drag handle sits on the drawn road nearest to the middle of each segment
+const nearestVertex = (coordinates, latitude, longitude) => {
+  let best = [latitude, longitude];
+  let bestDistance = Infinity;
+  coordinates.forEach(([lat, lng]) => {
+    const distance = calculateDistance(latitude, longitude, lat, lng);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = [lat, lng];
+    }
+  });
+  return best;
+};
+
+const RouteGeometryEditor = ({ stops, geometry, onChange }) => {
+  const [calculating, setCalculating] = useState(false);
+  const [isFallback, setIsFallback] = useState(false);
+  // Straight-line preview while the routing server is unreachable; never saved
+  const [fallbackCoordinates, setFallbackCoordinates] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const validStops = useMemo(
+    () => (stops || []).filter((stop) => hasValidCoordinates(stop?.location)),
+    [stops]
+  );
+  const stopKey = validStops.map((stop) => stop._id).join('|');
+
+  const recalculate = useCallback(async (waypoints) => {
+    if (validStops.length < 2) return;
+
+    const requestId = ++requestIdRef.current;
+    const keptWaypoints = keepValidWaypoints(waypoints, validStops);
+    setCalculating(true);
+
+    try {
+      const result = await getChunkedRoute(buildRoutingPoints(validStops, keptWaypoints));
+      // A newer edit started while this one was in flight
+      if (requestId !== requestIdRef.current) return;
+
+      // No routing server configured draws straight lines too
+      const isStraight = result.isFallback || result.provider === 'straight';
+      setIsFallback(isStraight);
+      if (isStraight) {
+        // Saved without a line, so drivers and passengers route it themselves
+        // and the editor tries again next time; via points are kept for that
+        setFallbackCoordinates(result.coordinates);
+        onChange(keptWaypoints.length > 0 ? { waypoints: keptWaypoints } : null);
+        return;
+      }
+
+      setFallbackCoordinates(null);
+      onChange({
+        stopIds: validStops.map((stop) => stop._id),
+        waypoints: keptWaypoints,
+        coordinates: compactCoordinates(result.coordinates),
+        distanceKm: Number(result.distanceKm.toFixed(2)),
+        provider: result.provider,
+        computedAt: new Date().toISOString()
+      });
+    } finally {
+      if (requestId === requestIdRef.current) setCalculating(false);
+    }
+  }, [validStops, onChange]);
+
+  // Saved geometry is reused as long as the stop order hasn't changed
+  useEffect(() => {
+    if (validStops.length < 2) return;
+    if (isGeometryCurrent(geometry, validStops)) return;
+    recalculate(geometry?.waypoints);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [stopKey]);
+
+  const setSegmentWaypoint = (fromStop, toStop, latLng) => {
+    const others = (geometry?.waypoints || []).filter(
+      (item) => !(item.fromStopId === fromStop._id && item.toStopId === toStop._id)
+    );
+    recalculate(latLng
+      ? [...others, { fromStopId: fromStop._id, toStopId: toStop._id, latitude: latLng.lat, longitude: latLng.lng }]
+      : others);
+  };
+
+  if (validStops.length < 2) {
+    return (
+      <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 text-sm text-gray-500 text-center">
+        Add at least two stops to preview the road route.
+      </div>
+    );
+  }
+
+  const coordinates = geometry?.coordinates || fallbackCoordinates || [];
+  const waypoints = geometry?.waypoints || [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm text-gray-600">
+          🛣️ Road route
+          {geometry?.distanceKm ? ` • ${geometry.distanceKm} km` : ''}
+          {calculating && <span className="text-blue-600 ml-2">Calculating...</span>}
+        </p>
+        <button
+          type="button"
+          onClick={() => recalculate(waypoints)}
+          disabled={calculating}
+          className="flex items-center gap-1 text-sm font-semibold text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          <RefreshCw size={14} className={calculating ? 'animate-spin' : ''} />
+          Recalculate
+        </button>
+      </div>
+
+      <div className="h-72 rounded-lg overflow-hidden border-2 border-gray-300">
+        <MapContainer
+          center={[validStops[0].location.latitude, validStops[0].location.longitude]}
+          zoom={13}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          />
+          <FitToStops stops={validStops} stopKey={stopKey} />
+
+          {coordinates.length > 1 && (
+            <Polyline positions={coordinates} color="#2563EB" weight={5} opacity={0.7} />
+          )}
+
+          {validStops.map((stop, index) => (
+            <Marker
+              key={stop._id}
+              position={[stop.location.latitude, stop.location.longitude]}
+              icon={numberedStopIcon(index + 1)}
+            >
+              <Popup>
+                <strong>Stop {index + 1}: {stop.stopName}</strong><br />
+                {stop.stopCode}
+              </Popup>
+            </Marker>
+          ))}
+
+          {!calculating && validStops.slice(0, -1).map((stop, index) => {
+            const next = validStops[index + 1];
+            const waypoint = waypoints.find((item) => item.fromStopId === stop._id && item.toStopId === next._id);
+            const position = waypoint
+              ? [waypoint.latitude, waypoint.longitude]
+              : nearestVertex(
+                  coordinates,
+                  (stop.location.latitude + next.location.latitude) / 2,
+                  (stop.location.longitude + next.location.longitude) / 2
+                );
+
+            return (
+              <Marker
+                key={`${stop._id}-${next._id}-${waypoint ? 'via' : 'handle'}`}
+                position={position}
+                icon={waypoint ? waypointIcon : handleIcon}
+                draggable
+                eventHandlers={{
+                  dragend: (e) => setSegmentWaypoint(stop, next, e.target.getLatLng())
+                }}
+              >
+                {waypoint && (
+                  <Popup>
+                    <p className="text-sm font-semibold mb-2">Via point: {stop.stopName} → {next.stopName}</p>
+                    <button
+                      type="button"
+                      onClick={() => setSegmentWaypoint(stop, next, null)}
+                      className="text-sm font-semibold text-red-600 hover:text-red-800"
+                    >
+                      Remove via point
+                    </button>
+                  </Popup>
+                )}
+              </Marker>
+            );
+          })}
+        </MapContainer>
+      </div>
+
+      {isFallback && !calculating && (
+        <div className="mt-2 flex items-center gap-2 p-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+          <AlertTriangle size={14} className="shrink-0" />
+          No road route is available (the routing server is unreachable or not configured), so this preview uses straight lines and the route will be saved without a road line. Recalculate before saving if possible.
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">
+        Drag the white handles onto the streets the bus really takes; orange via points can be removed from their popup.
+        The route is saved with this geometry so drivers and passengers don't recalculate it.
+      </p>
+    </div>
+  );
+};
+
+export default RouteGeometryEditor;
@@ -0,0 +1,156 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { AlertTriangle } from 'lucide-react';
+import { findBacktrackingSegments, hasValidCoordinates } from '../../utils/geo';
+import 'leaflet/dist/leaflet.css';
+
+const availableStopIcon = new L.divIcon({
+  html: '<div style="background:#9CA3AF;border:2px solid white;border-radius:50%;width:16px;height:16px;box-shadow:0 1px 3px rgba(0,0,0,0.3);cursor:pointer;"></div>',
+  className: '',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+// `label` is the stop's number, or numbers when the route visits it more
+// than once (e.g. "1/8" for the shared first and last stop of a loop)
+const selectedStopIcon = (label) => new L.divIcon({
+  html: `<div style="background:#2563EB;border:2px solid white;border-radius:9999px;min-width:24px;height:24px;padding:0 4px;display:flex;align-items:center;justify-content:center;color:white;font-size:11px;font-weight:700;white-space:nowrap;box-shadow:0 2px 4px rgba(0,0,0,0.3);transform:translateX(-50%);margin-left:12px;">${label}</div>`,
+  className: '',
+  iconSize: [24, 24],
+  iconAnchor: [12, 12]
+});
+
+function FitToAllStops({ stops }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (stops.length === 0) return;
+    map.fitBounds(stops.map((stop) => [stop.location.latitude, stop.location.longitude]), { padding: [30, 30] });
+  }, [stops, map]);
+
+  return null;
+}
+
+// `onRemoveStop` gets the stop's index in `selectedStopIds`
+const RouteStopMap = ({ busStops, selectedStopIds, onAddStop, onRemoveStop }) => {
+  const mappableStops = useMemo(
+    () => (busStops || []).filter((stop) => hasValidCoordinates(stop.location)),
+    [busStops]
+  );
+
+  // Mappable stops in route order, each with its index in `selectedStopIds`
+  // so numbers and removals refer to the full list, not the mappable part
+  const orderedEntries = useMemo(
+    () => (selectedStopIds || [])
+      .map((stopId, routeIndex) => ({ stop: mappableStops.find((stop) => stop._id === stopId), routeIndex }))
+      .filter((entry) => entry.stop),
+    [selectedStopIds, mappableStops]
+  );
+  const orderedStops = useMemo(() => orderedEntries.map((entry) => entry.stop), [orderedEntries]);
+
+  const backtracking = useMemo(
+    () => findBacktrackingSegments(orderedStops.map((stop) => stop.location)),
+    [orderedStops]
+  );
+
+  if (mappableStops.length === 0) return null;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-2">🗺️ Click a grey stop on the map to add it to the end of the route:</p>
+      <div className="h-72 rounded-lg overflow-hidden border-2 border-gray-300">
+        <MapContainer
+          center={[mappableStops[0].location.latitude, mappableStops[0].location.longitude]}
+          zoom={13}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          />
+          <FitToAllStops stops={mappableStops} />
+
+          {orderedStops.slice(0, -1).map((stop, index) => {
+            const next = orderedStops[index + 1];
+            const isBacktracking = backtracking.includes(index);
+            return (
+              <Polyline
+                key={`${index}-${stop._id}-${next._id}`}
+                positions={[
+                  [stop.location.latitude, stop.location.longitude],
+                  [next.location.latitude, next.location.longitude]
+                ]}
+                color={isBacktracking ? '#DC2626' : '#2563EB'}
+                weight={isBacktracking ? 5 : 3}
+                opacity={0.8}
+                dashArray={isBacktracking ? '8, 6' : undefined}
+              >
+                {isBacktracking && (
+                  <Tooltip sticky>
+                    Stop {orderedEntries[index].routeIndex + 1} → Stop {orderedEntries[index + 1].routeIndex + 1} doubles back
+                  </Tooltip>
+                )}
+              </Polyline>
+            );
+          })}
+
+          {mappableStops.map((stop) => {
+            const routeIndexes = orderedEntries
+              .filter((entry) => entry.stop._id === stop._id)
+              .map((entry) => entry.routeIndex);
+            const isSelected = routeIndexes.length > 0;
+
+            return (
+              <Marker
+                key={stop._id}
+                position={[stop.location.latitude, stop.location.longitude]}
+                icon={isSelected ? selectedStopIcon(routeIndexes.map((index) => index + 1).join('/')) : availableStopIcon}
+                zIndexOffset={isSelected ? 500 : 0}
+                eventHandlers={isSelected ? {} : { click: () => onAddStop(stop._id) }}
+              >
+                {isSelected ? (
+                  <Popup>
+                    <p className="font-semibold">
+                      Stop {routeIndexes.map((index) => index + 1).join(' & ')}: {stop.stopName}
+                    </p>
+                    <p className="text-xs text-gray-500 mb-2">{stop.stopCode}</p>
+                    {routeIndexes.map((routeIndex) => (
+                      <button
+                        key={routeIndex}
+                        type="button"
+                        onClick={() => onRemoveStop(routeIndex)}
+                        className="block text-sm font-semibold text-red-600 hover:text-red-800"
+                      >
+                        {routeIndexes.length > 1 ? `Remove stop ${routeIndex + 1}` : 'Remove from route'}
+                      </button>
+                    ))}
+                  </Popup>
+                ) : (
+                  <Tooltip>+ {stop.stopName}</Tooltip>
+                )}
+              </Marker>
+            );
+          })}
+        </MapContainer>
+      </div>
+
+      {backtracking.length > 0 && (
+        <div className="mt-2 flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-xs text-red-800">
+          <AlertTriangle size={16} className="shrink-0 mt-0.5" />
+          <div>
+            <p className="font-semibold">The route doubles back on itself — check the stop order:</p>
+            {backtracking.map((index) => (
+              <p key={index}>
+                Stop {orderedEntries[index].routeIndex + 1} ({orderedStops[index].stopName}) →{' '}
+                Stop {orderedEntries[index + 1].routeIndex + 1} ({orderedStops[index + 1].stopName})
+              </p>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RouteStopMap;
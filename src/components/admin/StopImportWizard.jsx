@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { X, Upload, CheckCircle, AlertCircle, AlertTriangle } from 'lucide-react';
+import * as stopsApi from '../../services/stopsApi';
+import { getErrorMessage } from '../../services/apiError';
+import { parseStopsFile, validateStopRows, STOP_FILE_FORMATS } from '../../utils/stopFormats';
+
+const StopImportWizard = ({ existingStops, onClose, onImported }) => {
+  const [step, setStep] = useState('select');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [excluded, setExcluded] = useState(new Set());
+  const [parseError, setParseError] = useState('');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [failures, setFailures] = useState([]);
+
+  const importableIndexes = useMemo(
+    () => rows
+      .map((row, index) => index)
+      .filter((index) => rows[index].errors.length === 0 && !excluded.has(index)),
+    [rows, excluded]
+  );
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setParseError('');
+    try {
+      const text = await file.text();
+      const parsed = parseStopsFile(text, file.name);
+      if (parsed.rows.length === 0) {
+        setParseError('No stops found in this file');
+        return;
+      }
+
+      const validated = validateStopRows(parsed.rows, existingStops);
+      setFileName(file.name);
+      setFormat(parsed.format);
+      setRows(validated);
+      // Near-duplicates are left out unless the admin opts them back in
+      setExcluded(new Set(
+        validated.map((row, index) => (row.warnings.length > 0 ? index : null)).filter((index) => index !== null)
+      ));
+      setStep('preview');
+    } catch (error) {
+      console.error('Stop import parse error:', error);
+      setParseError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const toggleRow = (index) => {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  // One request per stop so each one still gets its QR code generated server-side
+  const handleImport = async () => {
+    setStep('importing');
+    setProgress({ done: 0, total: importableIndexes.length });
+    const failed = [];
+
+    for (const index of importableIndexes) {
+      const row = rows[index];
+      try {
+        await stopsApi.createStop({
+          stopName: row.stopName,
+          stopCode: row.stopCode,
+          location: { latitude: row.latitude, longitude: row.longitude },
+          address: row.address
+        });
+      } catch (error) {
+        failed.push({ index, stopCode: row.stopCode, message: getErrorMessage(error, 'Failed to create bus stop') });
+      }
+      setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    setFailures(failed);
+    setStep('done');
+    onImported(importableIndexes.length - failed.length);
+  };
+
+  const errorCount = rows.filter((row) => row.errors.length > 0).length;
+  const warningCount = rows.filter((row) => row.errors.length === 0 && row.warnings.length > 0).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold">Import Bus Stops</h3>
+          <button onClick={onClose} disabled={step === 'importing'} className="text-gray-500 hover:text-gray-700 disabled:opacity-50">
+            <X size={24} />
+          </button>
+        </div>
+
+        {step === 'select' && (
+          <div className="space-y-4">
+            <label className="flex flex-col items-center justify-center gap-3 border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition">
+              <Upload size={32} className="text-blue-500" />
+              <span className="font-semibold text-gray-700">Choose a CSV, GeoJSON or GTFS stops.txt file</span>
+              <input type="file" accept=".csv,.txt,.json,.geojson" onChange={handleFileChange} className="hidden" />
+            </label>
+            {parseError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{parseError}</div>
+            )}
+            <div className="p-3 bg-blue-50 rounded-lg border border-blue-200 text-xs text-blue-800 space-y-1">
+              <p><strong>CSV:</strong> a header row with stopName, stopCode, latitude, longitude and optionally address.</p>
+              <p><strong>GeoJSON:</strong> a FeatureCollection of Points with stopName/name and stopCode/code properties.</p>
+              <p><strong>GTFS:</strong> a stops.txt file; stop_code is used as the stop code, falling back to stop_id.</p>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="font-semibold text-gray-800">{fileName}</span>
+              <span className="px-2 py-1 rounded bg-gray-100 text-gray-700">{STOP_FILE_FORMATS[format]?.label}</span>
+              <span className="text-gray-600">{rows.length} rows</span>
+              {errorCount > 0 && <span className="text-red-600">{errorCount} with errors</span>}
+              {warningCount > 0 && <span className="text-amber-600">{warningCount} possible duplicates</span>}
+            </div>
+
+            <div className="overflow-x-auto border rounded-lg max-h-[50vh]">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    {['', '#', 'Code', 'Name', 'Coordinates', 'Status'].map(h => (
+                      <th key={h} className="px-3 py-2 text-left font-semibold text-gray-700">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => {
+                    const hasErrors = row.errors.length > 0;
+                    return (
+                      <tr key={index} className={`border-t ${hasErrors ? 'bg-red-50' : row.warnings.length > 0 ? 'bg-amber-50' : ''}`}>
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={!hasErrors && !excluded.has(index)}
+                            disabled={hasErrors}
+                            onChange={() => toggleRow(index)}
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                        <td className="px-3 py-2 font-semibold">{row.stopCode || '—'}</td>
+                        <td className="px-3 py-2">{row.stopName || '—'}</td>
+                        <td className="px-3 py-2 text-xs text-gray-600">
+                          {Number.isFinite(row.latitude) && Number.isFinite(row.longitude)
+                            ? `${row.latitude.toFixed(5)}, ${row.longitude.toFixed(5)}`
+                            : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {hasErrors ? (
+                            row.errors.map((message) => (
+                              <p key={message} className="flex items-center gap-1 text-red-700"><AlertCircle size={12} /> {message}</p>
+                            ))
+                          ) : row.warnings.length > 0 ? (
+                            row.warnings.map((message) => (
+                              <p key={message} className="flex items-center gap-1 text-amber-700"><AlertTriangle size={12} /> {message}</p>
+                            ))
+                          ) : (
+                            <span className="flex items-center gap-1 text-green-700"><CheckCircle size={12} /> Ready</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={importableIndexes.length === 0}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 rounded-lg transition disabled:opacity-50"
+              >
+                Import {importableIndexes.length} stop{importableIndexes.length === 1 ? '' : 's'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setStep('select')}
+                className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-800 py-2 rounded-lg transition"
+              >
+                Choose Another File
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'importing' && (
+          <div className="py-8 text-center">
+            <p className="font-semibold text-gray-800 mb-3">Importing stops... {progress.done} / {progress.total}</p>
+            <div className="w-full bg-gray-200 rounded-full h-3">
+              <div
+                className="bg-blue-500 h-3 rounded-full transition-all"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="space-y-4">
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-800 font-semibold">
+              ✅ Imported {progress.total - failures.length} of {progress.total} stops
+            </div>
+            {failures.length > 0 && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 space-y-1">
+                {failures.map((failure) => (
+                  <p key={failure.index}>Row {failure.index + 1} ({failure.stopCode}): {failure.message}</p>
+                ))}
+              </div>
+            )}
+            <button onClick={onClose} className="w-full bg-blue-500 hover:bg-blue-600 text-white py-2 rounded-lg transition">
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StopImportWizard;
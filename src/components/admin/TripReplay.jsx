@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { Play, Pause, RotateCcw, Clock3 } from 'lucide-react';
+import * as tripsApi from '../../services/tripsApi';
+import { getErrorMessage } from '../../services/apiError';
+import { calculateDistance, hasValidCoordinates, projectOntoPolyline } from '../../utils/geo';
+import 'leaflet/dist/leaflet.css';
+
+const busIcon = new L.divIcon({
+  html: '<div style="background:#3B82F6;border-radius:50%;width:32px;height:32px;display:flex;align-items:center;justify-content:center;border:3px solid white;box-shadow:0 2px 8px rgba(0,0,0,0.3);"><span style="color:white;font-size:18px;">🚌</span></div>',
+  className: '',
+  iconSize: [32, 32],
+  iconAnchor: [16, 16]
+});
+
+const stopIcon = new L.divIcon({
+  html: '<div style="background:#10B981;border:2px solid white;border-radius:50%;width:16px;height:16px;box-shadow:0 2px 4px rgba(0,0,0,0.2);"></div>',
+  className: '',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+const reachedStopIcon = new L.divIcon({
+  html: '<div style="background:#6366F1;border:2px solid white;border-radius:50%;width:16px;height:16px;box-shadow:0 2px 4px rgba(0,0,0,0.2);"></div>',
+  className: '',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60];
+
+// The track passing within this radius of a stop counts as the bus arriving there
+const STOP_ARRIVAL_RADIUS_KM = 0.075;
+
+function FitToTrack({ positions }) {
+  const map = useMap();
+  const fittedRef = useRef(false);
+
+  useEffect(() => {
+    if (fittedRef.current || positions.length < 2) return;
+    map.fitBounds(positions, { padding: [30, 30] });
+    fittedRef.current = true;
+  }, [positions, map]);
+
+  return null;
+}
+
+const toTime = (value) => new Date(value).getTime();
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Linear interpolation between the two recorded fixes around `time`
+const positionAtTime = (points, time) => {
+  if (points.length === 0) return null;
+  if (time <= points[0].time) return points[0];
+  if (time >= points[points.length - 1].time) return points[points.length - 1];
+
+  let low = 0;
+  let high = points.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (points[mid].time <= time) low = mid;
+    else high = mid;
+  }
+
+  const a = points[low];
+  const b = points[high];
+  const ratio = b.time === a.time ? 0 : (time - a.time) / (b.time - a.time);
+  return {
+    latitude: a.latitude + (b.latitude - a.latitude) * ratio,
+    longitude: a.longitude + (b.longitude - a.longitude) * ratio,
+    speed: a.speed + ((b.speed || 0) - (a.speed || 0)) * ratio,
+    time
+  };
+};
+
+// Walks the track once, matching stops in route order so a bus passing
+// near a later stop early doesn't "arrive" there out of sequence. Each stop is
+// measured against the line between consecutive fixes, not the fixes alone,
+// so a stop passed between two sparse fixes still counts; the arrival time is
+// interpolated along that segment. Each arrival must be strictly later than
+// the previous stop's, so on a loop route the last stop isn't matched to the
+// departure from the first.
+const deriveStopArrivals = (points, stops) => {
+  let searchFrom = 0;
+  let lastArrivalTime = -Infinity;
+
+  return stops.map((stop) => {
+    if (points.length === 0 || !hasValidCoordinates(stop?.location)) return { stop, arrivalTime: null };
+
+    for (let i = searchFrom; i < Math.max(1, points.length - 1); i++) {
+      const a = points[i];
+      const b = points[Math.min(i + 1, points.length - 1)];
+      const projected = projectOntoPolyline(stop.location, [[a.latitude, a.longitude], [b.latitude, b.longitude]]);
+      if (projected && projected.distanceKm <= STOP_ARRIVAL_RADIUS_KM) {
+        const segmentKm = calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+        const ratio = segmentKm === 0
+          ? 0
+          : calculateDistance(a.latitude, a.longitude, projected.latitude, projected.longitude) / segmentKm;
+        const arrivalTime = a.time + (b.time - a.time) * ratio;
+        if (arrivalTime > lastArrivalTime) {
+          searchFrom = i;
+          lastArrivalTime = arrivalTime;
+          return { stop, arrivalTime };
+        }
+      }
+    }
+
+    return { stop, arrivalTime: null };
+  });
+};
+
+const TripReplay = ({ trip, stops = [] }) => {
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [currentTime, setCurrentTime] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(10);
+
+  const frameRef = useRef(null);
+  const lastFrameRef = useRef(null);
+  const currentTimeRef = useRef(null);
+
+  useEffect(() => { currentTimeRef.current = currentTime; }, [currentTime]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchLocations = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const track = (await tripsApi.getTripLocations(trip._id))
+          .filter((item) => hasValidCoordinates(item) && item.timestamp)
+          .map((item) => ({
+            latitude: Number(item.latitude),
+            longitude: Number(item.longitude),
+            speed: Number(item.speed) || 0,
+            time: toTime(item.timestamp)
+          }))
+          .sort((a, b) => a.time - b.time);
+
+        if (!cancelled) {
+          setPoints(track);
+          setCurrentTime(track.length > 0 ? track[0].time : null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(getErrorMessage(err, 'Failed to load the recorded trip'));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchLocations();
+    return () => { cancelled = true; };
+  }, [trip._id]);
+
+  const startTime = points.length > 0 ? points[0].time : null;
+  const endTime = points.length > 0 ? points[points.length - 1].time : null;
+
+  useEffect(() => {
+    if (!isPlaying || endTime === null) return undefined;
+
+    const step = (timestamp) => {
+      const elapsed = lastFrameRef.current === null ? 0 : timestamp - lastFrameRef.current;
+      lastFrameRef.current = timestamp;
+
+      const next = Math.min(endTime, currentTimeRef.current + elapsed * playbackSpeed);
+      currentTimeRef.current = next;
+      setCurrentTime(next);
+
+      if (next >= endTime) {
+        setIsPlaying(false);
+        return;
+      }
+      frameRef.current = requestAnimationFrame(step);
+    };
+
+    lastFrameRef.current = null;
+    frameRef.current = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [isPlaying, playbackSpeed, endTime]);
+
+  const trackPositions = useMemo(
+    () => points.map((point) => [point.latitude, point.longitude]),
+    [points]
+  );
+  const stopArrivals = useMemo(() => deriveStopArrivals(points, stops), [points, stops]);
+  const busPosition = currentTime !== null ? positionAtTime(points, currentTime) : null;
+
+  const togglePlay = () => {
+    if (!isPlaying && currentTime >= endTime) setCurrentTime(startTime);
+    setIsPlaying((prev) => !prev);
+  };
+
+  const restart = () => {
+    setIsPlaying(false);
+    setCurrentTime(startTime);
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl p-4 text-sm">{error}</div>;
+  }
+
+  if (points.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        No GPS fixes were recorded for this trip.
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 space-y-4">
+        <div className="h-96 rounded-xl overflow-hidden border-2 border-gray-200">
+          <MapContainer center={trackPositions[0]} zoom={14} style={{ height: '100%', width: '100%' }}>
+            <TileLayer
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+            />
+            <FitToTrack positions={trackPositions} />
+            <Polyline positions={trackPositions} color="#3B82F6" weight={5} opacity={0.7} />
+
+            {stopArrivals.map(({ stop, arrivalTime }, index) => hasValidCoordinates(stop?.location) && (
+              <Marker
+                key={stop._id || index}
+                position={[stop.location.latitude, stop.location.longitude]}
+                icon={arrivalTime !== null && arrivalTime <= currentTime ? reachedStopIcon : stopIcon}
+              >
+                <Popup>
+                  <strong>Stop {index + 1}: {stop.stopName}</strong><br />
+                  {arrivalTime !== null
+                    ? `Arrived ${new Date(arrivalTime).toLocaleTimeString()}`
+                    : 'Not reached on this trip'}
+                </Popup>
+              </Marker>
+            ))}
+
+            {busPosition && (
+              <Marker position={[busPosition.latitude, busPosition.longitude]} icon={busIcon}>
+                <Popup>
+                  <strong>{trip.bus?.busName || 'Bus'}</strong><br />
+                  {new Date(busPosition.time).toLocaleTimeString()}<br />
+                  Speed: {busPosition.speed.toFixed(0)} km/h
+                </Popup>
+              </Marker>
+            )}
+          </MapContainer>
+        </div>
+
+        <div className="bg-gray-50 border rounded-xl p-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={togglePlay}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold px-4 py-2 rounded-lg transition"
+            >
+              {isPlaying ? <Pause size={18} /> : <Play size={18} />}
+              {isPlaying ? 'Pause' : 'Play'}
+            </button>
+            <button
+              onClick={restart}
+              className="flex items-center gap-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-3 py-2 rounded-lg transition"
+              title="Back to start"
+            >
+              <RotateCcw size={18} />
+            </button>
+            <div className="flex items-center gap-1">
+              {PLAYBACK_SPEEDS.map((speed) => (
+                <button
+                  key={speed}
+                  onClick={() => setPlaybackSpeed(speed)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+                    playbackSpeed === speed ? 'bg-slate-900 text-white' : 'bg-white border text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {speed}x
+                </button>
+              ))}
+            </div>
+            <div className="ml-auto flex items-center gap-1 text-sm text-gray-600 font-mono">
+              <Clock3 size={14} />
+              {formatDuration(currentTime - startTime)} / {formatDuration(endTime - startTime)}
+            </div>
+          </div>
+
+          <input
+            type="range"
+            min={startTime}
+            max={endTime}
+            step={1000}
+            value={currentTime}
+            onChange={(e) => {
+              setIsPlaying(false);
+              setCurrentTime(Number(e.target.value));
+            }}
+            className="w-full mt-4 accent-blue-600"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{new Date(startTime).toLocaleTimeString()}</span>
+            <span className="font-semibold text-gray-700">{new Date(currentTime).toLocaleTimeString()}</span>
+            <span>{new Date(endTime).toLocaleTimeString()}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="border rounded-xl p-4 bg-gray-50">
+        <h4 className="font-semibold text-gray-800">Stop Arrivals</h4>
+        <p className="text-xs text-gray-500 mt-1 mb-3">When the track, projected onto each stop, first passes within {STOP_ARRIVAL_RADIUS_KM * 1000} m of it, in route order</p>
+        {stopArrivals.length === 0 ? (
+          <p className="text-sm text-gray-500">This trip's route has no stops.</p>
+        ) : (
+          <div className="space-y-2 max-h-[26rem] overflow-y-auto">
+            {stopArrivals.map(({ stop, arrivalTime }, index) => {
+              const reached = arrivalTime !== null && arrivalTime <= currentTime;
+              return (
+                <button
+                  key={stop._id || index}
+                  onClick={() => {
+                    if (arrivalTime === null) return;
+                    setIsPlaying(false);
+                    setCurrentTime(arrivalTime);
+                  }}
+                  className={`w-full flex items-center p-3 rounded-lg text-left transition ${
+                    reached ? 'bg-indigo-50 border border-indigo-200' : 'bg-white border hover:bg-gray-100'
+                  }`}
+                >
+                  <div className={`rounded-full w-8 h-8 flex items-center justify-center font-semibold mr-3 text-sm shrink-0 ${
+                    reached ? 'bg-indigo-500 text-white' : 'bg-gray-300 text-gray-700'
+                  }`}>
+                    {index + 1}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-800 truncate">{stop.stopName}</p>
+                    <p className="text-xs text-gray-500">
+                      {arrivalTime !== null ? new Date(arrivalTime).toLocaleTimeString() : 'Not reached'}
+                    </p>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TripReplay;
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef } from 'react';
+import { Marker } from 'react-leaflet';
+import L from 'leaflet';
+import { calculateBearing, calculateDistance, projectOntoPolyline } from '../../utils/geo';
+
+// Used until two updates have arrived to measure the real interval
+const DEFAULT_DURATION_MS = 1000;
+const MIN_DURATION_MS = 300;
+const MAX_DURATION_MS = 10000;
+// Below this the bearing between two fixes is mostly GPS noise
+const MIN_BEARING_DISTANCE_KM = 0.005;
+const DEFAULT_SNAP_DISTANCE_KM = 0.03;
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2);
+
+const busIcons = new Map();
+
+// Bus icon with a direction pointer that AnimatedBusMarker rotates; the bus
+// itself stays upright. `label` adds a chip underneath (e.g. an ETA). Icons
+// are cached so unchanged buses keep the same icon between renders.
+export const getBusIcon = ({ color = '#3B82F6', label = '', size = 30 } = {}) => {
+  const key = `${color}|${label}|${size}`;
+  if (!busIcons.has(key)) {
+    if (busIcons.size > 200) busIcons.clear();
+    busIcons.set(key, new L.divIcon({
+      html: `<div style="position: relative; width: ${size}px; display: flex; flex-direction: column; align-items: center;">
+        <div data-heading style="position: absolute; top: 0; left: 0; width: ${size}px; height: ${size}px; visibility: hidden;">
+          <div style="position: absolute; top: -9px; left: 50%; margin-left: -6px; width: 0; height: 0; border-left: 6px solid transparent; border-right: 6px solid transparent; border-bottom: 9px solid ${color};"></div>
+        </div>
+        <div style="background: ${color}; border: 2px solid white; border-radius: 50%; width: ${size}px; height: ${size}px; display: flex; align-items: center; justify-content: center; box-shadow: 0 2px 6px rgba(0,0,0,0.3);"><span style="color: white; font-size: ${Math.round(size * 0.6)}px;">🚌</span></div>
+        ${label ? `<div style="margin-top: 2px; background: white; color: ${color}; border: 1px solid ${color}; border-radius: 9999px; padding: 0 6px; font-size: 11px; font-weight: 700; white-space: nowrap;">${label}</div>` : ''}
+      </div>`,
+      className: '',
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    }));
+  }
+  return busIcons.get(key);
+};
+
+const applyHeading = (marker, heading) => {
+  const pointer = marker?.getElement()?.querySelector('[data-heading]');
+  if (!pointer || heading === null) return;
+  pointer.style.transform = `rotate(${heading}deg)`;
+  pointer.style.visibility = 'visible';
+};
+
+// Marker that glides from fix to fix instead of jumping.
+//
+//   - each move is animated over the time the previous update took to arrive,
+//     so the bus is always moving rather than sprinting and waiting
+//   - the pointer follows `heading`, or the bearing from the previous fix
+//     when there is none (drivers send 0 when the GPS has no heading, which
+//     the bearing also gives for a bus really heading north)
+//   - with `snapTo` (the route polyline), animated positions within
+//     `snapDistanceKm` of the line are drawn on it
+//
+// react-leaflet only ever sees the first position; later ones are set on the
+// Leaflet marker directly, so a moving fleet doesn't re-render every frame.
+const AnimatedBusMarker = ({
+  position,
+  heading,
+  snapTo,
+  snapDistanceKm = DEFAULT_SNAP_DISTANCE_KM,
+  icon,
+  children,
+  ...markerProps
+}) => {
+  const markerRef = useRef(null);
+  const initialPositionRef = useRef(position);
+  const frameRef = useRef(null);
+  const lastUpdateAtRef = useRef(null);
+  const durationRef = useRef(DEFAULT_DURATION_MS);
+  const headingRef = useRef(null);
+  const snapRef = useRef({ snapTo, snapDistanceKm });
+  snapRef.current = { snapTo, snapDistanceKm };
+  const [lat, lng] = position;
+
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!marker) return undefined;
+
+    const now = performance.now();
+    if (lastUpdateAtRef.current !== null) {
+      durationRef.current = Math.min(MAX_DURATION_MS, Math.max(MIN_DURATION_MS, now - lastUpdateAtRef.current));
+    }
+    lastUpdateAtRef.current = now;
+
+    const from = marker.getLatLng();
+    const movedKm = calculateDistance(from.lat, from.lng, lat, lng);
+    const reportedHeading = Number(heading);
+    if (Number.isFinite(reportedHeading) && reportedHeading !== 0) {
+      headingRef.current = reportedHeading;
+    } else if (movedKm >= MIN_BEARING_DISTANCE_KM) {
+      headingRef.current = calculateBearing(from.lat, from.lng, lat, lng);
+    }
+    applyHeading(marker, headingRef.current);
+
+    if (movedKm === 0) return undefined;
+
+    const snap = (pointLat, pointLng) => {
+      const { snapTo: line, snapDistanceKm: maxKm } = snapRef.current;
+      if (!line || line.length < 2) return [pointLat, pointLng];
+      const projected = projectOntoPolyline({ latitude: pointLat, longitude: pointLng }, line);
+      return projected && projected.distanceKm <= maxKm
+        ? [projected.latitude, projected.longitude]
+        : [pointLat, pointLng];
+    };
+
+    const duration = durationRef.current;
+    const step = (frameTime) => {
+      const progress = Math.min(1, (frameTime - now) / duration);
+      const eased = easeInOut(Math.max(0, progress));
+      marker.setLatLng(snap(from.lat + (lat - from.lat) * eased, from.lng + (lng - from.lng) * eased));
+      if (progress < 1) frameRef.current = requestAnimationFrame(step);
+    };
+    frameRef.current = requestAnimationFrame(step);
+
+    // A newer position starts its animation from wherever this one got to
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [lat, lng, heading]);
+
+  // A new icon replaces the marker's element, pointer included
+  useEffect(() => {
+    applyHeading(markerRef.current, headingRef.current);
+  }, [icon]);
+
+  return (
+    <Marker ref={markerRef} position={initialPositionRef.current} icon={icon} {...markerProps}>
+      {children}
+    </Marker>
+  );
+};
+
+export default AnimatedBusMarker;
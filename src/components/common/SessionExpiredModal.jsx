@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Lock, AlertCircle } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { getErrorMessage } from '../../services/apiError';
+
+// Passenger tracking works without an account, so never interrupt it
+const PUBLIC_PATHS = ['/passenger', '/track', '/login', '/register'];
+
+// Shown when the session can no longer be refreshed. Signing in again here
+// keeps the current page (and a driver's running trip) instead of
+// redirecting to the login screen.
+const SessionExpiredModal = () => {
+  const { user, sessionExpired, login, logout } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState(user?.email || '');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (sessionExpired) {
+      setEmail(user?.email || '');
+      setPassword('');
+      setError('');
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sessionExpired]);
+
+  if (!sessionExpired || PUBLIC_PATHS.some((path) => location.pathname.startsWith(path))) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      await login(email, password);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Login failed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const goToLogin = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <div className="fixed inset-0 z-[2000] flex items-center justify-center p-4" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl w-full max-w-sm p-6">
+        <div className="flex items-center gap-3 mb-2">
+          <Lock size={22} className="text-blue-600" />
+          <h2 className="text-lg font-bold text-gray-800">Session expired</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-5">Sign in again to carry on where you left off.</p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+            <AlertCircle size={18} className="text-red-600" />
+            <span className="text-sm text-red-600">{error}</span>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            required
+            className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            required
+            autoFocus
+            className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-lg transition disabled:opacity-60"
+          >
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+          <button
+            type="button"
+            onClick={goToLogin}
+            className="w-full text-sm text-gray-600 hover:text-gray-800 transition"
+          >
+            Go to login page
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SessionExpiredModal;
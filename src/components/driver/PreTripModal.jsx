@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { X, Play, MapPin, ClipboardCheck, LocateFixed } from 'lucide-react';
+import { ROUTE_DIRECTIONS, getDirectionStops, getDirectionLabel } from '../../utils/routeDirections';
+
+const CHECKLIST = [
+  'Tyres, lights and indicators checked',
+  'Brakes tested',
+  'Doors and emergency exits working',
+  'First aid kit and fire extinguisher on board',
+  'Route board shows the right destination'
+];
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Everything the driver confirms before a trip starts: which way the bus is
+// running, where it starts, an odometer reading or passenger count, and the
+// vehicle checklist. `suggestedDirection` (from GPS) is applied when it
+// arrives unless the driver has already picked one.
+const PreTripModal = ({ route, suggestedDirection, detectingDirection, submitting, onConfirm, onCancel }) => {
+  const [direction, setDirection] = useState(suggestedDirection || 'outbound');
+  const [directionPicked, setDirectionPicked] = useState(false);
+  const [firstStopId, setFirstStopId] = useState('');
+  const [odometerKm, setOdometerKm] = useState('');
+  const [passengerCount, setPassengerCount] = useState('');
+  const [checked, setChecked] = useState([]);
+  const [formError, setFormError] = useState('');
+
+  const stops = getDirectionStops(route, direction);
+  const hasDirections = (route?.stops?.length || 0) > 1;
+
+  useEffect(() => {
+    if (suggestedDirection && !directionPicked) setDirection(suggestedDirection);
+  }, [suggestedDirection, directionPicked]);
+
+  // A new direction starts from its own first stop
+  useEffect(() => {
+    setFirstStopId(stops[0]?._id || '');
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [direction, route]);
+
+  const pickDirection = (value) => {
+    setDirection(value);
+    setDirectionPicked(true);
+  };
+
+  const toggleItem = (item) => {
+    setChecked((prev) => (prev.includes(item) ? prev.filter((entry) => entry !== item) : [...prev, item]));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (odometerKm === '' && passengerCount === '') {
+      setFormError('Enter the odometer reading or the number of passengers on board');
+      return;
+    }
+    if (checked.length < CHECKLIST.length) {
+      setFormError('Complete the checklist before starting the trip');
+      return;
+    }
+
+    setFormError('');
+    onConfirm({
+      direction,
+      firstStopId: firstStopId || null,
+      odometerKm: toNumberOrNull(odometerKm),
+      passengerCount: toNumberOrNull(passengerCount),
+      checklist: CHECKLIST
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl p-6 max-w-xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-5">
+          <div>
+            <h3 className="text-2xl font-bold text-gray-900">Before You Start</h3>
+            <p className="text-sm text-gray-500 mt-1">Passengers see this direction and destination as soon as the trip starts.</p>
+          </div>
+          <button type="button" onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-5">
+          {hasDirections && (
+            <div>
+              <p className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                Direction
+                {detectingDirection && (
+                  <span className="text-xs font-normal text-blue-600 flex items-center gap-1">
+                    <LocateFixed size={12} className="animate-pulse" />
+                    Detecting from your location...
+                  </span>
+                )}
+              </p>
+              <div className="space-y-2">
+                {ROUTE_DIRECTIONS.map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => pickDirection(value)}
+                    className={`w-full text-left px-4 py-2 rounded-lg border-2 text-sm font-semibold transition ${
+                      direction === value
+                        ? 'border-blue-600 bg-blue-50 text-blue-800'
+                        : 'border-gray-200 text-gray-700 hover:border-blue-400'
+                    }`}
+                  >
+                    {getDirectionLabel(route, value)}
+                    {value === suggestedDirection && <span className="ml-2 text-xs font-normal text-gray-500">(suggested)</span>}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {stops.length > 0 && (
+            <div>
+              <label className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                <MapPin size={16} className="text-blue-600" />
+                First stop
+              </label>
+              <select
+                value={firstStopId}
+                onChange={(e) => setFirstStopId(e.target.value)}
+                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              >
+                {stops.map((stop, index) => (
+                  <option key={stop._id} value={stop._id}>
+                    {index + 1}. {stop.stopName}{index === 0 ? ' (start of route)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Odometer (km)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={odometerKm}
+                onChange={(e) => setOdometerKm(e.target.value)}
+                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Passengers on board</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={passengerCount}
+                onChange={(e) => setPassengerCount(e.target.value)}
+                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+              <ClipboardCheck size={16} className="text-green-600" />
+              Pre-trip checklist ({checked.length}/{CHECKLIST.length})
+            </p>
+            <div className="space-y-2">
+              {CHECKLIST.map((item) => (
+                <label key={item} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition">
+                  <input type="checkbox" checked={checked.includes(item)} onChange={() => toggleItem(item)} />
+                  <span className="text-sm text-gray-800">{item}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold py-4 px-6 rounded-lg flex items-center justify-center gap-2 transition text-lg disabled:opacity-60"
+          >
+            <Play size={22} />
+            {submitting ? 'Starting...' : 'Start Trip'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PreTripModal;
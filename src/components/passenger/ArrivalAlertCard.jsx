@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { BellRing, BellOff } from 'lucide-react';
+import { ALERT_THRESHOLD_TYPES } from '../../services/pushAlerts';
+
+const ArrivalAlertCard = ({ alert, stopName, busy, error, onCreate, onCancel }) => {
+  const [thresholdType, setThresholdType] = useState('minutes');
+  const [threshold, setThreshold] = useState('5');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = Number(threshold);
+    if (value > 0) onCreate(thresholdType, value);
+  };
+
+  if (alert) {
+    return (
+      <div className="bg-gradient-to-br from-amber-50 to-yellow-50 border-2 border-amber-300 p-4 rounded-xl mb-4">
+        <div className="flex items-start gap-3">
+          <BellRing size={20} className="text-amber-600 shrink-0 mt-0.5" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-semibold text-amber-900">
+              {alert.fired ? 'Alert sent' : 'Alert set'}: {alert.threshold} {ALERT_THRESHOLD_TYPES[alert.thresholdType].label} from {stopName}
+            </p>
+            <p className="text-xs text-amber-700 mt-1">
+              {alert.push
+                ? 'You will be notified even if you close this tab.'
+                : 'Keep this tab open (it can be in the background) to get the alert.'}
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="flex items-center gap-1 text-xs font-semibold text-amber-800 hover:text-amber-950 shrink-0"
+          >
+            <BellOff size={14} />
+            {alert.fired ? 'Dismiss' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 border-2 border-gray-200 p-4 rounded-xl mb-4">
+      <p className="text-sm font-semibold text-gray-800 mb-2 flex items-center gap-2">
+        <BellRing size={16} className="text-blue-600" />
+        Alert me when the bus is
+      </p>
+      <div className="flex gap-2">
+        <input
+          type="number"
+          min="0.1"
+          step="any"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          className="w-20 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          required
+        />
+        <select
+          value={thresholdType}
+          onChange={(e) => setThresholdType(e.target.value)}
+          className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(ALERT_THRESHOLD_TYPES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <button
+        type="submit"
+        disabled={busy}
+        className="w-full mt-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 rounded-lg transition disabled:opacity-50"
+      >
+        {busy ? 'Setting alert...' : `Set alert for ${stopName}`}
+      </button>
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+    </form>
+  );
+};
+
+export default ArrivalAlertCard;
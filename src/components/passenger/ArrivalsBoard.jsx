@@ -0,0 +1,45 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { formatEtaRange } from '../../utils/eta';
+
+// "Next arrivals" at the passenger's stop. `arrivals` is
+// [{ bus, estimate, color }] already sorted soonest first.
+const ArrivalsBoard = ({ stopName, arrivals, onTrack }) => (
+  <div>
+    <h4 className="font-semibold text-gray-700 mb-3 flex items-center gap-2">
+      <Clock size={16} />
+      Next arrivals at {stopName}
+    </h4>
+    <div className="rounded-xl overflow-hidden border-2 border-slate-800 bg-slate-900 text-white">
+      {arrivals.map(({ bus, estimate, color }, index) => (
+        <button
+          key={bus._id}
+          onClick={() => onTrack(bus)}
+          className={`w-full flex items-center gap-3 px-4 py-3 text-left hover:bg-slate-800 transition ${
+            index > 0 ? 'border-t border-slate-700' : ''
+          }`}
+        >
+          <span
+            className="px-2 py-1 rounded-md text-xs font-bold shrink-0 min-w-[2.5rem] text-center"
+            style={{ background: color }}
+          >
+            {bus.route?.routeNumber || '—'}
+          </span>
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold truncate">{bus.busName}</p>
+            <p className="text-xs text-slate-400 truncate">
+              {bus.busNumber}
+              {bus.route?.routeName ? ` · ${bus.route.routeName}` : ''}
+            </p>
+          </div>
+          <div className="text-right shrink-0">
+            <p className="font-mono font-bold text-amber-300">{formatEtaRange(estimate)}</p>
+            {estimate?.source === 'schedule' && <p className="text-[10px] text-slate-400">scheduled</p>}
+          </div>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default ArrivalsBoard;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { Star, MapPin, Bus as BusIcon, Route as RouteIcon, ChevronUp, ChevronDown, Pencil, Trash2, Check } from 'lucide-react';
+import * as passengerApi from '../../services/passengerApi';
+import { calculateDistance, hasValidCoordinates } from '../../utils/geo';
+
+const REFRESH_INTERVAL_MS = 60000;
+
+const typeIcons = {
+  stop: MapPin,
+  bus: BusIcon,
+  route: RouteIcon
+};
+
+// Live buses within range of each favourite stop, keyed by stop code
+const useApproachingBuses = (stopCodes, maxDistanceKm) => {
+  const [byStop, setByStop] = useState({});
+  const stopKey = [...new Set(stopCodes)].sort().join('|');
+
+  useEffect(() => {
+    if (!stopKey) return undefined;
+
+    let cancelled = false;
+    const refresh = async () => {
+      const codes = stopKey.split('|');
+      const results = await Promise.all(codes.map(async (code) => {
+        try {
+          const { busStop: stop, buses: stopBuses } = await passengerApi.getNearestBuses(code);
+          const buses = stopBuses.filter((bus) =>
+            hasValidCoordinates(bus.currentLocation) && stop &&
+            calculateDistance(
+              bus.currentLocation.latitude, bus.currentLocation.longitude,
+              stop.location.latitude, stop.location.longitude
+            ) <= maxDistanceKm
+          );
+          return [code, buses];
+        } catch (error) {
+          console.error(`Favourite stop ${code} refresh error:`, error);
+          return [code, null];
+        }
+      }));
+      if (!cancelled) setByStop(Object.fromEntries(results));
+    };
+
+    refresh();
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [stopKey, maxDistanceKm]);
+
+  return byStop;
+};
+
+const describeLive = (item, buses) => {
+  if (!buses) return { text: 'Checking...', live: false };
+
+  if (item.type === 'bus') {
+    const isNearby = buses.some((bus) => bus._id === item.busId);
+    return { text: isNearby ? 'On its way to your stop' : 'Not nearby right now', live: isNearby };
+  }
+
+  const matching = item.type === 'route'
+    ? buses.filter((bus) => (bus.route?._id || bus.route) === item.routeId)
+    : buses;
+  return {
+    text: matching.length === 0 ? 'No buses approaching' : `${matching.length} bus${matching.length === 1 ? '' : 'es'} approaching`,
+    live: matching.length > 0
+  };
+};
+
+const FavouritesPanel = ({ favourites, maxDistanceKm, onOpen, onRemove, onMove, onRename }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftLabel, setDraftLabel] = useState('');
+  const approaching = useApproachingBuses(favourites.map((item) => item.stopCode).filter(Boolean), maxDistanceKm);
+
+  const startRename = (item) => {
+    setEditingId(item.id);
+    setDraftLabel(item.label);
+  };
+
+  const finishRename = (e) => {
+    e.preventDefault();
+    if (!editingId) return;
+    if (draftLabel.trim()) onRename(editingId, draftLabel.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="bg-white rounded-[2rem] shadow-xl p-8 mb-6">
+      <div className="flex items-center gap-2 mb-4">
+        <Star className="text-amber-500 fill-amber-400" size={22} />
+        <h2 className="text-2xl font-bold text-gray-900">Your Favourites</h2>
+      </div>
+
+      <div className="space-y-3">
+        {favourites.map((item, index) => {
+          const Icon = typeIcons[item.type] || MapPin;
+          const live = describeLive(item, approaching[item.stopCode]);
+
+          return (
+            <div key={item.id} className="flex items-center gap-3 border-2 border-gray-200 hover:border-blue-400 rounded-xl p-3 transition">
+              <div className="flex items-center justify-center w-10 h-10 rounded-xl bg-blue-50 text-blue-600 shrink-0">
+                <Icon size={20} />
+              </div>
+
+              {editingId === item.id ? (
+                <form onSubmit={finishRename} className="flex-1 flex items-center gap-2 min-w-0">
+                  <input
+                    autoFocus
+                    value={draftLabel}
+                    onChange={(e) => setDraftLabel(e.target.value)}
+                    onBlur={finishRename}
+                    className="flex-1 min-w-0 px-3 py-1 border-2 border-blue-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  />
+                  <button type="submit" className="text-green-600 hover:text-green-800 p-1" title="Save name">
+                    <Check size={18} />
+                  </button>
+                </form>
+              ) : (
+                <button onClick={() => onOpen(item)} className="flex-1 min-w-0 text-left">
+                  <p className="font-semibold text-gray-900 truncate">{item.label}</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {item.type === 'stop' && `Stop ${item.stopCode}`}
+                    {item.type === 'bus' && `${item.busNumber}${item.routeName ? ` • ${item.routeName}` : ''} • from ${item.stopCode}`}
+                    {item.type === 'route' && `Route ${item.routeNumber || ''} • from ${item.stopCode}`}
+                  </p>
+                  <p className={`text-xs font-semibold mt-1 ${live.live ? 'text-green-600' : 'text-gray-400'}`}>
+                    {live.live && <span className="inline-block w-2 h-2 rounded-full bg-green-500 mr-1 animate-pulse"></span>}
+                    {live.text}
+                  </p>
+                </button>
+              )}
+
+              <div className="flex items-center gap-1 shrink-0">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => onMove(item.id, -1)}
+                    disabled={index === 0}
+                    className="p-0.5 rounded text-gray-500 hover:bg-gray-100 disabled:text-gray-200"
+                    title="Move up"
+                  >
+                    <ChevronUp size={16} />
+                  </button>
+                  <button
+                    onClick={() => onMove(item.id, 1)}
+                    disabled={index === favourites.length - 1}
+                    className="p-0.5 rounded text-gray-500 hover:bg-gray-100 disabled:text-gray-200"
+                    title="Move down"
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                </div>
+                <button onClick={() => startRename(item)} className="p-2 rounded-lg text-gray-500 hover:bg-gray-100" title="Rename">
+                  <Pencil size={16} />
+                </button>
+                <button onClick={() => onRemove(item.id)} className="p-2 rounded-lg text-red-500 hover:bg-red-50" title="Remove">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FavouritesPanel;
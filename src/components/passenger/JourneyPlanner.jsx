@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Navigation2, X, Bus as BusIcon, Footprints, ArrowRight, ArrowUpDown, Clock } from 'lucide-react';
+import * as passengerApi from '../../services/passengerApi';
+import * as routesApi from '../../services/routesApi';
+import { getErrorMessage } from '../../services/apiError';
+import { planJourneys, getBoardingStops } from '../../utils/journeyPlanner';
+
+export const LEG_COLORS = ['#2563EB', '#9333EA'];
+
+const WAIT_LABELS = {
+  live: 'live',
+  schedule: 'timetable',
+  frequency: 'typical wait'
+};
+
+const formatMinutes = (minutes) => `${Math.max(1, Math.round(minutes))} min`;
+
+const stopLabel = (stop) => `${stop.stopName} (${stop.stopCode})`;
+
+// Live buses serving each of `stops`, deduplicated
+const fetchBusesAt = async (stops) => {
+  const responses = await Promise.all(stops.map(async (stop) => {
+    try {
+      const { buses } = await passengerApi.getNearestBuses(stop.stopCode);
+      return buses;
+    } catch (error) {
+      console.error(`Journey planner buses at ${stop.stopCode} error:`, error);
+      return [];
+    }
+  }));
+  return responses.flat();
+};
+
+const mergeBuses = (...lists) => [...new Map(lists.flat().map((bus) => [bus._id, bus])).values()];
+
+const JourneyPlanner = ({ initialOrigin, selectedItinerary, onSelectItinerary, onClose }) => {
+  const [routes, setRoutes] = useState([]);
+  const [loadingRoutes, setLoadingRoutes] = useState(true);
+  const [originId, setOriginId] = useState(initialOrigin?._id || '');
+  const [destinationId, setDestinationId] = useState('');
+  const [itineraries, setItineraries] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchRoutes = async () => {
+      try {
+        setRoutes(await routesApi.listRoutes());
+      } catch (err) {
+        setError(getErrorMessage(err, 'Failed to load routes'));
+      } finally {
+        setLoadingRoutes(false);
+      }
+    };
+    fetchRoutes();
+  }, []);
+
+  const stops = useMemo(() => {
+    const byId = new Map();
+    routes.forEach((route) => (route.stops || []).forEach((stop) => {
+      if (stop?._id) byId.set(stop._id, stop);
+    }));
+    return [...byId.values()].sort((a, b) => (a.stopName || '').localeCompare(b.stopName || ''));
+  }, [routes]);
+
+  const swapStops = () => {
+    setOriginId(destinationId);
+    setDestinationId(originId);
+  };
+
+  const handlePlan = async (e) => {
+    e.preventDefault();
+    if (!originId || !destinationId) return;
+
+    setPlanning(true);
+    setError('');
+    onSelectItinerary(null);
+    try {
+      const origin = stops.find((stop) => stop._id === originId);
+      const originBuses = await fetchBusesAt([origin]);
+      let results = planJourneys({ routes, originStopId: originId, destinationStopId: destinationId, buses: originBuses });
+
+      // Second pass with live buses at the transfer stops as well
+      const transferStops = getBoardingStops(results).filter((stop) => stop._id !== originId);
+      if (transferStops.length > 0) {
+        const transferBuses = await fetchBusesAt(transferStops);
+        results = planJourneys({
+          routes,
+          originStopId: originId,
+          destinationStopId: destinationId,
+          buses: mergeBuses(originBuses, transferBuses)
+        });
+      }
+
+      setItineraries(results);
+      if (results.length > 0) {
+        onSelectItinerary(results[0]);
+      } else {
+        setError('No direct or one-change journey found between these stops.');
+      }
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const renderLeg = (leg, legIndex, busLegIndex) => {
+    if (leg.type === 'walk') {
+      return (
+        <div key={legIndex} className="flex items-start gap-2 text-sm text-gray-600">
+          <Footprints size={16} className="shrink-0 mt-0.5" />
+          <span>
+            Walk {Math.round(leg.distanceKm * 1000)} m to {leg.to.stopName} · {formatMinutes(leg.minutes)}
+          </span>
+        </div>
+      );
+    }
+
+    return (
+      <div key={legIndex} className="flex items-start gap-2 text-sm">
+        <BusIcon size={16} className="shrink-0 mt-0.5" style={{ color: LEG_COLORS[busLegIndex % LEG_COLORS.length] }} />
+        <div className="min-w-0">
+          <p className="font-semibold text-gray-800">
+            Route {leg.route.routeNumber} towards {leg.towards.stopName}
+          </p>
+          <p className="text-gray-600 flex items-center gap-1 flex-wrap">
+            {leg.from.stopName} <ArrowRight size={12} /> {leg.to.stopName}
+            <span className="text-gray-400">· {leg.stops.length - 1} stop{leg.stops.length === 2 ? '' : 's'}</span>
+          </p>
+          <p className="text-xs text-gray-500">
+            Wait {formatMinutes(leg.wait.minutes)} ({leg.wait.busName ? `${leg.wait.busName}, ` : ''}{WAIT_LABELS[leg.wait.source]})
+            {' · '}ride {formatMinutes(leg.rideMinutes)}
+          </p>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Navigation2 size={22} className="text-blue-600" />
+          Plan a Journey
+        </h3>
+        <button onClick={onClose} className="text-gray-600 hover:text-gray-800 p-2 hover:bg-gray-100 rounded-full transition">
+          <X size={22} />
+        </button>
+      </div>
+
+      <form onSubmit={handlePlan} className="space-y-3">
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-1">From</label>
+          <select
+            value={originId}
+            onChange={(e) => setOriginId(e.target.value)}
+            disabled={loadingRoutes}
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+            required
+          >
+            <option value="">{loadingRoutes ? 'Loading stops...' : 'Choose a stop'}</option>
+            {stops.map((stop) => <option key={stop._id} value={stop._id}>{stopLabel(stop)}</option>)}
+          </select>
+        </div>
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={swapStops}
+            className="p-2 bg-gray-100 hover:bg-gray-200 rounded-full transition"
+            title="Swap stops"
+          >
+            <ArrowUpDown size={16} />
+          </button>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-1">To</label>
+          <select
+            value={destinationId}
+            onChange={(e) => setDestinationId(e.target.value)}
+            disabled={loadingRoutes}
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+            required
+          >
+            <option value="">{loadingRoutes ? 'Loading stops...' : 'Choose a stop'}</option>
+            {stops.map((stop) => <option key={stop._id} value={stop._id}>{stopLabel(stop)}</option>)}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={planning || loadingRoutes || !originId || !destinationId || originId === destinationId}
+          className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 rounded-lg transition disabled:opacity-50"
+        >
+          {planning ? 'Planning...' : 'Find Journeys'}
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+
+      {itineraries?.length > 0 && (
+        <div className="mt-6 space-y-3 max-h-[28rem] overflow-y-auto">
+          {itineraries.map((itinerary, index) => {
+            let busLegIndex = -1;
+            return (
+              <button
+                key={index}
+                onClick={() => onSelectItinerary(itinerary)}
+                className={`w-full text-left p-4 rounded-xl border-2 transition ${
+                  selectedItinerary === itinerary ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+                }`}
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <span className="inline-flex items-center gap-1 font-bold text-gray-800">
+                    <Clock size={16} />
+                    ~{formatMinutes(itinerary.totalMinutes)}
+                  </span>
+                  <span className="text-xs font-semibold text-gray-500">
+                    {itinerary.transfers === 0 ? 'Direct' : `${itinerary.transfers} change`}
+                  </span>
+                </div>
+                <div className="space-y-2">
+                  {itinerary.legs.map((leg, legIndex) => {
+                    if (leg.type === 'bus') busLegIndex += 1;
+                    return renderLeg(leg, legIndex, busLegIndex);
+                  })}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JourneyPlanner;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { LocateFixed, MapPin, Footprints, X, ArrowRight } from 'lucide-react';
+
+const formatWalk = ({ distanceKm, minutes }) => {
+  const distance = distanceKm < 1 ? `${Math.round(distanceKm * 1000)} m` : `${distanceKm.toFixed(1)} km`;
+  return `${distance} · ${Math.max(1, Math.round(minutes))} min walk`;
+};
+
+const NearbyStopsPanel = ({ stops, position, locating, error, onSelect, onRefresh, onClose }) => (
+  <div className="bg-white rounded-2xl shadow-xl p-6">
+    <div className="flex justify-between items-center mb-4">
+      <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+        <LocateFixed size={22} className="text-blue-600" />
+        Stops Near You
+      </h3>
+      <button onClick={onClose} className="text-gray-600 hover:text-gray-800 p-2 hover:bg-gray-100 rounded-full transition">
+        <X size={22} />
+      </button>
+    </div>
+
+    {position && (
+      <p className="text-xs text-gray-500 mb-3">
+        Location accurate to about {Math.round(position.accuracy)} m
+      </p>
+    )}
+
+    {locating && (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-4 border-blue-600 mx-auto mb-3"></div>
+        <p className="text-gray-600 text-sm font-semibold">Finding stops near you...</p>
+      </div>
+    )}
+
+    {!locating && error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+    {!locating && stops.length > 0 && (
+      <div className="space-y-2 max-h-[28rem] overflow-y-auto">
+        {stops.map((stop, index) => (
+          <button
+            key={stop._id}
+            onClick={() => onSelect(stop)}
+            className="w-full flex items-center gap-3 p-3 rounded-xl border-2 border-gray-200 hover:border-blue-400 hover:bg-blue-50 text-left transition"
+          >
+            <span className={`flex items-center justify-center w-8 h-8 rounded-full shrink-0 ${
+              index === 0 ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+            }`}>
+              <MapPin size={16} />
+            </span>
+            <div className="flex-1 min-w-0">
+              <p className="font-semibold text-gray-800 truncate">{stop.stopName}</p>
+              <p className="text-xs text-gray-500 flex items-center gap-1">
+                <Footprints size={12} />
+                {formatWalk(stop.walk)} · {stop.stopCode}
+              </p>
+            </div>
+            <ArrowRight size={16} className="text-gray-400 shrink-0" />
+          </button>
+        ))}
+      </div>
+    )}
+
+    {!locating && (
+      <button
+        onClick={onRefresh}
+        className="w-full mt-4 flex items-center justify-center gap-2 bg-gray-100 hover:bg-gray-200 text-gray-800 font-semibold py-2 rounded-lg transition"
+      >
+        <LocateFixed size={16} />
+        {position ? 'Update my location' : 'Use my location'}
+      </button>
+    )}
+  </div>
+);
+
+export default NearbyStopsPanel;
@@ -1,5 +1,7 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import axios from 'axios';
+import { setSessionTokens, clearSessionTokens, onSessionExpired } from '../services/api';
+import * as authApi from '../services/authApi';
+import { ApiError, API_ERROR_CODES } from '../services/apiError';
 
 const AuthContext = createContext();
 
@@ -14,10 +16,14 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Set when the token could not be refreshed. The user stays signed in on
+  // screen (a driver's trip keeps running) until they sign in again or leave.
+  const [sessionExpired, setSessionExpired] = useState(false);
   const USER_STORAGE_KEY = 'user';
 
   useEffect(() => {
     checkAuth();
+    return onSessionExpired(() => setSessionExpired(true));
   }, []);
 
   const checkAuth = async () => {
@@ -25,20 +31,26 @@ export const AuthProvider = ({ children }) => {
     const cachedUser = localStorage.getItem(USER_STORAGE_KEY);
     if (token) {
       try {
-        const response = await axios.get(
-          `${process.env.REACT_APP_API_URL}/api/auth/me`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
+        // Goes through the api client so an expired token is refreshed first
+        const currentUser = await authApi.getCurrentUser();
         const mergedUser = {
           ...(cachedUser ? JSON.parse(cachedUser) : {}),
-          ...response.data.user
+          ...currentUser
         };
         setUser(mergedUser);
         localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(mergedUser));
       } catch (error) {
-        console.error('Auth check failed:', error);
-        localStorage.removeItem('token');
-        localStorage.removeItem(USER_STORAGE_KEY);
+        console.error('Auth check failed:', error.code, error.message);
+        if (error instanceof ApiError && error.code === API_ERROR_CODES.UNAUTHORIZED) {
+          clearSessionTokens();
+          localStorage.removeItem(USER_STORAGE_KEY);
+          // Nothing was on screen yet, so there is no session to rescue
+          setSessionExpired(false);
+        } else if (cachedUser) {
+          // Offline or the server is down: carry on as the cached user so a
+          // driver's queued fixes and the offline shell keep working
+          setUser(JSON.parse(cachedUser));
+        }
       }
     }
     setLoading(false);
@@ -47,74 +59,67 @@ export const AuthProvider = ({ children }) => {
   // ✅ FIXED: Removed role parameter
   const login = async (email, password) => {
     try {
-      const response = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/auth/login`,
-        { email, password } // ✅ Removed role from here
-      );
-      
-      localStorage.setItem('token', response.data.token);
-      setUser(response.data.user);
-      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(response.data.user));
-      return response.data;
+      const session = await authApi.login(email, password); // ✅ Removed role from here
+
+      setSessionTokens(session);
+      setSessionExpired(false);
+      setUser(session.user);
+      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(session.user));
+      return session;
     } catch (error) {
-      console.error('Login failed:', error.response?.data || error.message);
+      console.error('Login failed:', error.code, error.message);
       throw error;
     }
   };
 
   const register = async (name, email, password, role, phone) => {
     try {
-      const response = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/auth/register`,
-        { name, email, password, role, phone }
-      );
-      
-      localStorage.setItem('token', response.data.token);
-      setUser(response.data.user);
-      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(response.data.user));
-      return response.data;
+      const session = await authApi.register({ name, email, password, role, phone });
+
+      setSessionTokens(session);
+      setSessionExpired(false);
+      setUser(session.user);
+      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(session.user));
+      return session;
     } catch (error) {
-      console.error('Registration failed:', error.response?.data || error.message);
+      console.error('Registration failed:', error.code, error.message);
       throw error;
     }
   };
 
   const updateProfile = async (profileData) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.put(
-        `${process.env.REACT_APP_API_URL}/api/auth/profile`,
-        profileData,
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      const result = await authApi.updateProfile(profileData);
 
       const mergedUser = {
         ...(user || {}),
-        ...response.data.user,
-        avatarUrl: response.data.user?.avatarUrl || profileData.avatarUrl || user?.avatarUrl || '',
-        bio: response.data.user?.bio ?? profileData.bio ?? user?.bio ?? '',
-        phone: response.data.user?.phone ?? profileData.phone ?? user?.phone ?? '',
-        name: response.data.user?.name ?? profileData.name ?? user?.name ?? ''
+        ...result.user,
+        avatarUrl: result.user?.avatarUrl || profileData.avatarUrl || user?.avatarUrl || '',
+        bio: result.user?.bio ?? profileData.bio ?? user?.bio ?? '',
+        phone: result.user?.phone ?? profileData.phone ?? user?.phone ?? '',
+        name: result.user?.name ?? profileData.name ?? user?.name ?? ''
       };
 
       setUser(mergedUser);
       localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(mergedUser));
-      return { ...response.data, user: mergedUser };
+      return { ...result, user: mergedUser };
     } catch (error) {
-      console.error('Profile update failed:', error.response?.data || error.message);
+      console.error('Profile update failed:', error.code, error.message);
       throw error;
     }
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    clearSessionTokens();
     localStorage.removeItem(USER_STORAGE_KEY);
+    setSessionExpired(false);
     setUser(null);
   };
 
   const value = {
     user,
     loading,
+    sessionExpired,
     login,
     register,
     updateProfile,
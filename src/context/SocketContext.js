@@ -0,0 +1,34 @@
+import React, { createContext, useState, useContext, useEffect, useMemo } from 'react';
+import { getSocket, getSocketStatus, onSocketStatus, acquireSocket, releaseSocket } from '../services/socket';
+
+const SocketContext = createContext();
+
+// The shared socket and its connection status. Components that call this
+// keep the connection open while they are mounted.
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within SocketProvider');
+  }
+
+  useEffect(() => {
+    acquireSocket();
+    return () => releaseSocket();
+  }, []);
+
+  return context;
+};
+
+export const SocketProvider = ({ children }) => {
+  const [status, setStatus] = useState(getSocketStatus);
+
+  useEffect(() => onSocketStatus(setStatus), []);
+
+  const value = useMemo(() => ({
+    socket: getSocket(),
+    status,
+    connected: status === 'connected'
+  }), [status]);
+
+  return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+};
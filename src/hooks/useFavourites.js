@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import * as passengerApi from '../services/passengerApi';
+
+// Passenger favourites: saved stops, buses and routes in the order the
+// passenger arranged them. Anonymous passengers keep them in localStorage;
+// once logged in they are merged into the account and synced through
+// /passenger/favourites, with a per-account offline copy in localStorage.
+// The anonymous list is left as it was, so logging out on a shared device
+// shows the device's own favourites rather than the account's.
+//
+// Items look like:
+//   { id: 'stop:CS001', type: 'stop', label, stopCode, stopName }
+//   { id: 'bus:<busId>', type: 'bus', label, stopCode, busId, busNumber, busName, routeName }
+//   { id: 'route:<routeId>', type: 'route', label, stopCode, routeId, routeNumber, routeName }
+
+const STORAGE_KEY = 'passengerFavourites';
+
+const accountStorageKey = (userId) => `${STORAGE_KEY}:${userId}`;
+
+const readLocal = (key = STORAGE_KEY) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocal = (key, favourites) => {
+  localStorage.setItem(key, JSON.stringify(favourites));
+};
+
+// Account order wins; anything saved while logged out is appended
+const mergeFavourites = (remote, local) => {
+  const ids = new Set(remote.map((item) => item.id));
+  return [...remote, ...local.filter((item) => !ids.has(item.id))];
+};
+
+export const favouriteId = (type, key) => `${type}:${key}`;
+
+const useFavourites = () => {
+  const { user } = useAuth();
+  const [favourites, setFavourites] = useState(readLocal);
+  const [syncing, setSyncing] = useState(false);
+  const userIdRef = useRef(null);
+  const favouritesRef = useRef(favourites);
+
+  const show = useCallback((next) => {
+    favouritesRef.current = next;
+    setFavourites(next);
+  }, []);
+
+  // Pull the account's favourites whenever a different user logs in, and go
+  // back to the anonymous list on logout
+  useEffect(() => {
+    const userId = user?._id || user?.id || null;
+    if (userId === userIdRef.current) return;
+    const wasLoggedIn = Boolean(userIdRef.current);
+    userIdRef.current = userId;
+    if (!userId) {
+      if (wasLoggedIn) show(readLocal());
+      return;
+    }
+
+    // The offline copy stands in until the server answers
+    show(mergeFavourites(readLocal(accountStorageKey(userId)), readLocal()));
+
+    let cancelled = false;
+    const sync = async () => {
+      setSyncing(true);
+      try {
+        const remote = await passengerApi.getFavourites();
+        const merged = mergeFavourites(remote, readLocal());
+        if (cancelled) return;
+
+        show(merged);
+        writeLocal(accountStorageKey(userId), merged);
+        if (merged.length !== remote.length) {
+          await passengerApi.saveFavourites(merged);
+        }
+      } catch (error) {
+        console.error('Favourites sync error:', error);
+      } finally {
+        if (!cancelled) setSyncing(false);
+      }
+    };
+
+    sync();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, show]);
+
+  // Updates go through a ref so the account PUT happens once per change,
+  // outside of React's (possibly repeated) state updaters
+  const save = useCallback((update) => {
+    const next = update(favouritesRef.current);
+    if (next === favouritesRef.current) return;
+
+    show(next);
+    writeLocal(userIdRef.current ? accountStorageKey(userIdRef.current) : STORAGE_KEY, next);
+    if (userIdRef.current) {
+      passengerApi.saveFavourites(next).catch((error) => {
+        console.error('Favourites save error:', error);
+      });
+    }
+  }, [show]);
+
+  const isFavourite = useCallback(
+    (id) => favourites.some((item) => item.id === id),
+    [favourites]
+  );
+
+  const addFavourite = useCallback((item) => {
+    save((prev) => (prev.some((existing) => existing.id === item.id) ? prev : [...prev, item]));
+  }, [save]);
+
+  const removeFavourite = useCallback((id) => {
+    save((prev) => prev.filter((item) => item.id !== id));
+  }, [save]);
+
+  const toggleFavourite = useCallback((item) => {
+    save((prev) => (
+      prev.some((existing) => existing.id === item.id)
+        ? prev.filter((existing) => existing.id !== item.id)
+        : [...prev, item]
+    ));
+  }, [save]);
+
+  const renameFavourite = useCallback((id, label) => {
+    save((prev) => prev.map((item) => (item.id === id ? { ...item, label } : item)));
+  }, [save]);
+
+  // Moves an item one place up (-1) or down (+1)
+  const moveFavourite = useCallback((id, offset) => {
+    save((prev) => {
+      const index = prev.findIndex((item) => item.id === id);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= prev.length) return prev;
+
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, [save]);
+
+  return {
+    favourites,
+    syncing,
+    isFavourite,
+    addFavourite,
+    removeFavourite,
+    toggleFavourite,
+    renameFavourite,
+    moveFavourite
+  };
+};
+
+export default useFavourites;
@@ -0,0 +1,71 @@
+import { useState, useCallback } from 'react';
+import * as stopsApi from '../services/stopsApi';
+import { getErrorMessage } from '../services/apiError';
+import { hasValidCoordinates } from '../utils/geo';
+import { estimateWalk } from '../utils/journeyPlanner';
+
+// "Stops near me": the passenger's position from the Geolocation API and the
+// closest active stops from /bus-stops, nearest walk first. Nothing is asked
+// of the browser until locate() is called, so the permission prompt only
+// appears when the passenger asks for it.
+
+const GEOLOCATION_ERRORS = {
+  1: 'Location access was denied. Allow it in your browser settings, or scan the stop QR instead.',
+  2: 'Your location could not be determined. Try again, or scan the stop QR instead.',
+  3: 'Finding your location took too long. Please try again.'
+};
+
+const getCurrentPosition = () =>
+  new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(resolve, reject, {
+      enableHighAccuracy: true,
+      timeout: 15000,
+      maximumAge: 60000
+    });
+  });
+
+const useNearbyStops = ({ limit = 10 } = {}) => {
+  const [position, setPosition] = useState(null);
+  const [stops, setStops] = useState([]);
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  const locate = useCallback(async () => {
+    if (!navigator.geolocation) {
+      setError('This browser cannot share your location. Scan the stop QR instead.');
+      return;
+    }
+
+    setLocating(true);
+    setError('');
+
+    let here;
+    try {
+      const { coords } = await getCurrentPosition();
+      here = { latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy };
+      setPosition(here);
+    } catch (geoError) {
+      setError(GEOLOCATION_ERRORS[geoError.code] || 'Could not get your location');
+      setLocating(false);
+      return;
+    }
+
+    try {
+      const nearest = (await stopsApi.listStops())
+        .filter((stop) => stop.isActive !== false && hasValidCoordinates(stop.location))
+        .map((stop) => ({ ...stop, walk: estimateWalk(here, stop.location) }))
+        .sort((a, b) => a.walk.distanceKm - b.walk.distanceKm)
+        .slice(0, limit);
+      setStops(nearest);
+      if (nearest.length === 0) setError('No bus stops found.');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load bus stops'));
+    } finally {
+      setLocating(false);
+    }
+  }, [limit]);
+
+  return { position, stops, locating, error, locate };
+};
+
+export default useNearbyStops;
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+// Tracks navigator.onLine. "Online" only means there is a network
+// connection, not that the backend is reachable; callers should still treat
+// request failures as possibly offline.
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -1,7 +1,22 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { Bus, Route as RouteIcon, MapPin, Plus, Trash2, Download, X, UserPlus, Edit, CheckCircle, AlertCircle, Activity, RefreshCw, Clock3, Camera, Menu } from 'lucide-react';
-import api from '../services/api';
+import { Bus, Route as RouteIcon, MapPin, Plus, Trash2, Download, Upload, X, UserPlus, Edit, CheckCircle, AlertCircle, Activity, RefreshCw, Clock3, Camera, Menu, History, PlayCircle, Map as MapIcon } from 'lucide-react';
+import * as busesApi from '../services/busesApi';
+import * as routesApi from '../services/routesApi';
+import * as stopsApi from '../services/stopsApi';
+import * as usersApi from '../services/usersApi';
+import * as tripsApi from '../services/tripsApi';
+import { getErrorMessage } from '../services/apiError';
+import { acquireSocket, releaseSocket, joinFleetRoom, leaveFleetRoom, onSocketEvent } from '../services/socket';
+import TripReplay from '../components/admin/TripReplay';
+import RouteGeometryEditor from '../components/admin/RouteGeometryEditor';
+import RouteStopMap from '../components/admin/RouteStopMap';
+import StopImportWizard from '../components/admin/StopImportWizard';
+import FleetMap, { isSignalStale } from '../components/admin/FleetMap';
+import { exportStops, STOP_FILE_FORMATS } from '../utils/stopFormats';
+import { buildGtfsFeed, validateGtfsFeed, zipGtfsFeed } from '../utils/gtfs';
+import { ROUTE_DIRECTIONS, hasInboundVariant, getDirectionStops } from '../utils/routeDirections';
+import { hasValidCoordinates } from '../utils/geo';
 
 // ✅ Toast notification
 const Toast = ({ message, type, onClose }) => {
@@ -62,6 +77,26 @@ const readFileAsDataUrl = (file) =>
     reader.readAsDataURL(file);
   });
 
+// Between snapshots the page ages signals itself: a bus goes stale when its
+// last update is too old, and the live/stale counts follow
+const withTrackingStatus = (dashboard, now = Date.now()) => {
+  const liveBuses = dashboard.liveBuses.map((busItem) => {
+    const trackingStatus = isSignalStale(busItem, now) ? 'stale' : 'live';
+    return busItem.trackingStatus === trackingStatus ? busItem : { ...busItem, trackingStatus };
+  });
+  const liveCount = liveBuses.filter((busItem) => busItem.trackingStatus === 'live').length;
+
+  return {
+    ...dashboard,
+    liveBuses,
+    stats: dashboard.stats && {
+      ...dashboard.stats,
+      liveBuses: liveCount,
+      staleBuses: liveBuses.length - liveCount
+    }
+  };
+};
+
 const AdminPage = () => {
   const { user, logout, updateProfile } = useAuth();
   const [activeTab, setActiveTab] = useState('live');
@@ -70,6 +105,9 @@ const AdminPage = () => {
   const [busStops, setBusStops] = useState([]);
   const [drivers, setDrivers] = useState([]);
   const [allUsers, setAllUsers] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [tripFilters, setTripFilters] = useState({ busId: '', driverId: '' });
+  const [replayTrip, setReplayTrip] = useState(null);
   const [liveDashboard, setLiveDashboard] = useState({
     stats: null,
     liveBuses: [],
@@ -78,6 +116,8 @@ const AdminPage = () => {
   });
   const [loading, setLoading] = useState(true);
   const [refreshingLiveOps, setRefreshingLiveOps] = useState(false);
+  const [showFleetMap, setShowFleetMap] = useState(false);
+  const liveBusIdsRef = useRef(new Set());
   const [showModal, setShowModal] = useState(false);
   const [modalType, setModalType] = useState('');
   const [editMode, setEditMode] = useState(false);
@@ -89,6 +129,10 @@ const AdminPage = () => {
   const [showListModal, setShowListModal] = useState(false);
   const [listModalType, setListModalType] = useState('');
   const [draggedIndex, setDraggedIndex] = useState(null); // ✅ NEW: For drag-and-drop
+  // Which stop sequence the route modal is editing when inbound has its own
+  const [routeStopsDirection, setRouteStopsDirection] = useState('outbound');
+  const [showStopImport, setShowStopImport] = useState(false);
+  const [exportingGtfs, setExportingGtfs] = useState(false);
 
   const showToast = useCallback((message, type = 'success') => {
     setToast({ message, type });
@@ -130,15 +174,75 @@ const AdminPage = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activeTab]);
 
+  useEffect(() => {
+    if (activeTab !== 'trips') return;
+    fetchTrips();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tripFilters]);
+
+  useEffect(() => {
+    liveBusIdsRef.current = new Set(liveDashboard.liveBuses.map((busItem) => busItem._id));
+  }, [liveDashboard.liveBuses]);
+
+  // The live tab starts from the snapshot fetchTabData loads and is then kept
+  // current by the fleet room. Buses it doesn't know yet (a trip just
+  // started) or that went offline fetch a fresh snapshot instead of being
+  // patched in.
   useEffect(() => {
     if (activeTab !== 'live') return undefined;
 
-    fetchLiveDashboard({ silent: true });
+    let refetching = false;
+    const refetchSnapshot = () => {
+      if (refetching) return;
+      refetching = true;
+      fetchLiveDashboard({ silent: true }).finally(() => {
+        refetching = false;
+      });
+    };
+
+    const updateLiveBus = (busId, changes) => {
+      if (!liveBusIdsRef.current.has(busId)) {
+        refetchSnapshot();
+        return;
+      }
+      setLiveDashboard((current) => withTrackingStatus({
+        ...current,
+        liveBuses: current.liveBuses.map((busItem) => (busItem._id === busId ? { ...busItem, ...changes(busItem) } : busItem))
+      }));
+    };
+
+    acquireSocket();
+    joinFleetRoom();
+    const unsubscribers = [
+      onSocketEvent('bus:location-update', (data) => {
+        if (!hasValidCoordinates(data.location)) return;
+        updateLiveBus(data.busId, (busItem) => ({
+          currentLocation: { latitude: data.location.latitude, longitude: data.location.longitude },
+          speed: data.speed,
+          heading: data.heading,
+          direction: data.direction || busItem.direction,
+          lastUpdate: data.timestamp || new Date().toISOString()
+        }));
+      }),
+      onSocketEvent('bus:trip-started', (data) => {
+        updateLiveBus(data.busId, (busItem) => ({
+          direction: data.direction || busItem.direction,
+          activeTrip: { ...busItem.activeTrip, _id: data.tripId, direction: data.direction, startTime: data.startTime || new Date().toISOString() }
+        }));
+      }),
+      onSocketEvent('bus:offline', refetchSnapshot)
+    ];
+
     const intervalId = setInterval(() => {
-      fetchLiveDashboard({ silent: true });
-    }, 15000);
+      setLiveDashboard((current) => withTrackingStatus(current));
+    }, 30000);
 
-    return () => clearInterval(intervalId);
+    return () => {
+      clearInterval(intervalId);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      leaveFleetRoom();
+      releaseSocket();
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activeTab]);
 
@@ -192,10 +296,7 @@ const AdminPage = () => {
         }
 
         if (results.length === 0) {
-          const res = await api.get('/bus-stops/external-search', {
-            params: { q: query }
-          });
-          results = res.data.results || [];
+          results = await stopsApi.searchExternalStops(query);
         }
 
         if (!cancelled) {
@@ -223,13 +324,13 @@ const AdminPage = () => {
 
   const fetchSharedData = async () => {
     try {
-      const [routesRes, stopsRes] = await Promise.all([
-        api.get('/routes').catch(() => ({ data: { routes: [] } })),
-        api.get('/bus-stops').catch(() => ({ data: { busStops: [] } })),
+      const [routeList, stopList] = await Promise.all([
+        routesApi.listRoutes().catch(() => []),
+        stopsApi.listStops().catch(() => []),
         fetchDriversData()
       ]);
-      setRoutes(routesRes.data.routes || []);
-      setBusStops(stopsRes.data.busStops || []);
+      setRoutes(routeList);
+      setBusStops(stopList);
     } catch (error) {
       console.error('Shared data fetch error:', error);
     }
@@ -237,18 +338,9 @@ const AdminPage = () => {
 
   const fetchDriversData = async () => {
     try {
-      try {
-        const res = await api.get('/users/drivers');
-        const driverList = res.data.drivers || [];
-        setDrivers(driverList);
-        return driverList;
-      } catch {
-        const res = await api.get('/users');
-        const users = res.data.users || res.data || [];
-        const driverList = users.filter(u => u.role === 'driver');
-        setDrivers(driverList);
-        return driverList;
-      }
+      const driverList = await usersApi.listDrivers();
+      setDrivers(driverList);
+      return driverList;
     } catch (error) {
       console.error('Fetch drivers error:', error);
       setDrivers([]);
@@ -262,20 +354,23 @@ const AdminPage = () => {
       if (activeTab === 'live') {
         await fetchLiveDashboard();
       } else if (activeTab === 'buses') {
-        const res = await api.get('/buses');
-        setBuses(res.data.buses || []);
+        setBuses(await busesApi.listBuses());
       } else if (activeTab === 'routes') {
-        const res = await api.get('/routes');
-        setRoutes(res.data.routes || []);
+        setRoutes(await routesApi.listRoutes());
       } else if (activeTab === 'stops') {
-        const res = await api.get('/bus-stops');
-        setBusStops(res.data.busStops || []);
+        setBusStops(await stopsApi.listStops());
       } else if (activeTab === 'drivers') {
-        const [busesRes] = await Promise.all([
-          api.get('/buses').catch(() => ({ data: { buses: [] } })),
+        const [busList] = await Promise.all([
+          busesApi.listBuses().catch(() => []),
           fetchAllUsers()
         ]);
-        setBuses(busesRes.data.buses || []);
+        setBuses(busList);
+      } else if (activeTab === 'trips') {
+        const [busList] = await Promise.all([
+          busesApi.listBuses().catch(() => []),
+          fetchTrips()
+        ]);
+        setBuses(busList);
       }
     } catch (error) {
       console.error('Tab data fetch error:', error);
@@ -290,17 +385,11 @@ const AdminPage = () => {
     }
 
     try {
-      const res = await api.get('/users/live-dashboard');
-      setLiveDashboard({
-        stats: res.data.stats || null,
-        liveBuses: res.data.liveBuses || [],
-        drivers: res.data.drivers || [],
-        generatedAt: res.data.generatedAt || null
-      });
+      setLiveDashboard(await usersApi.getLiveDashboard());
     } catch (error) {
       console.error('Fetch live dashboard error:', error);
       if (!silent) {
-        showToast('Failed to load live operations data', 'error');
+        showToast(getErrorMessage(error, 'Failed to load live operations data'), 'error');
       }
     } finally {
       if (silent) {
@@ -309,16 +398,41 @@ const AdminPage = () => {
     }
   };
 
+  const fetchTrips = async () => {
+    try {
+      const params = {};
+      if (tripFilters.busId) params.busId = tripFilters.busId;
+      if (tripFilters.driverId) params.driverId = tripFilters.driverId;
+
+      const tripList = (await tripsApi.listTrips(params))
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+      setTrips(tripList);
+    } catch (error) {
+      console.error('Fetch trips error:', error);
+      setTrips([]);
+      showToast(getErrorMessage(error, 'Failed to load trip history'), 'error');
+    }
+  };
+
+  // Stops in the order the trip ran them. Trips may carry only route ids, so
+  // fall back to the populated route list.
+  const getTripStops = (trip) => {
+    const tripStops = getDirectionStops(trip?.route, trip?.direction);
+    if (tripStops.length > 0 && tripStops[0]?.location) return tripStops;
+
+    const routeId = trip?.route?._id || trip?.route;
+    return getDirectionStops(routes.find((route) => route._id === routeId), trip?.direction);
+  };
+
+  const formatTripDuration = (trip) => {
+    if (!trip.startTime || !trip.endTime) return 'In progress';
+    const minutes = Math.round((new Date(trip.endTime) - new Date(trip.startTime)) / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+  };
+
   const fetchAllUsers = async () => {
     try {
-      try {
-        const res = await api.get('/users/drivers');
-        setAllUsers(res.data.drivers || []);
-      } catch {
-        const res = await api.get('/users');
-        const users = res.data.users || res.data || [];
-        setAllUsers(users.filter(u => u.role === 'driver'));
-      }
+      setAllUsers(await usersApi.listDrivers());
     } catch (error) {
       console.error('Fetch all users error:', error);
       setAllUsers([]);
@@ -337,46 +451,52 @@ const AdminPage = () => {
       };
 
       if (editMode) {
-        await api.put(`/buses/${editingId}`, busData);
+        await busesApi.updateBus(editingId, busData);
         showToast('Bus updated successfully!');
       } else {
-        await api.post('/buses', busData);
+        await busesApi.createBus(busData);
         showToast('Bus created successfully!');
       }
 
       closeModal();
-      const res = await api.get('/buses');
-      setBuses(res.data.buses || []);
+      setBuses(await busesApi.listBuses());
     } catch (error) {
-      showToast(error.response?.data?.message || `Failed to ${editMode ? 'update' : 'create'} bus`, 'error');
+      showToast(getErrorMessage(error, `Failed to ${editMode ? 'update' : 'create'} bus`), 'error');
     }
   };
 
   const handleCreateOrUpdateRoute = async (e) => {
     e.preventDefault();
+    if (formData.separateInbound && (formData.inboundStops || []).length < 2) {
+      setRouteStopsDirection('inbound');
+      showToast('Add at least two inbound stops, or untick the separate inbound option', 'error');
+      return;
+    }
     try {
       const routeData = {
         routeName: formData.routeName,
         routeNumber: formData.routeNumber,
         stops: formData.stops || [],
+        inboundStops: formData.separateInbound ? formData.inboundStops : [],
         startTime: formData.startTime,
         endTime: formData.endTime,
-        frequency: parseInt(formData.frequency) || 30
+        frequency: parseInt(formData.frequency) || 30,
+        geometry: formData.geometry || null,
+        inboundGeometry: formData.separateInbound ? formData.inboundGeometry || null : null
       };
 
       if (editMode) {
-        await api.put(`/routes/${editingId}`, routeData);
+        await routesApi.updateRoute(editingId, routeData);
         showToast('Route updated successfully!');
       } else {
-        await api.post('/routes', routeData);
+        await routesApi.createRoute(routeData);
         showToast('Route created successfully!');
       }
 
       closeModal();
-      const res = await api.get('/routes');
-      setRoutes(res.data.routes || []);
+      setRoutes(await routesApi.listRoutes());
     } catch (error) {
-      showToast(error.response?.data?.message || `Failed to ${editMode ? 'update' : 'create'} route`, 'error');
+      showToast(getErrorMessage(error, `Failed to ${editMode ? 'update' : 'create'} route`), 'error');
     }
   };
 
@@ -394,32 +514,31 @@ const AdminPage = () => {
       };
 
       if (editMode) {
-        await api.put(`/bus-stops/${editingId}`, stopData);
+        await stopsApi.updateStop(editingId, stopData);
         showToast('Bus stop updated successfully!');
       } else {
-        await api.post('/bus-stops', stopData);
+        await stopsApi.createStop(stopData);
         showToast('Bus stop created successfully!');
       }
 
       closeModal();
-      const res = await api.get('/bus-stops');
-      setBusStops(res.data.busStops || []);
+      setBusStops(await stopsApi.listStops());
     } catch (error) {
-      showToast(error.response?.data?.message || `Failed to ${editMode ? 'update' : 'create'} bus stop`, 'error');
+      showToast(getErrorMessage(error, `Failed to ${editMode ? 'update' : 'create'} bus stop`), 'error');
     }
   };
 
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this item?')) return;
     try {
-      const endpoint = {
-        buses: `/buses/${id}`,
-        routes: `/routes/${id}`,
-        stops: `/bus-stops/${id}`,
-        drivers: `/users/${id}`
+      const deleteItem = {
+        buses: busesApi.deleteBus,
+        routes: routesApi.deleteRoute,
+        stops: stopsApi.deleteStop,
+        drivers: usersApi.deleteUser
       }[activeTab];
 
-      await api.delete(endpoint);
+      await deleteItem(id);
       showToast('Deleted successfully!');
       fetchTabData();
 
@@ -427,20 +546,79 @@ const AdminPage = () => {
         fetchDriversData();
       }
     } catch (error) {
-      const errorMessage = error.response?.data?.message || error.message || 'Failed to delete';
-      showToast(`Delete failed: ${errorMessage}`, 'error');
+      showToast(`Delete failed: ${getErrorMessage(error, 'Failed to delete')}`, 'error');
     }
   };
 
   const downloadQRCode = async (stopId, stopName) => {
     try {
-      const res = await api.get(`/bus-stops/${stopId}/qr-code`);
+      const qrCode = await stopsApi.getStopQrCode(stopId);
       const link = document.createElement('a');
-      link.href = res.data.qrCode;
+      link.href = qrCode;
       link.download = `${stopName.replace(/\s+/g, '_')}-QR.png`;
       link.click();
     } catch (error) {
-      showToast('Failed to download QR code', 'error');
+      showToast(getErrorMessage(error, 'Failed to download QR code'), 'error');
+    }
+  };
+
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const exportStopList = (format) => {
+    const { content, fileName, mimeType, skipped } = exportStops(busStops, format);
+    downloadBlob(new Blob([content], { type: mimeType }), fileName);
+    if (skipped.length > 0) {
+      showToast(`${skipped.length} stop(s) without valid coordinates were left out: ${skipped.map((stop) => stop.stopName).join(', ')}`, 'error');
+    }
+  };
+
+  const exportGtfsFeed = async () => {
+    setExportingGtfs(true);
+    try {
+      // Always export what the server has, not what this tab last loaded
+      const [routeList, stopList] = await Promise.all([routesApi.listRoutes(), stopsApi.listStops()]);
+      const feed = buildGtfsFeed({
+        routes: routeList,
+        stops: stopList,
+        agency: {
+          name: process.env.REACT_APP_GTFS_AGENCY_NAME,
+          url: process.env.REACT_APP_GTFS_AGENCY_URL,
+          timezone: process.env.REACT_APP_GTFS_TIMEZONE
+        }
+      });
+
+      const { errors, warnings } = validateGtfsFeed(feed);
+      warnings.forEach((warning) => console.warn('GTFS export:', warning));
+      if (errors.length > 0) {
+        console.error('GTFS validation errors:', errors);
+        showToast(`GTFS feed is invalid: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`, 'error');
+        return;
+      }
+
+      downloadBlob(await zipGtfsFeed(feed), 'gtfs.zip');
+      const { routes: routeCount, trips: tripCount } = feed.summary;
+      showToast(`GTFS exported: ${routeCount} routes, ${tripCount} trips${warnings.length ? ` (${warnings.length} routes skipped)` : ''}`);
+    } catch (error) {
+      showToast(getErrorMessage(error, 'Failed to export GTFS feed'), 'error');
+    } finally {
+      setExportingGtfs(false);
+    }
+  };
+
+  const handleStopsImported = async (count) => {
+    if (count > 0) showToast(`Imported ${count} bus stop${count === 1 ? '' : 's'}`);
+    try {
+      setBusStops(await stopsApi.listStops());
+    } catch (error) {
+      console.error('Bus stop refresh error:', error);
     }
   };
 
@@ -450,6 +628,7 @@ const AdminPage = () => {
     setEditingId(null);
     setFormData({});
     setModalType('');
+    setRouteStopsDirection('outbound');
     setExternalStopResults([]);
     setSearchingStops(false);
     setExternalStopSearchError('');
@@ -461,6 +640,7 @@ const AdminPage = () => {
     setEditMode(false);
     setEditingId(null);
     setFormData({});
+    setRouteStopsDirection('outbound');
     setExternalStopResults([]);
     setSearchingStops(false);
     setExternalStopSearchError('');
@@ -485,10 +665,15 @@ const AdminPage = () => {
         routeName: item.routeName,
         routeNumber: item.routeNumber,
         stops: item.stops?.map(s => s._id) || [],
+        separateInbound: hasInboundVariant(item),
+        inboundStops: item.inboundStops?.map(s => s._id) || [],
         startTime: item.startTime,
         endTime: item.endTime,
-        frequency: item.frequency
+        frequency: item.frequency,
+        geometry: item.geometry || null,
+        inboundGeometry: item.inboundGeometry || null
       });
+      setRouteStopsDirection('outbound');
     } else if (type === 'stops') {
       setFormData({
         stopName: item.stopName,
@@ -500,30 +685,60 @@ const AdminPage = () => {
     }
   };
 
+  // The stop list and geometry the route modal is editing: outbound, or
+  // inbound when the route has its own inbound sequence
+  const editingInbound = formData.separateInbound && routeStopsDirection === 'inbound';
+  const routeStopsField = editingInbound ? 'inboundStops' : 'stops';
+  const editingStopIds = formData[routeStopsField];
+  const routeFormStopIds = editingStopIds || [];
+
+  const routeFormStops = useMemo(
+    () => (editingStopIds || []).map((stopId) => busStops.find((stop) => stop._id === stopId)).filter(Boolean),
+    [editingStopIds, busStops]
+  );
+
+  // The editor resolves routing asynchronously, so merge into the latest form state
+  const handleRouteGeometryChange = useCallback((geometry) => {
+    setFormData((prev) => ({ ...prev, geometry }));
+  }, []);
+
+  const handleInboundGeometryChange = useCallback((inboundGeometry) => {
+    setFormData((prev) => ({ ...prev, inboundGeometry }));
+  }, []);
+
+  // Starts the inbound sequence as the outbound one reversed, for editing
+  const toggleSeparateInbound = (separateInbound) => {
+    setFormData((prev) => ({
+      ...prev,
+      separateInbound,
+      inboundStops: separateInbound ? [...(prev.stops || [])].reverse() : [],
+      inboundGeometry: null
+    }));
+    setRouteStopsDirection(separateInbound ? 'inbound' : 'outbound');
+  };
+
   // ✅ NEW: Stop management functions
   const addStopToRoute = (stopId) => {
-    const currentStops = formData.stops || [];
-    setFormData({ ...formData, stops: [...currentStops, stopId] });
+    setFormData({ ...formData, [routeStopsField]: [...routeFormStopIds, stopId] });
   };
 
   const removeStopFromRoute = (index) => {
-    const currentStops = formData.stops || [];
-    const newStops = currentStops.filter((_, i) => i !== index);
-    setFormData({ ...formData, stops: newStops });
+    const newStops = routeFormStopIds.filter((_, i) => i !== index);
+    setFormData({ ...formData, [routeStopsField]: newStops });
   };
 
   const moveStopUp = (index) => {
     if (index === 0) return;
-    const currentStops = [...(formData.stops || [])];
+    const currentStops = [...routeFormStopIds];
     [currentStops[index - 1], currentStops[index]] = [currentStops[index], currentStops[index - 1]];
-    setFormData({ ...formData, stops: currentStops });
+    setFormData({ ...formData, [routeStopsField]: currentStops });
   };
 
   const moveStopDown = (index) => {
-    const currentStops = [...(formData.stops || [])];
+    const currentStops = [...routeFormStopIds];
     if (index === currentStops.length - 1) return;
     [currentStops[index], currentStops[index + 1]] = [currentStops[index + 1], currentStops[index]];
-    setFormData({ ...formData, stops: currentStops });
+    setFormData({ ...formData, [routeStopsField]: currentStops });
   };
 
   const handleDragStart = (e, index) => {
@@ -544,13 +759,13 @@ const AdminPage = () => {
       return;
     }
 
-    const currentStops = [...(formData.stops || [])];
+    const currentStops = [...routeFormStopIds];
     const draggedStop = currentStops[draggedIndex];
     
     currentStops.splice(draggedIndex, 1);
     currentStops.splice(dropIndex, 0, draggedStop);
     
-    setFormData({ ...formData, stops: currentStops });
+    setFormData({ ...formData, [routeStopsField]: currentStops });
     setDraggedIndex(null);
   };
 
@@ -561,25 +776,23 @@ const AdminPage = () => {
 
   const handleAssignDriver = async (driverId) => {
     try {
-      await api.put(`/buses/${selectedBusForDriver._id}`, { driverId });
+      await busesApi.updateBus(selectedBusForDriver._id, { driverId });
       setShowAssignDriverModal(false);
       showToast('Driver assigned successfully!');
-      const res = await api.get('/buses');
-      setBuses(res.data.buses || []);
+      setBuses(await busesApi.listBuses());
     } catch (error) {
-      showToast(error.response?.data?.message || 'Failed to assign driver', 'error');
+      showToast(getErrorMessage(error, 'Failed to assign driver'), 'error');
     }
   };
 
   const handleUnassignDriver = async (busId) => {
     if (!window.confirm('Are you sure you want to unassign this driver?')) return;
     try {
-      await api.put(`/buses/${busId}`, { driverId: null });
+      await busesApi.updateBus(busId, { driverId: null });
       showToast('Driver unassigned successfully!');
-      const res = await api.get('/buses');
-      setBuses(res.data.buses || []);
+      setBuses(await busesApi.listBuses());
     } catch (error) {
-      showToast(error.response?.data?.message || 'Failed to unassign driver', 'error');
+      showToast(getErrorMessage(error, 'Failed to unassign driver'), 'error');
     }
   };
 
@@ -642,7 +855,7 @@ const AdminPage = () => {
       setIsEditingProfile(false);
       showToast('Profile updated successfully!');
     } catch (error) {
-      showToast(error.response?.data?.message || 'Failed to update profile', 'error');
+      showToast(getErrorMessage(error, 'Failed to update profile'), 'error');
     } finally {
       setSavingProfile(false);
     }
@@ -653,7 +866,8 @@ const AdminPage = () => {
     buses: buses.length,
     routes: routes.length,
     stops: busStops.length,
-    drivers: drivers.length
+    drivers: drivers.length,
+    trips: trips.length
   };
 
   const liveStats = liveDashboard.stats;
@@ -742,6 +956,7 @@ const AdminPage = () => {
               { key: 'routes', label: 'Routes', icon: <RouteIcon size={20} /> },
               { key: 'stops', label: 'Bus Stops', icon: <MapPin size={20} /> },
               { key: 'drivers', label: 'Drivers', icon: <UserPlus size={20} /> },
+              { key: 'trips', label: 'Trips', icon: <History size={20} /> },
             ].map(tab => (
               <button
                 key={tab.key}
@@ -766,17 +981,27 @@ const AdminPage = () => {
                 : activeTab === 'buses' ? 'Manage Buses'
                 : activeTab === 'routes' ? 'Manage Routes'
                 : activeTab === 'stops' ? 'Manage Bus Stops'
+                : activeTab === 'trips' ? 'Trip History'
                 : 'Manage Drivers'}
             </h2>
             {activeTab === 'live' ? (
-              <button
-                onClick={() => fetchLiveDashboard({ silent: true })}
-                className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg transition"
-              >
-                <RefreshCw size={18} className={refreshingLiveOps ? 'animate-spin' : ''} />
-                Refresh
-              </button>
-            ) : activeTab !== 'drivers' && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowFleetMap(true)}
+                  className="flex items-center gap-2 bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition"
+                >
+                  <MapIcon size={18} />
+                  Fleet map
+                </button>
+                <button
+                  onClick={() => fetchLiveDashboard({ silent: true })}
+                  className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg transition"
+                >
+                  <RefreshCw size={18} className={refreshingLiveOps ? 'animate-spin' : ''} />
+                  Refresh
+                </button>
+              </div>
+            ) : activeTab !== 'drivers' && activeTab !== 'trips' && (
               <button onClick={() => openModal(activeTab)} className="flex items-center gap-2 bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition">
                 <Plus size={20} />
                 Add New
@@ -1065,6 +1290,16 @@ const AdminPage = () => {
               {/* ROUTES TAB */}
               {activeTab === 'routes' && (
                 <div className="space-y-4">
+                  <div className="flex justify-end">
+                    <button
+                      onClick={exportGtfsFeed}
+                      disabled={exportingGtfs || routes.length === 0}
+                      className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-3 py-2 rounded-lg text-sm transition disabled:opacity-50"
+                    >
+                      <Download size={16} className={exportingGtfs ? 'animate-pulse' : ''} />
+                      {exportingGtfs ? 'Exporting...' : 'Export GTFS'}
+                    </button>
+                  </div>
                   {routes.length === 0 ? (
                     <div className="text-center py-12 text-gray-500">No routes found. Create your first route!</div>
                   ) : (
@@ -1084,6 +1319,14 @@ const AdminPage = () => {
                                 </span>
                               )}
                             </p>
+                            {hasInboundVariant(route) && (
+                              <p className="text-sm text-gray-600">
+                                Inbound: {route.inboundStops.length}
+                                <span className="text-xs text-purple-600 ml-2">
+                                  ({route.inboundStops.map(s => s.stopName).join(' → ')})
+                                </span>
+                              </p>
+                            )}
                           </div>
                           <div className="flex gap-2 ml-4">
                             <button onClick={() => openEditModal('routes', route)} className="text-blue-600 hover:text-blue-800 transition" title="Edit">
@@ -1102,40 +1345,63 @@ const AdminPage = () => {
 
               {/* STOPS TAB */}
               {activeTab === 'stops' && (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {busStops.length === 0 ? (
-                    <div className="col-span-full text-center py-12 text-gray-500">No bus stops found. Create your first bus stop!</div>
-                  ) : (
-                    busStops.map((stop) => (
-                      <div key={stop._id} className="border rounded-lg p-4 hover:shadow-md transition">
-                        <h3 className="font-semibold text-lg mb-2 text-gray-800">{stop.stopName}</h3>
-                        <p className="text-sm text-gray-600 mb-2">Code: <span className="font-semibold">{stop.stopCode}</span></p>
-                        <p className="text-xs text-gray-500 mb-3">
-                          📍 {stop.location.latitude.toFixed(4)}, {stop.location.longitude.toFixed(4)}
-                        </p>
-                        {stop.address && <p className="text-xs text-gray-500 mb-3">{stop.address}</p>}
-                        {stop.qrCode && (
-                          <img src={stop.qrCode} alt="QR Code" className="w-32 h-32 mb-3 mx-auto border rounded" />
-                        )}
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => downloadQRCode(stop._id, stop.stopName)}
-                            className="flex-1 flex items-center justify-center gap-2 bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded text-sm transition"
-                          >
-                            <Download size={16} />
-                            QR
-                          </button>
-                          <button onClick={() => openEditModal('stops', stop)} className="bg-green-500 hover:bg-green-600 text-white px-3 py-2 rounded transition">
-                            <Edit size={16} />
-                          </button>
-                          <button onClick={() => handleDelete(stop._id)} className="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded transition">
-                            <Trash2 size={16} />
-                          </button>
+                <>
+                  <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <button
+                      onClick={() => setShowStopImport(true)}
+                      className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-3 py-2 rounded-lg text-sm transition"
+                    >
+                      <Upload size={16} />
+                      Import
+                    </button>
+                    <span className="text-sm text-gray-500 ml-2">Export:</span>
+                    {Object.entries(STOP_FILE_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        onClick={() => exportStopList(format)}
+                        disabled={busStops.length === 0}
+                        className="flex items-center gap-1 border-2 border-gray-300 hover:border-blue-500 px-3 py-1.5 rounded-lg text-sm font-semibold text-gray-700 transition disabled:opacity-50"
+                      >
+                        <Download size={14} />
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {busStops.length === 0 ? (
+                      <div className="col-span-full text-center py-12 text-gray-500">No bus stops found. Create your first bus stop!</div>
+                    ) : (
+                      busStops.map((stop) => (
+                        <div key={stop._id} className="border rounded-lg p-4 hover:shadow-md transition">
+                          <h3 className="font-semibold text-lg mb-2 text-gray-800">{stop.stopName}</h3>
+                          <p className="text-sm text-gray-600 mb-2">Code: <span className="font-semibold">{stop.stopCode}</span></p>
+                          <p className="text-xs text-gray-500 mb-3">
+                            📍 {stop.location.latitude.toFixed(4)}, {stop.location.longitude.toFixed(4)}
+                          </p>
+                          {stop.address && <p className="text-xs text-gray-500 mb-3">{stop.address}</p>}
+                          {stop.qrCode && (
+                            <img src={stop.qrCode} alt="QR Code" className="w-32 h-32 mb-3 mx-auto border rounded" />
+                          )}
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => downloadQRCode(stop._id, stop.stopName)}
+                              className="flex-1 flex items-center justify-center gap-2 bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded text-sm transition"
+                            >
+                              <Download size={16} />
+                              QR
+                            </button>
+                            <button onClick={() => openEditModal('stops', stop)} className="bg-green-500 hover:bg-green-600 text-white px-3 py-2 rounded transition">
+                              <Edit size={16} />
+                            </button>
+                            <button onClick={() => handleDelete(stop._id)} className="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded transition">
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
                         </div>
-                      </div>
-                    ))
-                  )}
-                </div>
+                      ))
+                    )}
+                  </div>
+                </>
               )}
 
               {/* DRIVERS TAB */}
@@ -1190,6 +1456,86 @@ const AdminPage = () => {
                   </table>
                 </div>
               )}
+
+              {/* TRIPS TAB */}
+              {activeTab === 'trips' && (
+                <div className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <select
+                      value={tripFilters.busId}
+                      onChange={(e) => setTripFilters({ ...tripFilters, busId: e.target.value })}
+                      className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                    >
+                      <option value="">All buses</option>
+                      {buses.map(busItem => (
+                        <option key={busItem._id} value={busItem._id}>{busItem.busName} ({busItem.busNumber})</option>
+                      ))}
+                    </select>
+                    <select
+                      value={tripFilters.driverId}
+                      onChange={(e) => setTripFilters({ ...tripFilters, driverId: e.target.value })}
+                      className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                    >
+                      <option value="">All drivers</option>
+                      {drivers.map(driver => (
+                        <option key={driver._id} value={driver._id}>{driver.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          {['Bus', 'Driver', 'Route', 'Started', 'Duration', 'Actions'].map(h => (
+                            <th key={h} className="px-4 py-3 text-left text-sm font-semibold text-gray-700">{h}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {trips.length === 0 ? (
+                          <tr>
+                            <td colSpan="6" className="px-4 py-8 text-center text-gray-500">
+                              No trips recorded yet for this selection.
+                            </td>
+                          </tr>
+                        ) : (
+                          trips.map((tripItem) => (
+                            <tr key={tripItem._id} className="hover:bg-gray-50">
+                              <td className="px-4 py-3">
+                                <p className="font-semibold text-gray-900">{tripItem.bus?.busName || 'Unknown bus'}</p>
+                                <p className="text-sm text-gray-500">{tripItem.bus?.busNumber || ''}</p>
+                              </td>
+                              <td className="px-4 py-3">{tripItem.driver?.name || 'Unknown driver'}</td>
+                              <td className="px-4 py-3">{tripItem.route?.routeName || 'No route'}</td>
+                              <td className="px-4 py-3">
+                                <p className="text-sm font-medium text-gray-800">{new Date(tripItem.startTime).toLocaleDateString()}</p>
+                                <p className="text-xs text-gray-500">{new Date(tripItem.startTime).toLocaleTimeString()}</p>
+                              </td>
+                              <td className="px-4 py-3">
+                                <span className={`inline-flex px-3 py-1 rounded-full text-xs font-semibold ${
+                                  tripItem.endTime ? 'bg-gray-100 text-gray-800' : 'bg-green-100 text-green-800'
+                                }`}>
+                                  {formatTripDuration(tripItem)}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3">
+                                <button
+                                  onClick={() => setReplayTrip(tripItem)}
+                                  className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-semibold text-sm"
+                                >
+                                  <PlayCircle size={16} />
+                                  Replay
+                                </button>
+                              </td>
+                            </tr>
+                          ))
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -1198,7 +1544,7 @@ const AdminPage = () => {
       {/* CREATE/EDIT MODAL */}
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+          <div className={`bg-white rounded-lg p-6 ${modalType === 'routes' ? 'max-w-4xl' : 'max-w-2xl'} w-full max-h-[90vh] overflow-y-auto`}>
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-xl font-bold">
                 {editMode ? 'Edit' : 'Add New'}{' '}
@@ -1276,13 +1622,58 @@ const AdminPage = () => {
                     <input type="number" placeholder="e.g., 30" min="5" value={formData.frequency || '30'} onChange={(e) => setFormData({ ...formData, frequency: e.target.value })} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
                   </div>
                   
+                  {/* Outbound / inbound stop sequences */}
+                  <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                    <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={!!formData.separateInbound}
+                        onChange={(e) => toggleSeparateInbound(e.target.checked)}
+                      />
+                      Inbound runs on different streets or stops
+                    </label>
+                    {formData.separateInbound ? (
+                      <div className="flex gap-2">
+                        {ROUTE_DIRECTIONS.map((direction) => {
+                          const count = (formData[direction === 'inbound' ? 'inboundStops' : 'stops'] || []).length;
+                          return (
+                            <button
+                              key={direction}
+                              type="button"
+                              onClick={() => setRouteStopsDirection(direction)}
+                              className={`flex-1 px-3 py-2 rounded-lg text-sm font-semibold border-2 transition ${
+                                routeStopsDirection === direction
+                                  ? 'bg-blue-600 border-blue-600 text-white'
+                                  : 'bg-white border-gray-300 text-gray-700 hover:border-blue-500'
+                              }`}
+                            >
+                              {direction === 'inbound' ? 'Inbound' : 'Outbound'} ({count} stops)
+                            </button>
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <p className="text-xs text-gray-500">Inbound buses run the stops below in reverse order.</p>
+                    )}
+                  </div>
+
                   {/* ✅ NEW: Ordered Stop Selection */}
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">
-                      Add Bus Stops in Order
-                      {formData.stops?.length > 0 && ` (${formData.stops.length} stops)`}
+                      {formData.separateInbound ? `Add ${editingInbound ? 'Inbound' : 'Outbound'} Stops in Order` : 'Add Bus Stops in Order'}
+                      {routeFormStopIds.length > 0 && ` (${routeFormStopIds.length} stops)`}
                     </label>
                     
+                    {/* Map picker, kept in sync with the list below */}
+                    <div className="mb-4">
+                      <RouteStopMap
+                        busStops={busStops}
+                        selectedStopIds={routeFormStopIds}
+                        onAddStop={addStopToRoute}
+                        onRemoveStop={removeStopFromRoute}
+                      />
+                    </div>
+
                     {/* Available Stops */}
                     <div className="mb-4">
                       <p className="text-sm text-gray-600 mb-2">📍 Available Stops (click to add):</p>
@@ -1292,7 +1683,7 @@ const AdminPage = () => {
                         ) : (
                           <div className="flex flex-wrap gap-2">
                             {busStops
-                              .filter(stop => !(formData.stops || []).includes(stop._id))
+                              .filter(stop => !routeFormStopIds.includes(stop._id))
                               .map((stop) => (
                                 <button
                                   key={stop._id}
@@ -1314,13 +1705,13 @@ const AdminPage = () => {
                         🚏 Route Order (drag to reorder, use arrows, or click ✕ to remove):
                       </p>
                       <div className="border-2 border-blue-300 rounded-lg p-3 min-h-[120px] bg-blue-50">
-                        {(!formData.stops || formData.stops.length === 0) ? (
+                        {routeFormStopIds.length === 0 ? (
                           <div className="flex items-center justify-center h-20 text-gray-400">
                             <p className="text-sm">No stops added yet. Click stops above to add them.</p>
                           </div>
                         ) : (
                           <div className="space-y-2">
-                            {formData.stops.map((stopId, index) => {
+                            {routeFormStopIds.map((stopId, index) => {
                               const stop = busStops.find(s => s._id === stopId);
                               if (!stop) return null;
                               
@@ -1364,9 +1755,9 @@ const AdminPage = () => {
                                     <button
                                       type="button"
                                       onClick={() => moveStopDown(index)}
-                                      disabled={index === formData.stops.length - 1}
+                                      disabled={index === routeFormStopIds.length - 1}
                                       className={`p-1 rounded transition ${
-                                        index === formData.stops.length - 1
+                                        index === routeFormStopIds.length - 1
                                           ? 'text-gray-300 cursor-not-allowed'
                                           : 'text-blue-600 hover:bg-blue-100'
                                       }`}
@@ -1410,6 +1801,14 @@ const AdminPage = () => {
                       </div>
                     </div>
                   </div>
+
+                  {/* Road geometry saved with the route */}
+                  <RouteGeometryEditor
+                    key={routeStopsField}
+                    stops={routeFormStops}
+                    geometry={editingInbound ? formData.inboundGeometry : formData.geometry}
+                    onChange={editingInbound ? handleInboundGeometryChange : handleRouteGeometryChange}
+                  />
                 </div>
               )}
 
@@ -1673,6 +2072,46 @@ const AdminPage = () => {
         </div>
       )}
 
+      {showFleetMap && activeTab === 'live' && (
+        <FleetMap
+          buses={liveDashboard.liveBuses}
+          routes={routes}
+          onClose={() => setShowFleetMap(false)}
+        />
+      )}
+
+      {/* STOP IMPORT WIZARD */}
+      {showStopImport && (
+        <StopImportWizard
+          existingStops={busStops}
+          onClose={() => setShowStopImport(false)}
+          onImported={handleStopsImported}
+        />
+      )}
+
+      {/* TRIP REPLAY MODAL */}
+      {replayTrip && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl p-6 max-w-6xl w-full max-h-[92vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-5">
+              <div>
+                <h3 className="text-2xl font-bold text-gray-900">
+                  Trip Replay — {replayTrip.bus?.busName || 'Bus'}
+                </h3>
+                <p className="text-sm text-gray-500 mt-1">
+                  {replayTrip.route?.routeName || 'No route'} • {replayTrip.driver?.name || 'Unknown driver'} •{' '}
+                  {new Date(replayTrip.startTime).toLocaleString()}
+                </p>
+              </div>
+              <button onClick={() => setReplayTrip(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={24} />
+              </button>
+            </div>
+            <TripReplay trip={replayTrip} stops={getTripStops(replayTrip)} />
+          </div>
+        </div>
+      )}
+
       {/* ASSIGN DRIVER MODAL */}
       {showAssignDriverModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
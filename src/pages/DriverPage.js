@@ -1,10 +1,24 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { MapPin, Play, Square, AlertCircle, Map as MapIconLucide, Satellite, Route as RouteIcon, Wifi, WifiOff, Camera, Clock3, X, Menu } from 'lucide-react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
 import L from 'leaflet';
-import io from 'socket.io-client';
-import api from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { onSocketEvent, joinBusRoom, leaveBusRoom, startLocationSharing, stopLocationSharing } from '../services/socket';
+import * as driverApi from '../services/driverApi';
+import { getErrorMessage } from '../services/apiError';
+import { getChunkedRoute } from '../services/routing';
+import AnimatedBusMarker, { getBusIcon } from '../components/common/AnimatedBusMarker';
+import { getStoredRouteCoordinates } from '../utils/routeGeometry';
+import { getDirectionStops, getDirectionGeometry, getDirectionLabel, detectStartDirection } from '../utils/routeDirections';
+import PreTripModal from '../components/driver/PreTripModal';
+import {
+  enqueueLocation,
+  getPendingLocations,
+  markSentToSocket,
+  countPendingLocations,
+  removeLocations
+} from '../services/locationQueue';
 import 'leaflet/dist/leaflet.css';
 
 delete L.Icon.Default.prototype._getIconUrl;
@@ -14,13 +28,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-const busIcon = new L.divIcon({
-  html: '<div style="background:#3B82F6;border-radius:50%;width:35px;height:35px;display:flex;align-items:center;justify-content:center;border:3px solid white;box-shadow:0 2px 8px rgba(0,0,0,0.3);"><span style="color:white;font-size:22px;">🚌</span></div>',
-  className: '',
-  iconSize: [35, 35],
-  iconAnchor: [17, 17]
-});
-
 const routeStopIcon = new L.divIcon({
   html: '<div style="background:#10B981;border:2px solid white;border-radius:50%;width:16px;height:16px;box-shadow:0 2px 4px rgba(0,0,0,0.2);"></div>',
   className: '',
@@ -81,8 +88,14 @@ const readFileAsDataUrl = (file) =>
 
 const DriverPage = () => {
   const { user, logout, updateProfile } = useAuth();
+  const { socket, status: socketStatus } = useSocket();
   const [bus, setBus] = useState(null);
   const [trip, setTrip] = useState(null);
+  const [showPreTrip, setShowPreTrip] = useState(false);
+  // Direction the bus is parked to start, from GPS, offered in the pre-trip screen
+  const [suggestedDirection, setSuggestedDirection] = useState(null);
+  const [detectingDirection, setDetectingDirection] = useState(false);
+  const [startingTrip, setStartingTrip] = useState(false);
   const [isSharing, setIsSharing] = useState(false);
   const [location, setLocation] = useState(null);
   const [speed, setSpeed] = useState(0);
@@ -91,7 +104,7 @@ const DriverPage = () => {
   const [mapType, setMapType] = useState('street');
   const [routeCoordinates, setRouteCoordinates] = useState([]);
   const [totalRouteDistance, setTotalRouteDistance] = useState(null);
-  const [socketConnected, setSocketConnected] = useState(false);
+  const [pendingLocations, setPendingLocations] = useState(0);
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showHeaderMenu, setShowHeaderMenu] = useState(false);
   const [isEditingProfile, setIsEditingProfile] = useState(false);
@@ -103,16 +116,21 @@ const DriverPage = () => {
     bio: ''
   });
 
-  const socketRef = useRef(null);
   const watchIdRef = useRef(null);
+  const flushingRef = useRef(false);
+  const flushRequestedRef = useRef(false);
 
   // ✅ FIX: Keep refs in sync with state so cleanup/socket callbacks
   // always have fresh values without stale closure problems
   const busRef = useRef(null);
-  const isActiveTripRef = useRef(false);
+  const tripDirectionRef = useRef(null);
 
   useEffect(() => { busRef.current = bus; }, [bus]);
-  useEffect(() => { isActiveTripRef.current = !!trip; }, [trip]);
+  useEffect(() => { tripDirectionRef.current = trip?.direction || null; }, [trip]);
+
+  // The active trip's direction; outbound while no trip is running
+  const routeDirection = trip?.direction || 'outbound';
+  const directionStops = useMemo(() => getDirectionStops(bus?.route, routeDirection), [bus, routeDirection]);
   useEffect(() => {
     if (!user) return;
 
@@ -127,123 +145,165 @@ const DriverPage = () => {
   useEffect(() => {
     fetchBus();
 
-    const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-    socketRef.current = io(SOCKET_URL, {
-      transports: ['websocket', 'polling'],
-      withCredentials: true,
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionAttempts: 10
-    });
-
-    socketRef.current.on('connect', () => {
-      console.log('✅ Socket connected:', socketRef.current.id);
-      setSocketConnected(true);
-
-      // ✅ FIX: On reconnect, re-announce sharing if trip is active
-      // Uses ref so this always has the latest bus/trip state
-      if (isActiveTripRef.current && busRef.current) {
-        console.log('🔄 Reconnected — resuming location sharing for bus:', busRef.current._id);
-        socketRef.current.emit('driver:start-sharing', {
-          busId: busRef.current._id,
-          driverId: user.id
-        });
-      }
-    });
-
-    socketRef.current.on('disconnect', (reason) => {
-      console.log('❌ Socket disconnected:', reason);
-      setSocketConnected(false);
-    });
-
-    socketRef.current.on('connect_error', (error) => {
-      console.error('🔴 Socket connection error:', error.message);
-      setSocketConnected(false);
-    });
-
-    socketRef.current.on('driver:sharing-started', (data) => {
-      console.log('✅ Sharing confirmed by server:', data);
-    });
+    // The socket service re-announces location sharing after a reconnect
+    const unsubscribers = [
+      onSocketEvent('connect', () => {
+        console.log('✅ Socket connected:', socket.id);
+        // Anything buffered while we were offline is replayed now, in order
+        flushLocationQueue();
+      }),
+      onSocketEvent('disconnect', (reason) => {
+        console.log('❌ Socket disconnected:', reason);
+      }),
+      onSocketEvent('connect_error', (error) => {
+        console.error('🔴 Socket connection error:', error.message);
+      }),
+      onSocketEvent('driver:sharing-started', (data) => {
+        console.log('✅ Sharing confirmed by server:', data);
+      })
+    ];
+
+    const handleOnline = () => flushLocationQueue();
+    window.addEventListener('online', handleOnline);
 
     return () => {
+      window.removeEventListener('online', handleOnline);
       // ✅ FIX: stopSharing reads from ref, not the stale closure `bus`
       stopSharingWithRef();
-      if (socketRef.current) socketRef.current.disconnect();
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Messages for the assigned bus, for as long as it stays assigned
+  const busId = bus?._id;
   useEffect(() => {
-    if (bus?.route?.stops) {
-      fetchCompleteRouteWithRoads(bus.route.stops);
+    if (!busId) return undefined;
+    joinBusRoom(busId);
+    return () => leaveBusRoom(busId);
+  }, [busId]);
+
+  useEffect(() => {
+    if (socketStatus === 'unauthorized') {
+      setError('The live connection was refused. Sign in again to keep sharing your location.');
     }
-  }, [bus]);
+  }, [socketStatus]);
 
-  const fetchCompleteRouteWithRoads = async (stops) => {
-    try {
-      if (stops.length < 2) return;
-
-      const coordinates = stops
-        .map(stop => `${stop.location.longitude},${stop.location.latitude}`)
-        .join(';');
-
-      const url = `https://router.project-osrm.org/route/v1/driving/${coordinates}?overview=full&geometries=geojson`;
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.code === 'Ok' && data.routes?.length > 0) {
-        const route = data.routes[0];
-        const coords = route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
-        setRouteCoordinates(coords);
-        setTotalRouteDistance((route.distance / 1000).toFixed(2));
-      } else {
-        setRouteCoordinates(stops.map(stop => [stop.location.latitude, stop.location.longitude]));
+  // Keep retrying while fixes are waiting — `online` events are not reliable
+  // on every mobile browser, and the server may be down even when we're online
+  const hasPendingLocations = pendingLocations > 0;
+  useEffect(() => {
+    if (!bus || !hasPendingLocations) return undefined;
+
+    const intervalId = setInterval(() => flushLocationQueue(), 15000);
+    return () => clearInterval(intervalId);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bus, hasPendingLocations]);
+
+  useEffect(() => {
+    if (bus?.route?.stops) {
+      fetchCompleteRouteWithRoads(bus.route, directionStops, routeDirection);
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bus, directionStops]);
+
+  const fetchCompleteRouteWithRoads = async (busRoute, stops, direction) => {
+    if (stops.length < 2) return;
+
+    // Geometry saved by the admin route editor needs no routing request at all
+    const storedCoordinates = getStoredRouteCoordinates(busRoute, stops);
+    if (storedCoordinates) {
+      setRouteCoordinates(storedCoordinates);
+      const geometry = getDirectionGeometry(busRoute, direction);
+      if (geometry?.distanceKm) {
+        setTotalRouteDistance(Number(geometry.distanceKm).toFixed(2));
       }
-    } catch (error) {
-      console.error('Error fetching route:', error);
-      setRouteCoordinates(stops.map(stop => [stop.location.latitude, stop.location.longitude]));
+      return;
+    }
+
+    const route = await getChunkedRoute(stops.map(stop => stop.location));
+    setRouteCoordinates(route.coordinates);
+    if (!route.isFallback) {
+      setTotalRouteDistance(route.distanceKm.toFixed(2));
     }
   };
 
   const fetchBus = async () => {
     try {
-      const response = await api.get('/driver/my-bus');
-      setBus(response.data.bus);
+      const myBus = await driverApi.getMyBus();
+      setBus(myBus);
+      busRef.current = myBus;
+
+      // Fixes left over from a previous session (e.g. app closed while offline)
+      flushLocationQueue();
 
       try {
-        const tripResponse = await api.get('/driver/current-trip');
-        if (tripResponse.data.trip) {
-          setTrip(tripResponse.data.trip);
+        const currentTrip = await driverApi.getCurrentTrip();
+        if (currentTrip) {
+          setTrip(currentTrip);
           // Resume sharing if there's already an active trip (e.g. page refresh)
-          startSharing(response.data.bus);
+          startSharing(myBus);
         }
       } catch {
         // No active trip — normal
       }
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to fetch bus');
+      setError(getErrorMessage(err, 'Failed to fetch bus'));
     } finally {
       setLoading(false);
     }
   };
 
-  const startTrip = async () => {
+  // The pre-trip screen opens straight away; the GPS suggestion fills in
+  // when it arrives
+  const openPreTrip = () => {
+    setShowPreTrip(true);
+    setSuggestedDirection(null);
+    if (!navigator.geolocation) return;
+
+    setDetectingDirection(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setSuggestedDirection(detectStartDirection(bus.route, coords));
+        setDetectingDirection(false);
+      },
+      () => setDetectingDirection(false),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 30000 }
+    );
+  };
+
+  const startTrip = async (preTrip) => {
+    setStartingTrip(true);
     try {
-      const response = await api.post('/driver/start-trip', { busId: bus._id });
-      setTrip(response.data.trip);
+      const createdTrip = await driverApi.startTrip(bus._id, preTrip);
+      const startedTrip = { direction: preTrip.direction, ...createdTrip };
+      setTrip(startedTrip);
+      setShowPreTrip(false);
+      console.log('🧭 Trip direction:', startedTrip.direction);
+
+      // Passengers switch to the new destination before the first fix arrives
+      socket.emit('driver:trip-started', {
+        busId: bus._id,
+        tripId: startedTrip._id,
+        direction: startedTrip.direction,
+        firstStopId: preTrip.firstStopId
+      });
       startSharing(bus);
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to start trip');
+      setError(getErrorMessage(err, 'Failed to start trip'));
+      setShowPreTrip(false);
+    } finally {
+      setStartingTrip(false);
     }
   };
 
   const endTrip = async () => {
     try {
-      await api.post('/driver/end-trip', { tripId: trip._id });
+      await driverApi.endTrip(trip._id);
       setTrip(null);
       stopSharingWithRef();
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to end trip');
+      setError(getErrorMessage(err, 'Failed to end trip'));
     }
   };
 
@@ -259,10 +319,8 @@ const DriverPage = () => {
 
     setIsSharing(true);
 
-    socketRef.current.emit('driver:start-sharing', {
-      busId: targetBus._id,
-      driverId: user.id
-    });
+    // The server takes the driver from the socket's token
+    startLocationSharing(targetBus._id);
 
     console.log('📍 Started sharing location for bus:', targetBus._id);
 
@@ -272,9 +330,9 @@ const DriverPage = () => {
 
     watchIdRef.current = navigator.geolocation.watchPosition(
       (position) => {
-        const { latitude, longitude, speed: gpsSpeed } = position.coords;
+        const { latitude, longitude, speed: gpsSpeed, heading } = position.coords;
 
-        const locationData = { latitude, longitude, timestamp: new Date() };
+        const locationData = { latitude, longitude, heading, timestamp: new Date() };
         setLocation(locationData);
 
         // ✅ FIX: Calculate speed from position delta if GPS doesn't provide it
@@ -299,22 +357,15 @@ const DriverPage = () => {
 
         setSpeed(Math.min(speedKmh, 200).toFixed(1)); // Cap at 200 km/h for display sanity
 
-        if (socketRef.current?.connected) {
-          socketRef.current.emit('driver:location-update', {
-            busId: targetBus._id,
-            latitude,
-            longitude,
-            speed: speedKmh,
-            heading: position.coords.heading || 0
-          });
-        }
-
-        api.post('/driver/save-location', {
+        queueLocation({
           busId: targetBus._id,
           latitude,
           longitude,
-          speed: speedKmh
-        }).catch(console.error);
+          speed: speedKmh,
+          heading: position.coords.heading || 0,
+          direction: tripDirectionRef.current,
+          timestamp: new Date(position.timestamp).toISOString()
+        });
       },
       (err) => {
         console.error('Location error:', err);
@@ -328,6 +379,80 @@ const DriverPage = () => {
     );
   };
 
+  // Every fix goes through the persistent queue so nothing taken offline is
+  // lost. One emitted live is queued as already sent so replay skips it. If
+  // IndexedDB is unavailable we save it directly.
+  const queueLocation = async (fix) => {
+    const sentToSocket = socket.connected;
+    if (sentToSocket) {
+      socket.emit('driver:location-update', fix);
+    }
+
+    try {
+      await enqueueLocation({ ...fix, sentToSocket });
+      setPendingLocations((prev) => prev + 1);
+    } catch (queueError) {
+      console.error('Location queue unavailable, saving directly:', queueError);
+      driverApi.saveLocations(fix.busId, [fix]).catch(console.error);
+      return;
+    }
+
+    flushLocationQueue();
+  };
+
+  // Replays queued fixes oldest-first: on the socket (flagged `replayed` so
+  // the server doesn't treat them as the bus's current position) and to the
+  // API in batches. A failed save leaves the batch in the queue for the next
+  // attempt; fixes already replayed on the socket are not emitted again.
+  const flushLocationQueue = async () => {
+    const currentBus = busRef.current;
+    if (!currentBus) return;
+    if (flushingRef.current) {
+      flushRequestedRef.current = true;
+      return;
+    }
+
+    flushingRef.current = true;
+    flushRequestedRef.current = false;
+    try {
+      for (;;) {
+        const batch = await getPendingLocations(currentBus._id, 50);
+        if (batch.length === 0) break;
+
+        const unsent = batch.filter((item) => !item.sentToSocket);
+        if (unsent.length > 0 && socket.connected) {
+          unsent.forEach(({ id, sentToSocket, ...fix }) => {
+            socket.emit('driver:location-update', { ...fix, replayed: true });
+          });
+          await markSentToSocket(unsent.map((item) => item.id));
+        }
+
+        try {
+          // Everything the fix was queued with; `id` and `sentToSocket` are
+          // only the queue's bookkeeping
+          await driverApi.saveLocations(currentBus._id, batch.map(({ id, sentToSocket, ...fix }) => fix));
+        } catch (saveError) {
+          console.error(`Failed to sync ${batch.length} buffered location(s):`, saveError.message);
+          break;
+        }
+
+        await removeLocations(batch.map((item) => item.id));
+      }
+    } catch (queueError) {
+      console.error('Location queue flush failed:', queueError);
+    } finally {
+      flushingRef.current = false;
+      countPendingLocations(currentBus._id)
+        .then(setPendingLocations)
+        .catch(() => {});
+
+      // A fix arrived mid-flush and skipped its own flush — pick it up now
+      if (flushRequestedRef.current && navigator.onLine) {
+        flushLocationQueue();
+      }
+    }
+  };
+
   // ✅ FIX: Uses busRef.current so cleanup always has the right bus ID,
   // even when called from useEffect cleanup where `bus` state would be stale
   const stopSharingWithRef = () => {
@@ -337,8 +462,8 @@ const DriverPage = () => {
     }
 
     const currentBus = busRef.current;
-    if (socketRef.current && currentBus) {
-      socketRef.current.emit('driver:stop-sharing', { busId: currentBus._id });
+    if (currentBus) {
+      stopLocationSharing(currentBus._id);
       console.log('🛑 Stopped sharing for bus:', currentBus._id);
     }
 
@@ -364,7 +489,7 @@ const DriverPage = () => {
       await updateProfile(profileForm);
       setIsEditingProfile(false);
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to update profile');
+      setError(getErrorMessage(err, 'Failed to update profile'));
     } finally {
       setSavingProfile(false);
     }
@@ -455,10 +580,10 @@ const DriverPage = () => {
           </div>
           <div className="flex items-center gap-2">
             <div className={`flex items-center gap-1.5 text-sm font-semibold px-3 py-1.5 rounded-full ${
-              socketConnected ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+              socketStatus === 'connected' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
             }`}>
-              {socketConnected ? <Wifi size={14} /> : <WifiOff size={14} />}
-              {socketConnected ? 'Connected' : 'Reconnecting...'}
+              {socketStatus === 'connected' ? <Wifi size={14} /> : <WifiOff size={14} />}
+              {{ connected: 'Connected', unauthorized: 'Sign in again' }[socketStatus] || 'Reconnecting...'}
             </div>
             <button
               onClick={() => setShowHeaderMenu((prev) => !prev)}
@@ -498,6 +623,11 @@ const DriverPage = () => {
             <p className="text-sm font-semibold text-gray-500">Live Broadcast</p>
             <p className="text-2xl font-bold text-gray-900 mt-2">{isSharing ? 'Online' : 'Offline'}</p>
             <p className="text-sm text-gray-500 mt-1">Passenger updates are {isSharing ? 'being sent live' : 'currently paused'}</p>
+            {pendingLocations > 0 && (
+              <p className="text-xs font-semibold text-amber-700 bg-amber-50 px-2 py-1 rounded-lg mt-2 inline-block">
+                {pendingLocations} location point{pendingLocations === 1 ? '' : 's'} waiting to sync
+              </p>
+            )}
           </div>
           <div className="bg-white rounded-2xl shadow-md p-5">
             <p className="text-sm font-semibold text-gray-500">Current Speed</p>
@@ -585,7 +715,7 @@ const DriverPage = () => {
                     <Polyline positions={routeCoordinates} color="#3B82F6" weight={5} opacity={0.7} />
                   )}
 
-                  {bus.route?.stops?.map((stop, index) => (
+                  {directionStops.map((stop, index) => (
                     <Marker
                       key={stop._id}
                       position={[stop.location.latitude, stop.location.longitude]}
@@ -598,14 +728,19 @@ const DriverPage = () => {
                     </Marker>
                   ))}
 
-                  {/* ✅ Bus marker position updates automatically as `location` state changes */}
-                  <Marker position={[location.latitude, location.longitude]} icon={busIcon}>
+                  {/* Bus marker glides to each new `location` and snaps onto the route line */}
+                  <AnimatedBusMarker
+                    position={[location.latitude, location.longitude]}
+                    heading={location.heading}
+                    snapTo={routeCoordinates}
+                    icon={getBusIcon({ size: 35 })}
+                  >
                     <Popup>
                       <strong>{bus.busName}</strong><br />
                       Speed: {speed} km/h<br />
                       Status: {isSharing ? 'Live Broadcasting' : 'Offline'}
                     </Popup>
-                  </Marker>
+                  </AnimatedBusMarker>
 
                   {/* ✅ FIX: Smooth pan instead of jarring setView + zoom reset */}
                   <SmoothMapFollow center={[location.latitude, location.longitude]} />
@@ -668,7 +803,7 @@ const DriverPage = () => {
 
               {!trip ? (
                 <button
-                  onClick={startTrip}
+                  onClick={openPreTrip}
                   className="w-full bg-green-500 hover:bg-green-600 text-white font-semibold py-4 px-6 rounded-lg flex items-center justify-center gap-2 transition text-lg"
                 >
                   <Play size={22} />
@@ -684,6 +819,9 @@ const DriverPage = () => {
                       </span>
                     </div>
                     <p className="text-sm text-gray-600">Route: {trip.route?.routeName}</p>
+                    {trip.direction && (
+                      <p className="text-sm text-gray-600">Direction: {getDirectionLabel(bus.route, trip.direction)}</p>
+                    )}
                     {isSharing && (
                       <div className="mt-2 flex items-center gap-2 text-green-600 text-sm font-semibold">
                         <span className="relative flex h-2 w-2">
@@ -693,6 +831,12 @@ const DriverPage = () => {
                         Broadcasting to passengers
                       </div>
                     )}
+                    {pendingLocations > 0 && (
+                      <div className="mt-2 flex items-center gap-2 text-amber-700 text-sm font-semibold">
+                        <WifiOff size={14} />
+                        {pendingLocations} point{pendingLocations === 1 ? '' : 's'} saved offline — will replay when back online
+                      </div>
+                    )}
                   </div>
 
                   <button
@@ -706,11 +850,11 @@ const DriverPage = () => {
               )}
             </div>
 
-            {bus.route?.stops && (
+            {directionStops.length > 0 && (
               <div className="bg-white rounded-lg shadow-md p-6">
-                <h2 className="text-xl font-semibold mb-4">Route Stops ({bus.route.stops.length})</h2>
+                <h2 className="text-xl font-semibold mb-4">Route Stops ({directionStops.length})</h2>
                 <div className="space-y-2 max-h-96 overflow-y-auto">
-                  {bus.route.stops.map((stop, index) => (
+                  {directionStops.map((stop, index) => (
                     <div key={stop._id} className="flex items-center p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition">
                       <div className="bg-blue-500 text-white rounded-full w-8 h-8 flex items-center justify-center font-semibold mr-3 text-sm shrink-0">
                         {index + 1}
@@ -726,6 +870,17 @@ const DriverPage = () => {
             )}
           </div>
         </div>
+        {showPreTrip && (
+          <PreTripModal
+            route={bus.route}
+            suggestedDirection={suggestedDirection}
+            detectingDirection={detectingDirection}
+            submitting={startingTrip}
+            onConfirm={startTrip}
+            onCancel={() => setShowPreTrip(false)}
+          />
+        )}
+
         {showProfileModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
             <div className="bg-white rounded-2xl p-6 max-w-xl w-full">
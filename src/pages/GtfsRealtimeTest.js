@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import * as routesApi from '../services/routesApi';
+import * as tripsApi from '../services/tripsApi';
+import { createGtfsRealtimeProducer, encodeFeedMessage, connectLiveFeed } from '../services/gtfsRealtime';
+import { hasValidCoordinates } from '../utils/geo';
+
+const REPLAY_SPEEDS = [1, 10, 30, 60];
+const TICK_MS = 500;
+
+const toTime = (value) => new Date(value).getTime();
+
+// Recorded positions are `{ busId, routeId?, direction?, latitude, longitude, speed?, heading?, timestamp }`
+const normalisePositions = (items, defaults = {}) =>
+  items
+    .filter((item) => hasValidCoordinates(item) && item.timestamp)
+    .map((item) => ({
+      busId: item.busId || defaults.busId,
+      busNumber: item.busNumber || defaults.busNumber,
+      routeId: item.routeId || defaults.routeId,
+      direction: item.direction || defaults.direction,
+      latitude: Number(item.latitude),
+      longitude: Number(item.longitude),
+      speed: Number(item.speed) || 0,
+      heading: item.heading,
+      time: toTime(item.timestamp)
+    }))
+    .sort((a, b) => a.time - b.time);
+
+const downloadBytes = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const GtfsRealtimeTest = () => {
+  const [routes, setRoutes] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [selectedTripId, setSelectedTripId] = useState('');
+  const [positions, setPositions] = useState([]);
+  const [speed, setSpeed] = useState(30);
+  const [mode, setMode] = useState('idle');
+  const [feed, setFeed] = useState(null);
+  const [feedBytes, setFeedBytes] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const producerRef = useRef(null);
+  const replayRef = useRef(null);
+  const liveCleanupRef = useRef(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [routeList, tripList] = await Promise.all([
+          routesApi.listRoutes(),
+          tripsApi.listTrips().catch(() => [])
+        ]);
+        setRoutes(routeList);
+        setTrips(tripList);
+      } catch (error) {
+        setStatus(`❌ Failed to load routes: ${error.message}`);
+      }
+    };
+    load();
+  }, []);
+
+  const publish = useCallback((now) => {
+    const message = producerRef.current.buildFeedMessage(now);
+    setFeed(message);
+    setFeedBytes(encodeFeedMessage(message));
+  }, []);
+
+  const stop = useCallback(() => {
+    clearInterval(replayRef.current);
+    replayRef.current = null;
+    liveCleanupRef.current?.();
+    liveCleanupRef.current = null;
+    setMode('idle');
+  }, []);
+
+  useEffect(() => stop, [stop]);
+
+  const loadTrip = async (tripId) => {
+    setSelectedTripId(tripId);
+    const trip = trips.find((item) => item._id === tripId);
+    if (!trip) return;
+
+    try {
+      const track = normalisePositions(await tripsApi.getTripLocations(tripId), {
+        busId: trip.bus?._id || trip.bus,
+        busNumber: trip.bus?.busNumber,
+        routeId: trip.route?._id || trip.route,
+        direction: trip.direction
+      });
+      setPositions(track);
+      setStatus(`✅ Loaded ${track.length} recorded positions`);
+    } catch (error) {
+      setStatus(`❌ Failed to load trip positions: ${error.message}`);
+    }
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const track = normalisePositions(Array.isArray(data) ? data : data.positions || []);
+      setSelectedTripId('');
+      setPositions(track);
+      setStatus(`✅ Loaded ${track.length} positions from ${file.name}`);
+    } catch (error) {
+      setStatus(`❌ Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Replays recorded positions against a simulated clock so delays and ETAs
+  // come out as they would have at the time
+  const startReplay = () => {
+    if (positions.length === 0) return;
+    stop();
+
+    producerRef.current = createGtfsRealtimeProducer({ routes });
+    let clock = positions[0].time;
+    let nextIndex = 0;
+
+    replayRef.current = setInterval(() => {
+      clock += TICK_MS * speed;
+      while (nextIndex < positions.length && positions[nextIndex].time <= clock) {
+        const position = positions[nextIndex];
+        producerRef.current.updatePosition({
+          busId: position.busId,
+          busNumber: position.busNumber,
+          routeId: position.routeId,
+          direction: position.direction,
+          location: { latitude: position.latitude, longitude: position.longitude },
+          speed: position.speed,
+          heading: position.heading,
+          timestamp: new Date(position.time).toISOString()
+        });
+        nextIndex++;
+      }
+      publish(new Date(clock));
+
+      if (nextIndex >= positions.length) {
+        stop();
+        setStatus(`✅ Replayed ${positions.length} positions`);
+      }
+    }, TICK_MS);
+
+    setMode('replay');
+    setStatus('▶️ Replaying...');
+  };
+
+  const startLive = async () => {
+    stop();
+    producerRef.current = createGtfsRealtimeProducer({ routes });
+
+    try {
+      const unsubscribe = await connectLiveFeed(producerRef.current);
+      const intervalId = setInterval(() => publish(new Date()), 5000);
+      liveCleanupRef.current = () => {
+        clearInterval(intervalId);
+        unsubscribe();
+      };
+      publish(new Date());
+      setMode('live');
+      setStatus(`📡 Listening to ${producerRef.current.getVehicleCount()} live buses`);
+    } catch (error) {
+      setStatus(`❌ Failed to load the live dashboard (admin login required): ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">📡 GTFS-Realtime Producer Test</h1>
+          <p className="text-gray-600 mb-6">
+            Feeds recorded or live positions through the VehiclePosition / TripUpdate producer.
+            IDs match the static feed from Admin → Routes → Export GTFS.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Recorded trip</label>
+              <select
+                value={selectedTripId}
+                onChange={(e) => loadTrip(e.target.value)}
+                disabled={mode !== 'idle'}
+                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              >
+                <option value="">Select a trip</option>
+                {trips.map((trip) => (
+                  <option key={trip._id} value={trip._id}>
+                    {trip.bus?.busNumber || 'Bus'} • {trip.route?.routeName || 'No route'} • {new Date(trip.startTime).toLocaleString()}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">…or a JSON file of positions</label>
+              <input
+                type="file"
+                accept=".json"
+                onChange={loadFile}
+                disabled={mode !== 'idle'}
+                className="w-full text-sm"
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <button
+              onClick={startReplay}
+              disabled={mode !== 'idle' || positions.length === 0}
+              className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold disabled:opacity-50"
+            >
+              Replay {positions.length > 0 ? `${positions.length} positions` : ''}
+            </button>
+            <select
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              disabled={mode !== 'idle'}
+              className="px-3 py-3 border-2 border-gray-300 rounded-lg"
+            >
+              {REPLAY_SPEEDS.map((value) => <option key={value} value={value}>{value}×</option>)}
+            </select>
+            <button
+              onClick={startLive}
+              disabled={mode !== 'idle'}
+              className="bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-lg font-semibold disabled:opacity-50"
+            >
+              Live Feed
+            </button>
+            <button
+              onClick={stop}
+              disabled={mode === 'idle'}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-6 py-3 rounded-lg font-semibold disabled:opacity-50"
+            >
+              Stop
+            </button>
+          </div>
+
+          {status && <p className="text-sm text-gray-700 mb-4">{status}</p>}
+
+          {feed && (
+            <div>
+              <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+                <span className="font-semibold">{feed.entity.length} entities</span>
+                <span className="text-gray-600">{feedBytes?.length || 0} bytes protobuf</span>
+                <button
+                  onClick={() => downloadBytes(feedBytes, 'vehicle-positions.pb', 'application/x-protobuf')}
+                  className="text-blue-600 hover:text-blue-800 font-semibold"
+                >
+                  Download .pb
+                </button>
+                <button
+                  onClick={() => downloadBytes(JSON.stringify(feed, null, 2), 'vehicle-positions.json', 'application/json')}
+                  className="text-blue-600 hover:text-blue-800 font-semibold"
+                >
+                  Download JSON
+                </button>
+              </div>
+              <pre className="bg-gray-900 text-green-400 p-4 rounded-lg overflow-auto text-xs max-h-[60vh]">
+                {JSON.stringify(feed, null, 2)}
+              </pre>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GtfsRealtimeTest;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { Bus, AlertCircle, X } from 'lucide-react';
+import { getErrorMessage } from '../services/apiError';
 
 const TEST_CREDENTIALS = [
   {
@@ -40,7 +41,7 @@ const Login = () => {
       else navigate('/');
     } catch (err) {
       console.error('Login error:', err);
-      setError(err.response?.data?.message || 'Login failed');
+      setError(getErrorMessage(err, 'Login failed'));
     } finally {
       setLoading(false);
     }
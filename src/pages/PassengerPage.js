@@ -1,11 +1,38 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { QrCode, MapPin, Clock, X, Scan, Bus as BusIcon, Navigation2, Map as MapIconLucide, Satellite, Route as RouteIcon, Bell, CheckCircle, AlertTriangle, ArrowRight, ArrowLeft } from 'lucide-react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
+import { QrCode, MapPin, Clock, X, Scan, Bus as BusIcon, Navigation2, Map as MapIconLucide, Satellite, Route as RouteIcon, Bell, CheckCircle, AlertTriangle, ArrowRight, ArrowLeft, Star, WifiOff, LocateFixed } from 'lucide-react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { Html5Qrcode } from 'html5-qrcode';
-import io from 'socket.io-client';
-import api from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { onSocketEvent, joinStopRoom, leaveStopRoom, subscribeToBus, unsubscribeFromBus } from '../services/socket';
+import * as passengerApi from '../services/passengerApi';
+import { getErrorMessage } from '../services/apiError';
+import { getRoute, getChunkedRoute } from '../services/routing';
+import { getStoredRouteCoordinates } from '../utils/routeGeometry';
+import { ROUTE_DIRECTIONS, getDirectionStops, getOppositeDirection } from '../utils/routeDirections';
+import { estimateArrival, formatEtaRange, recordSpeedSample } from '../utils/eta';
+import useFavourites, { favouriteId } from '../hooks/useFavourites';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useNearbyStops from '../hooks/useNearbyStops';
+import FavouritesPanel from '../components/passenger/FavouritesPanel';
+import ArrivalAlertCard from '../components/passenger/ArrivalAlertCard';
+import JourneyPlanner, { LEG_COLORS } from '../components/passenger/JourneyPlanner';
+import NearbyStopsPanel from '../components/passenger/NearbyStopsPanel';
+import ArrivalsBoard from '../components/passenger/ArrivalsBoard';
+import AnimatedBusMarker, { getBusIcon } from '../components/common/AnimatedBusMarker';
+import { getRouteColor } from '../utils/routeColors';
+import { matchFix, recordMatch, getTravelDirection } from '../utils/mapMatching';
+import {
+  buildRouteReference,
+  getRouteProgress,
+  getDistanceToStop,
+  getStopEvents,
+  STOP_ARRIVAL_KM,
+  STOP_DEPARTURE_KM
+} from '../utils/linearReferencing';
+import { createArrivalAlert, cancelArrivalAlert, isAlertDue, showArrivalNotification } from '../services/pushAlerts';
+import { saveStopSnapshot, getStopSnapshot, getQueuedStopLookups, queueStopLookup, removeQueuedStopLookup } from '../services/offlineStops';
 import 'leaflet/dist/leaflet.css';
 
 // Fix Leaflet icons
@@ -16,14 +43,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-// Custom bus icon
-const busIcon = new L.divIcon({
-  html: '<div style="background: #3B82F6; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center;"><span style="color: white; font-size: 20px;">🚌</span></div>',
-  className: '',
-  iconSize: [30, 30],
-  iconAnchor: [15, 15]
-});
-
 const stopIcon = new L.divIcon({
   html: '<div style="background: #EF4444; border-radius: 50%; width: 25px; height: 25px; display: flex; align-items: center; justify-content: center;"><span style="color: white; font-size: 16px;">📍</span></div>',
   className: '',
@@ -52,6 +71,13 @@ const passedStopIcon = new L.divIcon({
   iconAnchor: [7, 7]
 });
 
+const userLocationIcon = new L.divIcon({
+  html: '<div style="background: #2563EB; border: 3px solid white; border-radius: 50%; width: 18px; height: 18px; box-shadow: 0 0 0 6px rgba(37,99,235,0.25);"></div>',
+  className: '',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9]
+});
+
 function MapUpdater({ center }) {
   const map = useMap();
   useEffect(() => {
@@ -62,6 +88,16 @@ function MapUpdater({ center }) {
   return null;
 }
 
+function MapBoundsUpdater({ points }) {
+  const map = useMap();
+  useEffect(() => {
+    if (points.length > 1) {
+      map.fitBounds(points, { padding: [30, 30] });
+    }
+  }, [points, map]);
+  return null;
+}
+
 // Normalize stop code: trim whitespace and convert to uppercase
 const normalizeStopCode = (code) => code?.trim().toUpperCase() ?? '';
 const getSafeSpeed = (value) => {
@@ -74,6 +110,7 @@ const hasValidCoordinates = (location) =>
   Number.isFinite(Number(location.longitude));
 
 const PassengerPage = () => {
+  const { status: socketStatus } = useSocket();
   const [searchParams] = useSearchParams();
   const [showScanner, setShowScanner] = useState(false);
   const [busStop, setBusStop] = useState(null);
@@ -110,15 +147,47 @@ const PassengerPage = () => {
   const [allBuses, setAllBuses] = useState([]);
   const [showAllBuses, setShowAllBuses] = useState(false);
   const [isMobileTrackingMode, setIsMobileTrackingMode] = useState(false);
+  const { favourites, isFavourite, toggleFavourite, removeFavourite, moveFavourite, renameFavourite } = useFavourites();
+  const isOnline = useOnlineStatus();
+  // savedAt of the offline snapshot on screen, null while data is live
+  const [staleSnapshotAt, setStaleSnapshotAt] = useState(null);
+
+  const [showPlanner, setShowPlanner] = useState(false);
+  const [selectedItinerary, setSelectedItinerary] = useState(null);
+  // Map lines for the selected itinerary's legs, in leg order
+  const [itineraryLines, setItineraryLines] = useState([]);
+
+  const [showNearbyStops, setShowNearbyStops] = useState(false);
+  // Follow every nearby bus at once instead of a single selectedBus
+  const [trackAllBuses, setTrackAllBuses] = useState(false);
+  const {
+    position: userPosition,
+    stops: nearbyStops,
+    locating: locatingStops,
+    error: nearbyStopsError,
+    locate: locateNearbyStops
+  } = useNearbyStops();
+  const [arrivalAlert, setArrivalAlert] = useState(null);
+  const [settingAlert, setSettingAlert] = useState(false);
+  const [alertError, setAlertError] = useState('');
 
-  const socketRef = useRef(null);
   const scannerRef = useRef(null);
   const scannerRunningRef = useRef(false);
 
   const selectedBusRef = useRef(null);
   const busStopRef = useRef(null);
-  const nearestBusesRef = useRef([]);
-  const previousLocationRef = useRef(null);
+  // Read by the socket handlers, which stay registered across direction and
+  // radius changes
+  const busDirectionRef = useRef(null);
+  const directionStopsRef = useRef([]);
+  const maxDistanceKmRef = useRef(maxDistanceKm);
+  // Selected bus's route as a map-matching reference, its recent matched
+  // fixes and its last progress along the route
+  const routeReferenceRef = useRef(null);
+  const matchHistoryRef = useRef([]);
+  const lastProgressRef = useRef(null);
+  // Recent speed samples per bus, used to smooth ETAs
+  const speedHistoryRef = useRef({});
 
   // Track whether bus has already departed from user's stop
   const hasDepartedRef = useRef(false);
@@ -126,10 +195,15 @@ const PassengerPage = () => {
   const hasArrivedAtStopRef = useRef(false);
   // Keep a ref for current busStatus to use inside callbacks without stale closure
   const busStatusRef = useRef(null);
+  // When the positions on screen were last known to be current
+  const lastLiveAtRef = useRef(null);
+  const retryingLookupsRef = useRef(false);
 
   useEffect(() => { selectedBusRef.current = selectedBus; }, [selectedBus]);
   useEffect(() => { busStopRef.current = busStop; }, [busStop]);
-  useEffect(() => { nearestBusesRef.current = nearestBuses; }, [nearestBuses]);
+  useEffect(() => { busDirectionRef.current = busDirection; }, [busDirection]);
+  useEffect(() => { directionStopsRef.current = directionStops; }, [directionStops]);
+  useEffect(() => { maxDistanceKmRef.current = maxDistanceKm; }, [maxDistanceKm]);
   useEffect(() => { busStatusRef.current = busStatus; }, [busStatus]);
 
   useEffect(() => {
@@ -156,7 +230,7 @@ const PassengerPage = () => {
     setNotification({ message, type });
   }, []);
 
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const calculateDistance = useCallback((lat1, lon1, lat2, lon2) => {
     const R = 6371;
     const dLat = (lat2 - lat1) * Math.PI / 180;
     const dLon = (lon2 - lon1) * Math.PI / 180;
@@ -165,77 +239,31 @@ const PassengerPage = () => {
       Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
       Math.sin(dLon / 2) * Math.sin(dLon / 2);
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  };
-
-  const detectBusDirection = useCallback((currentLocation, previousLocation, routeStops, userStop) => {
-    if (!currentLocation || !previousLocation || !routeStops || routeStops.length < 2) {
-      return null;
-    }
-
-    const firstStop = routeStops[0];
-    const lastStop = routeStops[routeStops.length - 1];
-
-    const prevDistToFirst = calculateDistance(
-      previousLocation.latitude, previousLocation.longitude,
-      firstStop.location.latitude, firstStop.location.longitude
-    );
-    const currDistToFirst = calculateDistance(
-      currentLocation.latitude, currentLocation.longitude,
-      firstStop.location.latitude, firstStop.location.longitude
-    );
-    const prevDistToLast = calculateDistance(
-      previousLocation.latitude, previousLocation.longitude,
-      lastStop.location.latitude, lastStop.location.longitude
-    );
-    const currDistToLast = calculateDistance(
-      currentLocation.latitude, currentLocation.longitude,
-      lastStop.location.latitude, lastStop.location.longitude
-    );
-
-    const movingTowardLast = currDistToLast < prevDistToLast;
-    const movingAwayFromFirst = currDistToFirst > prevDistToFirst;
-    const movingTowardFirst = currDistToFirst < prevDistToFirst;
-    const movingAwayFromLast = currDistToLast > prevDistToLast;
-
-    if (movingTowardLast && movingAwayFromFirst) return 'forward';
-    if (movingTowardFirst && movingAwayFromLast) return 'reverse';
-
-    if (userStop) {
-      const userStopIndex = routeStops.findIndex(s => s._id === userStop._id);
-      if (userStopIndex > 0 && userStopIndex < routeStops.length - 1) {
-        const currDistToUserStop = calculateDistance(
-          currentLocation.latitude, currentLocation.longitude,
-          userStop.location.latitude, userStop.location.longitude
-        );
-        const prevDistToUserStop = calculateDistance(
-          previousLocation.latitude, previousLocation.longitude,
-          userStop.location.latitude, userStop.location.longitude
-        );
-        const movingTowardUserStop = currDistToUserStop < prevDistToUserStop;
-        const movingAwayFromUserStop = currDistToUserStop > prevDistToUserStop;
-
-        if (movingTowardUserStop) {
-          return currDistToFirst < currDistToLast ? 'forward' : 'reverse';
-        }
-        if (movingAwayFromUserStop) {
-          return currDistToLast < currDistToFirst ? 'forward' : 'reverse';
-        }
-      }
-    }
-
-    return currDistToFirst < currDistToLast ? 'reverse' : 'forward';
-  }, []);
-
-  const getDirectedStops = useCallback((stops, direction) => {
-    if (!stops || stops.length === 0) return [];
-    return direction === 'reverse' ? [...stops].reverse() : stops;
   }, []);
 
-  const calculateNextStop = useCallback((bus, userStop, orderedStops) => {
+  // With `routeProgress` (see linearReferencing) the next stop is the nearest
+  // one ahead along the route that the bus has not departed; without it, the
+  // nearest stop by straight-line distance
+  const calculateNextStop = useCallback((bus, userStop, orderedStops, routeProgress) => {
     if (!bus?.currentLocation || !orderedStops?.length) return null;
 
     const userStopIndex = orderedStops.findIndex(s => s._id === userStop?._id);
 
+    if (routeProgress) {
+      let nextStopAhead = null;
+      orderedStops.forEach((stop, i) => {
+        if (hasDepartedRef.current && i <= userStopIndex) return;
+        const distance = getDistanceToStop(routeProgress, i);
+        if (distance === null || distance < -STOP_DEPARTURE_KM) return;
+        if (!nextStopAhead || distance < nextStopAhead.distanceKm) {
+          nextStopAhead = { stop, index: i, distanceKm: distance };
+        }
+      });
+      if (!nextStopAhead) return null;
+      const { stop, index, distanceKm } = nextStopAhead;
+      return { ...stop, index, distance: Math.max(0, distanceKm).toFixed(2) };
+    }
+
     let closestStopAhead = null;
     let minDistance = Infinity;
 
@@ -263,16 +291,58 @@ const PassengerPage = () => {
     }
 
     return closestStopAhead;
-  }, []);
+  }, [calculateDistance]);
+
+  // Follow the selected bus along `direction`'s stops from here on, matching
+  // against that direction's line. Returns the stops in travel order.
+  const applyBusDirection = useCallback((route, direction) => {
+    console.log('🧭 Direction changed:', direction);
+    const ordered = getDirectionStops(route, direction);
+    setBusDirection(direction);
+    setDirectionStops(ordered);
+    setDestinationStop(ordered[ordered.length - 1]);
+
+    routeReferenceRef.current = buildRouteReference(getStoredRouteCoordinates(route, ordered), ordered);
+    matchHistoryRef.current = [];
+    lastProgressRef.current = null;
+    hasDepartedRef.current = false;
+    hasArrivedAtStopRef.current = false;
+    // Arrival status starts over for the new direction's pass of the stop
+    busStatusRef.current = null;
+    setBusStatus(null);
+
+    showNotification(`🧭 Bus is heading to ${ordered[ordered.length - 1]?.stopName}`, 'info');
+    return ordered;
+  }, [showNotification]);
 
-  const determineBusStatus = useCallback((bus, userStop, nextStopData, orderedStops) => {
-    if (!bus?.currentLocation || !userStop || !nextStopData || !orderedStops) return 'far';
+  // `stopEvents` are the arrivals and departures since the last update; on a
+  // loop a bus beyond the stop is a lap away from it, so only the departure
+  // tells that it has passed
+  const determineBusStatus = useCallback((bus, userStop, nextStopData, orderedStops, routeProgress, stopEvents = []) => {
+    if (!bus?.currentLocation || !userStop || !orderedStops) return 'far';
 
     const userStopIndex = orderedStops.findIndex(s => s._id === userStop._id);
     if (userStopIndex === -1) return 'far';
 
     if (hasDepartedRef.current) return 'passed';
 
+    const aheadKm = routeProgress ? getDistanceToStop(routeProgress, userStopIndex) : null;
+    if (aheadKm !== null) {
+      const userStopEvents = stopEvents.filter((event) => event.index === userStopIndex);
+      if (userStopEvents.some((event) => event.type === 'departure') || aheadKm < -STOP_DEPARTURE_KM) {
+        hasDepartedRef.current = true;
+        hasArrivedAtStopRef.current = false;
+        return 'passed';
+      }
+      if (userStopEvents.some((event) => event.type === 'arrival') || aheadKm <= STOP_ARRIVAL_KM) {
+        hasArrivedAtStopRef.current = true;
+        return 'at_stop';
+      }
+      return aheadKm <= 1 ? 'approaching' : 'far';
+    }
+
+    if (!nextStopData) return 'far';
+
     const distanceToUserStop = calculateDistance(
       bus.currentLocation.latitude, bus.currentLocation.longitude,
       userStop.location.latitude, userStop.location.longitude
@@ -298,7 +368,7 @@ const PassengerPage = () => {
     if (distanceToUserStop <= 1 && nextStopData.index <= userStopIndex) return 'approaching';
 
     return 'far';
-  }, []);
+  }, [calculateDistance]);
 
   const fetchRoadRoute = useCallback(async (startLat, startLon, endLat, endLon) => {
     if (isMobileTrackingMode) {
@@ -310,86 +380,66 @@ const PassengerPage = () => {
 
     setLoadingRoute(true);
     try {
-      const url = `https://router.project-osrm.org/route/v1/driving/${startLon},${startLat};${endLon},${endLat}?overview=full&geometries=geojson`;
-      const response = await fetch(url);
-      const data = await response.json();
-      if (data.code === 'Ok' && data.routes?.length > 0) {
-        const route = data.routes[0];
-        const coordinates = route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
-        setBusToStopRoute(coordinates);
-        setRouteDistance((route.distance / 1000).toFixed(2));
-      } else {
-        setBusToStopRoute([[startLat, startLon], [endLat, endLon]]);
+      const route = await getRoute([
+        { latitude: startLat, longitude: startLon },
+        { latitude: endLat, longitude: endLon }
+      ]);
+      setBusToStopRoute(route.coordinates);
+      if (!route.isFallback) {
+        setRouteDistance(route.distanceKm.toFixed(2));
       }
-    } catch (error) {
-      console.error('Error fetching route:', error);
-      setBusToStopRoute([[startLat, startLon], [endLat, endLon]]);
     } finally {
       setLoadingRoute(false);
     }
   }, [calculateDistance, isMobileTrackingMode]);
 
-  const fetchCompleteRouteWithRoads = useCallback(async (stops) => {
-    try {
-      if (stops.length < 2) return;
+  const fetchCompleteRouteWithRoads = useCallback(async (stops, busRoute) => {
+    if (stops.length < 2) return;
 
-      if (isMobileTrackingMode || stops.length > 12) {
-        setRouteCoordinates(
-          stops
-            .filter((stop) => hasValidCoordinates(stop?.location))
-            .map((stop) => [Number(stop.location.latitude), Number(stop.location.longitude)])
-        );
-        return;
-      }
+    // Geometry saved by the admin route editor needs no routing request at all
+    const storedCoordinates = getStoredRouteCoordinates(busRoute, stops);
+    if (storedCoordinates) {
+      setRouteCoordinates(storedCoordinates);
+      return;
+    }
 
-      const coordinates = stops.map(stop =>
-        `${stop.location.longitude},${stop.location.latitude}`
-      ).join(';');
-      const url = `https://router.project-osrm.org/route/v1/driving/${coordinates}?overview=full&geometries=geojson`;
-      const response = await fetch(url);
-      const data = await response.json();
-      if (data.code === 'Ok' && data.routes?.length > 0) {
-        const coords = data.routes[0].geometry.coordinates.map(coord => [coord[1], coord[0]]);
-        setRouteCoordinates(coords);
-      } else {
-        setRouteCoordinates(stops.map(stop => [stop.location.latitude, stop.location.longitude]));
-      }
-    } catch (error) {
-      console.error('Error fetching complete route:', error);
-      setRouteCoordinates(stops.map(stop => [stop.location.latitude, stop.location.longitude]));
+    if (isMobileTrackingMode) {
+      setRouteCoordinates(
+        stops
+          .filter((stop) => hasValidCoordinates(stop?.location))
+          .map((stop) => [Number(stop.location.latitude), Number(stop.location.longitude)])
+      );
+      return;
     }
+
+    const route = await getChunkedRoute(stops.map(stop => stop.location));
+    setRouteCoordinates(route.coordinates);
   }, [isMobileTrackingMode]);
 
   useEffect(() => {
-    const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-    socketRef.current = io(SOCKET_URL, {
-      transports: ['websocket', 'polling'],
-      withCredentials: true,
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionAttempts: 5
-    });
+    const unsubscribers = [];
 
-    socketRef.current.on('connect', () => {
-      console.log('✅ Socket connected:', socketRef.current.id);
-      nearestBusesRef.current.forEach(bus => {
-        socketRef.current.emit('passenger:track-bus', { busId: bus._id });
-      });
-    });
+    // Handlers only: the connection itself lives in the socket service, which
+    // re-subscribes to tracked buses after a reconnect
+    unsubscribers.push(onSocketEvent('connect', () => {
+      console.log('✅ Socket connected');
+    }));
 
-    socketRef.current.on('disconnect', (reason) => {
+    unsubscribers.push(onSocketEvent('disconnect', (reason) => {
       console.log('❌ Socket disconnected:', reason);
-    });
+    }));
 
-    socketRef.current.on('connect_error', (error) => {
+    unsubscribers.push(onSocketEvent('connect_error', (error) => {
       console.error('🔴 Socket connection error:', error.message);
-    });
+    }));
 
-    socketRef.current.on('bus:location-update', (data) => {
+    unsubscribers.push(onSocketEvent('bus:location-update', (data) => {
       console.log('📍 Bus location update received:', data);
+      speedHistoryRef.current[data.busId] = recordSpeedSample(speedHistoryRef.current[data.busId], data.speed);
 
       const currentSelectedBus = selectedBusRef.current;
       const currentBusStop = busStopRef.current;
+      const radiusKm = maxDistanceKmRef.current;
 
       setNearestBuses(prev => {
         const updated = prev.map(bus => {
@@ -401,6 +451,8 @@ const PassengerPage = () => {
                 longitude: data.location.longitude
               },
               speed: data.speed,
+              heading: data.heading,
+              direction: data.direction || bus.direction,
               lastUpdate: new Date()
             };
           }
@@ -414,9 +466,9 @@ const PassengerPage = () => {
               bus.currentLocation.latitude, bus.currentLocation.longitude,
               currentBusStop.location.latitude, currentBusStop.location.longitude
             );
-            const withinRange = distance <= maxDistanceKm;
+            const withinRange = distance <= radiusKm;
             if (!withinRange) {
-              console.log(`🔴 Bus ${bus.busName} moved beyond ${maxDistanceKm}km (${distance.toFixed(2)}km), removing from list`);
+              console.log(`🔴 Bus ${bus.busName} moved beyond ${radiusKm}km (${distance.toFixed(2)}km), removing from list`);
             }
             return withinRange;
           });
@@ -429,37 +481,59 @@ const PassengerPage = () => {
         const newLng = data.location.longitude;
         const newLocation = { latitude: newLat, longitude: newLng };
 
-        const previousLoc = previousLocationRef.current;
-        if (previousLoc && currentSelectedBus.route?.stops) {
-          const detectedDirection = detectBusDirection(
-            newLocation, previousLoc,
-            currentSelectedBus.route.stops,
-            currentBusStop
-          );
+        const route = currentSelectedBus.route;
+        let currentDirection = busDirectionRef.current;
+        let stopsToUse = directionStopsRef.current.length > 0 ? directionStopsRef.current : route?.stops;
 
-          if (detectedDirection && detectedDirection !== busDirection) {
-            console.log('🧭 Direction changed:', detectedDirection);
-            setBusDirection(detectedDirection);
-            const ordered = getDirectedStops(currentSelectedBus.route.stops, detectedDirection);
-            setDirectionStops(ordered);
-            setDestinationStop(ordered[ordered.length - 1]);
+        const switchDirection = (direction) => {
+          stopsToUse = applyBusDirection(route, direction);
+          currentDirection = direction;
+        };
 
-            hasDepartedRef.current = false;
-            hasArrivedAtStopRef.current = false;
+        // The driver app declares the trip's direction; only older clients
+        // leave it to be guessed from movement
+        const declaredDirection = data.direction || currentSelectedBus.direction;
+        if (declaredDirection && declaredDirection !== currentDirection && route?.stops) {
+          switchDirection(declaredDirection);
+        }
 
-            showNotification(
-              `🧭 Bus is heading ${detectedDirection === 'forward' ? 'to' : 'back to'} ${ordered[ordered.length - 1]?.stopName}`,
-              'info'
-            );
-          }
+        // Progress along the route from the map-matched fix. Outliers are
+        // dropped; off-route fixes fall back to straight-line distances.
+        const matchCurrentFix = () => {
+          const history = matchHistoryRef.current;
+          return routeReferenceRef.current
+            ? matchFix(routeReferenceRef.current, { ...newLocation, timestamp: data.timestamp }, history[history.length - 1])
+            : null;
+        };
+        let match = matchCurrentFix();
+        matchHistoryRef.current = recordMatch(matchHistoryRef.current, match);
+
+        // Without a declared direction, a bus moving backwards along the
+        // stops we assumed is running the other way
+        if (!declaredDirection && route?.stops && getTravelDirection(matchHistoryRef.current) === 'reverse') {
+          switchDirection(getOppositeDirection(currentDirection));
+          match = matchCurrentFix();
+          matchHistoryRef.current = recordMatch([], match);
+        }
+        if (match?.rejected) {
+          console.log(`🚫 Ignoring ${match.rejected} fix for ${currentSelectedBus.busName} (${match.offRouteKm.toFixed(2)}km from route)`);
         }
 
-        previousLocationRef.current = newLocation;
+        const routeProgress = match && !match.rejected
+          ? getRouteProgress(routeReferenceRef.current, match.chainageKm)
+          : null;
+        const stopEvents = getStopEvents(lastProgressRef.current, routeProgress);
+        stopEvents.forEach(({ type, index }) => {
+          console.log(`🚏 ${currentSelectedBus.busName} ${type === 'arrival' ? 'arrived at' : 'departed'} ${stopsToUse?.[index]?.stopName}`);
+        });
+        if (routeProgress) lastProgressRef.current = routeProgress;
 
         const updatedBus = {
           ...currentSelectedBus,
           currentLocation: newLocation,
           speed: data.speed,
+          heading: data.heading,
+          direction: declaredDirection,
           lastUpdate: new Date()
         };
 
@@ -467,12 +541,11 @@ const PassengerPage = () => {
         setMapCenter([newLat, newLng]);
         setLastUpdateTime(new Date());
 
-        if (currentBusStop) {
-          const stopsToUse = directionStops.length > 0 ? directionStops : currentSelectedBus.route?.stops;
-          const nextStopData = calculateNextStop(updatedBus, currentBusStop, stopsToUse);
+        if (currentBusStop && match?.rejected !== 'outlier') {
+          const nextStopData = calculateNextStop(updatedBus, currentBusStop, stopsToUse, routeProgress);
           setNextStop(nextStopData);
 
-          const status = determineBusStatus(updatedBus, currentBusStop, nextStopData, stopsToUse);
+          const status = determineBusStatus(updatedBus, currentBusStop, nextStopData, stopsToUse, routeProgress, stopEvents);
 
           const statusOrder = { far: 0, approaching: 1, at_stop: 2, passed: 3 };
           const currentStatusRank = statusOrder[busStatusRef.current] ?? 0;
@@ -496,38 +569,93 @@ const PassengerPage = () => {
           }
         }
       }
-    });
+    }));
+
+    // A new trip can run the other way; the driver's pre-trip direction
+    // arrives here before its first location update
+    unsubscribers.push(onSocketEvent('bus:trip-started', (data) => {
+      console.log('🚦 Trip started:', data);
+      if (!data.direction) return;
 
-    socketRef.current.on('bus:offline', (data) => {
+      setNearestBuses(prev => prev.map(bus => (bus._id === data.busId ? { ...bus, direction: data.direction } : bus)));
+
+      const currentSelectedBus = selectedBusRef.current;
+      if (currentSelectedBus && currentSelectedBus._id === data.busId) {
+        setSelectedBus({ ...currentSelectedBus, direction: data.direction });
+        if (data.direction !== busDirectionRef.current && currentSelectedBus.route?.stops) {
+          applyBusDirection(currentSelectedBus.route, data.direction);
+        }
+      }
+    }));
+
+    unsubscribers.push(onSocketEvent('bus:offline', (data) => {
       console.log('🔴 Bus offline:', data.busId);
       setNearestBuses(prev => prev.filter(bus => bus._id !== data.busId));
       if (selectedBusRef.current && selectedBusRef.current._id === data.busId) {
         setError('Selected bus has gone offline');
         setSelectedBus(null);
       }
-    });
+    }));
 
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [calculateDistance, fetchRoadRoute, calculateNextStop, determineBusStatus, showNotification, applyBusDirection]);
+
+  useEffect(() => {
     const stopCode = searchParams.get('stop');
     if (stopCode) fetchNearestBuses(stopCode);
+  }, [searchParams]);
 
-    return () => {
-      if (socketRef.current) socketRef.current.disconnect();
-      if (scannerRef.current) {
-        const scanner = scannerRef.current;
-        scannerRef.current = null;
-        scannerRunningRef.current = false;
-        scanner.clear().catch(() => {});
-      }
-    };
-  }, [searchParams, fetchRoadRoute, calculateNextStop, determineBusStatus, showNotification, detectBusDirection, getDirectedStops, busDirection, directionStops, maxDistanceKm]);
+  useEffect(() => () => {
+    if (scannerRef.current) {
+      const scanner = scannerRef.current;
+      scannerRef.current = null;
+      scannerRunningRef.current = false;
+      scanner.clear().catch(() => {});
+    }
+  }, []);
 
+  // Match against the road geometry once it has loaded. Matches against the
+  // old line are not comparable, so direction starts collecting afresh.
   useEffect(() => {
-    if (socketRef.current?.connected && nearestBuses.length > 0) {
-      nearestBuses.forEach(bus => {
-        socketRef.current.emit('passenger:track-bus', { busId: bus._id });
-      });
+    if (!selectedBus?.route?.stops || routeCoordinates.length < 2) return;
+    const stops = directionStops.length > 0 ? directionStops : selectedBus.route.stops;
+    routeReferenceRef.current = buildRouteReference(routeCoordinates, stops);
+    matchHistoryRef.current = [];
+    lastProgressRef.current = null;
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedBus?._id, routeCoordinates]);
+
+  // Stop-wide notices (arrivals, diversions) for the stop on screen
+  const busStopCode = busStop?.stopCode;
+  useEffect(() => {
+    if (!busStopCode) return undefined;
+    joinStopRoom(busStopCode);
+    return () => leaveStopRoom(busStopCode);
+  }, [busStopCode]);
+
+  // Live updates for the buses on screen; the buses that drop off are untracked
+  const nearestBusIds = nearestBuses.map(bus => bus._id).sort().join('|');
+  useEffect(() => {
+    if (!nearestBusIds) return undefined;
+    const busIds = nearestBusIds.split('|');
+    busIds.forEach(subscribeToBus);
+    return () => busIds.forEach(unsubscribeFromBus);
+  }, [nearestBusIds]);
+
+  // The selected bus stays tracked after it leaves the nearby list, so its
+  // journey past the stop can still be followed
+  const selectedBusId = selectedBus?._id;
+  useEffect(() => {
+    if (!selectedBusId) return undefined;
+    subscribeToBus(selectedBusId);
+    return () => unsubscribeFromBus(selectedBusId);
+  }, [selectedBusId]);
+
+  useEffect(() => {
+    if (socketStatus === 'unauthorized') {
+      showNotification('Live updates are unavailable right now', 'warning');
     }
-  }, [nearestBuses.length]);
+  }, [socketStatus, showNotification]);
 
   useEffect(() => {
     if (selectedBus?.currentLocation && busStop) {
@@ -537,7 +665,7 @@ const PassengerPage = () => {
       );
       if (selectedBus.route?.stops) {
         const stopsForRoute = directionStops.length > 0 ? directionStops : selectedBus.route.stops;
-        fetchCompleteRouteWithRoads(stopsForRoute);
+        fetchCompleteRouteWithRoads(stopsForRoute, selectedBus.route);
       }
     }
   }, [selectedBus?._id, busStop, directionStops, isMobileTrackingMode, fetchRoadRoute, fetchCompleteRouteWithRoads]);
@@ -638,6 +766,44 @@ const PassengerPage = () => {
     }
   };
 
+  const showStopResult = (stop, buses) => {
+    setBusStop(stop);
+    setTotalBusesCount(buses.length);
+    buses.forEach((bus) => {
+      speedHistoryRef.current[bus._id] = recordSpeedSample(speedHistoryRef.current[bus._id], bus.speed);
+    });
+
+    setAllBuses(buses);
+    setShowAllBuses(false);
+
+    const filteredBuses = buses.filter(bus => {
+      if (!bus.currentLocation || !stop) return false;
+      const distance = calculateDistance(
+        bus.currentLocation.latitude, bus.currentLocation.longitude,
+        stop.location.latitude, stop.location.longitude
+      );
+      return distance <= maxDistanceKm;
+    });
+
+    console.log(`📍 Found ${buses.length} total buses, ${filteredBuses.length} within ${maxDistanceKm}km`);
+    setNearestBuses(filteredBuses);
+
+    if (stop) {
+      setMapCenter([
+        stop.location.latitude,
+        stop.location.longitude
+      ]);
+    }
+
+    if (filteredBuses.length === 0) {
+      if (buses.length > 0) {
+        setError(`No buses within ${maxDistanceKm}km of your stop. ${buses.length} bus(es) on this route but too far away.`);
+      } else {
+        setError('No active buses found on this route. Waiting for buses to start...');
+      }
+    }
+  };
+
   // ✅ FIX: fetchNearestBuses now controls scanner/manual entry closing
   // Scanner is only hidden AFTER a successful fetch — not before
   const fetchNearestBuses = async (stopCode) => {
@@ -646,58 +812,148 @@ const PassengerPage = () => {
     setError('');
     setScanError('');
     try {
-      const response = await api.get(`/passenger/nearest-buses/${normalizedCode}`);
-      setBusStop(response.data.busStop);
-
-      const buses = response.data.buses || [];
-      setTotalBusesCount(buses.length);
-
-      setAllBuses(buses);
-      setShowAllBuses(false);
-
-      const filteredBuses = buses.filter(bus => {
-        if (!bus.currentLocation || !response.data.busStop) return false;
-        const distance = calculateDistance(
-          bus.currentLocation.latitude, bus.currentLocation.longitude,
-          response.data.busStop.location.latitude, response.data.busStop.location.longitude
-        );
-        return distance <= maxDistanceKm;
-      });
-
-      console.log(`📍 Found ${buses.length} total buses, ${filteredBuses.length} within ${maxDistanceKm}km`);
-      setNearestBuses(filteredBuses);
-
-      if (response.data.busStop) {
-        setMapCenter([
-          response.data.busStop.location.latitude,
-          response.data.busStop.location.longitude
-        ]);
-      }
-
-      if (filteredBuses.length === 0) {
-        if (buses.length > 0) {
-          setError(`No buses within ${maxDistanceKm}km of your stop. ${buses.length} bus(es) on this route but too far away.`);
-        } else {
-          setError('No active buses found on this route. Waiting for buses to start...');
-        }
-      }
+      const { busStop: stop, buses } = await passengerApi.getNearestBuses(normalizedCode);
+      setStaleSnapshotAt(null);
+      removeQueuedStopLookup(normalizedCode);
+      showStopResult(stop, buses);
 
       // ✅ FIX: Only close scanner UI after a SUCCESSFUL fetch
       setShowScanner(false);
       setShowManualEntry(false);
       setManualStopCode('');
+      return buses;
     } catch (err) {
+      // No response at all: offline, or the server can't be reached. Show the
+      // last known positions if we have them and retry once back online.
+      if (err.isNetworkError) {
+        queueStopLookup(normalizedCode);
+        const snapshot = getStopSnapshot(normalizedCode);
+        if (snapshot) {
+          showStopResult(snapshot.busStop, snapshot.buses);
+          setStaleSnapshotAt(snapshot.savedAt);
+          setShowScanner(false);
+          setShowManualEntry(false);
+          setManualStopCode('');
+          showNotification('Offline: showing the last known bus positions', 'warning');
+          return snapshot.buses;
+        }
+
+        const message = `You're offline. Stop ${normalizedCode} will be looked up as soon as you're back online.`;
+        setError(message);
+        setScanError(message);
+        setShowScanner(true);
+        setShowManualEntry(true);
+        return [];
+      }
+
       // ✅ FIX: On error, keep showScanner true so UI doesn't go blank
-      setError(err.response?.data?.message || 'Failed to fetch buses. Please check the stop code.');
+      setError(getErrorMessage(err, 'Failed to fetch buses. Please check the stop code.'));
       setScanError('Stop not found. Please try again or enter the stop code manually.');
       // Keep showScanner open so the manual entry remains accessible
       setShowScanner(true);
       setShowManualEntry(true);
+      return [];
     } finally {
       setLoading(false);
     }
   };
 
+  // Lookups queued while offline: the one the passenger is looking at (or
+  // asked for last) is shown, the rest just refresh their offline snapshots
+  const retryQueuedLookups = async () => {
+    const queued = getQueuedStopLookups();
+    if (queued.length === 0 || retryingLookupsRef.current) return;
+    retryingLookupsRef.current = true;
+
+    const currentCode = busStopRef.current?.stopCode;
+    let displayCode = null;
+    if (queued.includes(currentCode)) {
+      displayCode = currentCode;
+    } else if (!currentCode && !searchParams.get('stop')) {
+      displayCode = queued[queued.length - 1];
+    }
+
+    try {
+      for (const code of queued.filter((item) => item !== displayCode)) {
+        try {
+          const { busStop: stop, buses } = await passengerApi.getNearestBuses(code);
+          saveStopSnapshot(stop, buses);
+          removeQueuedStopLookup(code);
+        } catch (err) {
+          // The server answered, so retrying won't help (e.g. unknown stop)
+          if (!err.isNetworkError) removeQueuedStopLookup(code);
+        }
+      }
+
+      if (displayCode) {
+        const buses = await fetchNearestBuses(displayCode);
+        if (buses.length > 0) showNotification('Back online: bus positions updated', 'success');
+      }
+    } finally {
+      retryingLookupsRef.current = false;
+    }
+  };
+
+  // One-tap recall: open the saved stop and, for buses/routes, start tracking
+  const openFavourite = async (item) => {
+    const buses = await fetchNearestBuses(item.stopCode);
+    if (item.type === 'stop') return;
+
+    const match = buses.find((bus) => (
+      bus.currentLocation &&
+      (item.type === 'bus' ? bus._id === item.busId : (bus.route?._id || bus.route) === item.routeId)
+    ));
+    if (match) {
+      trackBus(match);
+    } else {
+      showNotification(`${item.label} isn't running near this stop right now`, 'warning');
+    }
+  };
+
+  const stopFavourite = busStop && {
+    id: favouriteId('stop', busStop.stopCode),
+    type: 'stop',
+    label: busStop.stopName,
+    stopCode: busStop.stopCode,
+    stopName: busStop.stopName
+  };
+  const busFavourite = selectedBus && busStop && {
+    id: favouriteId('bus', selectedBus._id),
+    type: 'bus',
+    label: selectedBus.busName,
+    stopCode: busStop.stopCode,
+    busId: selectedBus._id,
+    busNumber: selectedBus.busNumber,
+    busName: selectedBus.busName,
+    routeName: selectedBus.route?.routeName
+  };
+  const routeId = selectedBus?.route?._id || selectedBus?.route;
+  const routeFavourite = selectedBus && busStop && routeId && typeof routeId === 'string' && {
+    id: favouriteId('route', routeId),
+    type: 'route',
+    label: selectedBus.route?.routeName || `Route ${selectedBus.route?.routeNumber || ''}`.trim(),
+    stopCode: busStop.stopCode,
+    routeId,
+    routeNumber: selectedBus.route?.routeNumber,
+    routeName: selectedBus.route?.routeName
+  };
+
+  const renderFavouriteToggle = (item, text) => {
+    const saved = isFavourite(item.id);
+    return (
+      <button
+        onClick={() => toggleFavourite(item)}
+        className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-semibold transition ${
+          saved ? 'bg-amber-100 text-amber-800 hover:bg-amber-200' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+        title={saved ? 'Remove from favourites' : 'Save to favourites'}
+      >
+        <Star size={16} className={saved ? 'fill-amber-400 text-amber-500' : ''} />
+        {text}
+      </button>
+    );
+  };
+
   // ✅ FIX: handleManualEntry no longer hides scanner prematurely
   const handleManualEntry = (e) => {
     e.preventDefault();
@@ -718,7 +974,9 @@ const PassengerPage = () => {
     setBusDirection(null);
     setDirectionStops([]);
     setDestinationStop(null);
-    previousLocationRef.current = bus.currentLocation || null;
+    routeReferenceRef.current = buildRouteReference(null, getDirectionStops(bus.route, bus.direction));
+    matchHistoryRef.current = [];
+    lastProgressRef.current = null;
 
     hasDepartedRef.current = false;
     hasArrivedAtStopRef.current = false;
@@ -728,65 +986,160 @@ const PassengerPage = () => {
       setMapCenter([bus.currentLocation.latitude, bus.currentLocation.longitude]);
 
       if (busStop && bus.route?.stops && bus.currentLocation) {
-        const firstStop = bus.route.stops[0];
-        const lastStop = bus.route.stops[bus.route.stops.length - 1];
-        const userStopIndex = bus.route.stops.findIndex(s => s._id === busStop._id);
-
-        const distToFirst = calculateDistance(
-          bus.currentLocation.latitude, bus.currentLocation.longitude,
-          firstStop.location.latitude, firstStop.location.longitude
-        );
-        const distToLast = calculateDistance(
-          bus.currentLocation.latitude, bus.currentLocation.longitude,
-          lastStop.location.latitude, lastStop.location.longitude
-        );
-
-        let initialDirection;
-
-        if (userStopIndex === 0) {
-          initialDirection = 'forward';
-        } else if (userStopIndex === bus.route.stops.length - 1) {
-          initialDirection = 'reverse';
-        } else {
-          const prevStopIndex = Math.max(0, userStopIndex - 1);
-          const nextStopIndex = Math.min(bus.route.stops.length - 1, userStopIndex + 1);
-          const prevStop = bus.route.stops[prevStopIndex];
-          const nextStopItem = bus.route.stops[nextStopIndex];
-
-          const distToPrevStop = calculateDistance(
+        // The trip's declared direction when the driver app sent one;
+        // otherwise guessed from where the bus is relative to the user's stop
+        let initialDirection = bus.direction;
+        if (!initialDirection) {
+          const firstStop = bus.route.stops[0];
+          const lastStop = bus.route.stops[bus.route.stops.length - 1];
+          const userStopIndex = bus.route.stops.findIndex(s => s._id === busStop._id);
+
+          const distToFirst = calculateDistance(
             bus.currentLocation.latitude, bus.currentLocation.longitude,
-            prevStop.location.latitude, prevStop.location.longitude
+            firstStop.location.latitude, firstStop.location.longitude
           );
-          const distToNextStop = calculateDistance(
+          const distToLast = calculateDistance(
             bus.currentLocation.latitude, bus.currentLocation.longitude,
-            nextStopItem.location.latitude, nextStopItem.location.longitude
+            lastStop.location.latitude, lastStop.location.longitude
           );
 
-          if (distToPrevStop < distToNextStop) {
-            initialDirection = 'forward';
-          } else if (distToNextStop < distToPrevStop) {
-            initialDirection = 'reverse';
+          if (userStopIndex === -1 && getDirectionStops(bus.route, 'inbound').some(s => s._id === busStop._id)) {
+            // The stop is only served inbound
+            initialDirection = 'inbound';
+          } else if (userStopIndex === 0) {
+            initialDirection = 'outbound';
+          } else if (userStopIndex === bus.route.stops.length - 1) {
+            initialDirection = 'inbound';
           } else {
-            initialDirection = distToFirst < distToLast ? 'reverse' : 'forward';
+            const prevStopIndex = Math.max(0, userStopIndex - 1);
+            const nextStopIndex = Math.min(bus.route.stops.length - 1, userStopIndex + 1);
+            const prevStop = bus.route.stops[prevStopIndex];
+            const nextStopItem = bus.route.stops[nextStopIndex];
+
+            const distToPrevStop = calculateDistance(
+              bus.currentLocation.latitude, bus.currentLocation.longitude,
+              prevStop.location.latitude, prevStop.location.longitude
+            );
+            const distToNextStop = calculateDistance(
+              bus.currentLocation.latitude, bus.currentLocation.longitude,
+              nextStopItem.location.latitude, nextStopItem.location.longitude
+            );
+
+            if (distToPrevStop < distToNextStop) {
+              initialDirection = 'outbound';
+            } else if (distToNextStop < distToPrevStop) {
+              initialDirection = 'inbound';
+            } else {
+              initialDirection = distToFirst < distToLast ? 'inbound' : 'outbound';
+            }
           }
         }
 
-        console.log('🧭 Initial direction detected:', initialDirection);
+        console.log(`🧭 Initial direction ${bus.direction ? 'declared' : 'detected'}:`, initialDirection);
         setBusDirection(initialDirection);
 
-        const ordered = getDirectedStops(bus.route.stops, initialDirection);
+        const ordered = getDirectionStops(bus.route, initialDirection);
         setDirectionStops(ordered);
         setDestinationStop(ordered[ordered.length - 1]);
+        routeReferenceRef.current = buildRouteReference(getStoredRouteCoordinates(bus.route, ordered), ordered);
+
+        const match = matchFix(routeReferenceRef.current, bus.currentLocation, null);
+        const routeProgress = match && !match.rejected
+          ? getRouteProgress(routeReferenceRef.current, match.chainageKm)
+          : null;
+        matchHistoryRef.current = recordMatch([], match);
+        lastProgressRef.current = routeProgress;
 
-        const nextStopData = calculateNextStop(bus, busStop, ordered);
+        const nextStopData = calculateNextStop(bus, busStop, ordered, routeProgress);
         setNextStop(nextStopData);
-        const status = determineBusStatus(bus, busStop, nextStopData, ordered);
+        const status = determineBusStatus(bus, busStop, nextStopData, ordered, routeProgress);
         setBusStatus(status);
         busStatusRef.current = status;
       }
     }
   };
 
+  const handleCreateAlert = async (thresholdType, threshold) => {
+    setSettingAlert(true);
+    setAlertError('');
+    try {
+      const alert = await createArrivalAlert({ bus: selectedBus, stop: busStop, thresholdType, threshold });
+      setArrivalAlert({ ...alert, fired: false });
+    } catch (err) {
+      setAlertError(err.message || 'Failed to set alert');
+    } finally {
+      setSettingAlert(false);
+    }
+  };
+
+  const clearArrivalAlert = () => {
+    cancelArrivalAlert(arrivalAlert);
+    setArrivalAlert(null);
+  };
+
+  const replaceArrivalAlert = async (thresholdType, threshold) => {
+    if (arrivalAlert) clearArrivalAlert();
+    await handleCreateAlert(thresholdType, threshold);
+  };
+
+  // Page-side check on every location update; the backend push covers the
+  // case where this tab has been closed
+  useEffect(() => {
+    if (!arrivalAlert || arrivalAlert.fired) return;
+
+    const bus = selectedBus?._id === arrivalAlert.busId
+      ? selectedBus
+      : nearestBuses.find((item) => item._id === arrivalAlert.busId);
+    if (!bus?.currentLocation) return;
+
+    const estimate = getEtaEstimate(bus);
+    if (isAlertDue(arrivalAlert, estimate)) {
+      showArrivalNotification(arrivalAlert, estimate).catch((notifyError) => {
+        console.error('Arrival notification error:', notifyError);
+        showNotification(`🔔 ${arrivalAlert.busName} is almost at ${arrivalAlert.stopName}`, 'success');
+      });
+      setArrivalAlert((prev) => prev && { ...prev, fired: true });
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [arrivalAlert, selectedBus, nearestBuses]);
+
+  // Keep an offline copy of the latest live positions for this stop
+  useEffect(() => {
+    if (!busStop || staleSnapshotAt) return;
+    lastLiveAtRef.current = Date.now();
+    saveStopSnapshot(busStop, nearestBuses, lastLiveAtRef.current);
+  }, [busStop, nearestBuses, staleSnapshotAt]);
+
+  useEffect(() => {
+    if (!isOnline) return;
+    retryQueuedLookups();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOnline]);
+
+  useEffect(() => {
+    if (!selectedItinerary) {
+      setItineraryLines([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const toLine = (stops) => stops
+      .filter((stop) => hasValidCoordinates(stop?.location))
+      .map((stop) => [Number(stop.location.latitude), Number(stop.location.longitude)]);
+
+    Promise.all(selectedItinerary.legs.map(async (leg) => {
+      if (leg.type === 'walk' || isMobileTrackingMode) {
+        return { leg, coordinates: toLine(leg.type === 'walk' ? [leg.from, leg.to] : leg.stops) };
+      }
+      const route = await getChunkedRoute(leg.stops.map((stop) => stop.location));
+      return { leg, coordinates: route.coordinates };
+    })).then((lines) => {
+      if (!cancelled) setItineraryLines(lines);
+    });
+
+    return () => { cancelled = true; };
+  }, [selectedItinerary, isMobileTrackingMode]);
+
   const stopTracking = () => {
     setSelectedBus(null);
     setRouteCoordinates([]);
@@ -798,7 +1151,9 @@ const PassengerPage = () => {
     setBusDirection(null);
     setDirectionStops([]);
     setDestinationStop(null);
-    previousLocationRef.current = null;
+    routeReferenceRef.current = null;
+    matchHistoryRef.current = [];
+    lastProgressRef.current = null;
 
     hasDepartedRef.current = false;
     hasArrivedAtStopRef.current = false;
@@ -810,14 +1165,13 @@ const PassengerPage = () => {
   };
 
   const resetView = () => {
-    if (socketRef.current) {
-      nearestBuses.forEach(bus => {
-        socketRef.current.emit('passenger:untrack-bus', { busId: bus._id });
-      });
-    }
     setBusStop(null);
     setNearestBuses([]);
     setAllBuses([]);
+    setStaleSnapshotAt(null);
+    setShowPlanner(false);
+    setSelectedItinerary(null);
+    setShowNearbyStops(false);
     setShowAllBuses(false);
     setSelectedBus(null);
     setMapCenter(null);
@@ -830,7 +1184,9 @@ const PassengerPage = () => {
     setBusDirection(null);
     setDirectionStops([]);
     setDestinationStop(null);
-    previousLocationRef.current = null;
+    routeReferenceRef.current = null;
+    matchHistoryRef.current = [];
+    lastProgressRef.current = null;
 
     hasDepartedRef.current = false;
     hasArrivedAtStopRef.current = false;
@@ -843,20 +1199,49 @@ const PassengerPage = () => {
     setMapType(prev => prev === 'street' ? 'satellite' : 'street');
   };
 
+  // The tracked bus and buses on a trip with a declared direction have a
+  // known stop order; for the others try both directions and use whichever
+  // still has the user's stop ahead
+  const getEtaEstimate = (bus) => {
+    if (!busStop) return null;
+
+    const isTracked = selectedBus?._id === bus._id;
+    let candidateOrders = ROUTE_DIRECTIONS.map((direction) => getDirectionStops(bus.route, direction));
+    if (isTracked && directionStops.length > 0) {
+      candidateOrders = [directionStops];
+    } else if (bus.direction) {
+      candidateOrders = [getDirectionStops(bus.route, bus.direction)];
+    }
+    const baseInput = {
+      busLocation: bus.currentLocation,
+      targetStop: busStop,
+      speedHistory: speedHistoryRef.current[bus._id],
+      currentSpeed: getSafeSpeed(bus.speed),
+      route: bus.route,
+      roadDistanceKm: isTracked && !hasDepartedRef.current ? routeDistance : null
+    };
+
+    for (const orderedStops of candidateOrders) {
+      const estimate = estimateArrival({ ...baseInput, orderedStops });
+      if (estimate?.source === 'live') return estimate;
+    }
+
+    return estimateArrival({ ...baseInput, busLocation: null, orderedStops: candidateOrders[0] });
+  };
+
+  const arrivals = trackAllBuses
+    ? nearestBuses
+        .filter((bus) => bus.currentLocation)
+        .map((bus) => ({ bus, estimate: getEtaEstimate(bus), color: getRouteColor(bus.route) }))
+        .sort((a, b) => (a.estimate?.likely ?? Infinity) - (b.estimate?.likely ?? Infinity))
+    : [];
+  const arrivalRoutes = [...new Map(arrivals.map(({ bus, color }) => [bus.route?._id || bus.route, { route: bus.route, color }])).entries()];
+
   const calculateETA = (bus) => {
-    if (!bus.currentLocation || !busStop) return 'Calculating...';
-    const distance = routeDistance
-      ? parseFloat(routeDistance)
-      : parseFloat(calculateDistance(
-          bus.currentLocation.latitude, bus.currentLocation.longitude,
-          busStop.location.latitude, busStop.location.longitude
-        ).toFixed(2));
-    const speed = getSafeSpeed(bus.speed) || 30;
-    if (speed < 5) return 'Bus stopped';
-    const timeInMinutes = Math.round((distance / speed) * 60);
-    if (timeInMinutes < 1) return 'Arriving now!';
-    if (timeInMinutes === 1) return '1 min';
-    return `${timeInMinutes} min`;
+    const estimate = getEtaEstimate(bus);
+    if (!estimate) return 'Calculating...';
+    const label = formatEtaRange(estimate);
+    return estimate.source === 'schedule' ? `${label} (scheduled)` : label;
   };
 
   const getTileLayerUrl = () =>
@@ -869,6 +1254,42 @@ const PassengerPage = () => {
       ? '&copy; <a href="https://www.google.com/maps">Google Maps</a>'
       : '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
 
+  const staleSince = staleSnapshotAt || (!isOnline && busStop ? lastLiveAtRef.current : null);
+
+  const openNearbyStops = () => {
+    setShowNearbyStops(true);
+    locateNearbyStops();
+  };
+
+  const selectNearbyStop = (stop) => {
+    setShowNearbyStops(false);
+    fetchNearestBuses(stop.stopCode);
+  };
+
+  const nearbyPoints = useMemo(() => (
+    userPosition
+      ? [[userPosition.latitude, userPosition.longitude], ...nearbyStops.map((stop) => [stop.location.latitude, stop.location.longitude])]
+      : []
+  ), [userPosition, nearbyStops]);
+
+  const closePlanner = () => {
+    setShowPlanner(false);
+    setSelectedItinerary(null);
+  };
+
+  const itineraryPoints = useMemo(() => itineraryLines.flatMap((line) => line.coordinates), [itineraryLines]);
+  const itineraryStops = selectedItinerary
+    ? selectedItinerary.legs.filter((leg) => leg.type === 'bus').flatMap((leg) => [leg.from, leg.to])
+    : [];
+  const plannerMapCenter = itineraryPoints[0]
+    || (busStop ? [busStop.location.latitude, busStop.location.longitude] : null);
+
+  const formatStaleSince = () => {
+    const time = new Date(staleSince).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const mins = Math.floor((Date.now() - staleSince) / 60000);
+    return mins < 1 ? time : `${time} (${mins} min ago)`;
+  };
+
   const formatLastUpdate = () => {
     if (!lastUpdateTime) return null;
     const secs = Math.floor((new Date() - lastUpdateTime) / 1000);
@@ -896,6 +1317,7 @@ const PassengerPage = () => {
       : null;
 
   const renderBusCard = (bus, isOutOfRange = false) => {
+    const estimate = getEtaEstimate(bus);
     const distance = bus.currentLocation && busStop
       ? calculateDistance(
           bus.currentLocation.latitude, bus.currentLocation.longitude,
@@ -932,6 +1354,9 @@ const PassengerPage = () => {
           <div className="flex items-center gap-1 text-gray-700">
             <Clock size={16} />
             <span className="text-sm font-semibold">{calculateETA(bus)}</span>
+            {estimate?.source === 'live' && Math.round(estimate.worst) >= 1 && (
+              <span className="text-xs text-gray-500">· likely {Math.max(1, Math.round(estimate.likely))} min</span>
+            )}
           </div>
           <button className={`font-bold text-sm ${
             isOutOfRange
@@ -1008,11 +1433,31 @@ const PassengerPage = () => {
                 <p className="text-sm md:text-base text-sky-100">Scan your stop, watch buses arrive live, and follow the route in real time.</p>
               </div>
             </div>
-            {(busStop || selectedBus) && (
-              <button onClick={resetView} className="bg-white text-sky-900 hover:bg-sky-50 font-semibold text-sm px-4 py-2 rounded-xl transition">
-                ← Scan New Stop
-              </button>
-            )}
+            <div className="flex items-center gap-2">
+              {!showPlanner && !showNearbyStops && !showScanner && !selectedBus && (
+                <button
+                  onClick={openNearbyStops}
+                  className="flex items-center gap-2 bg-white/10 text-white hover:bg-white/20 border border-white/20 font-semibold text-sm px-4 py-2 rounded-xl transition"
+                >
+                  <LocateFixed size={16} />
+                  Stops Near Me
+                </button>
+              )}
+              {!showPlanner && !showNearbyStops && !showScanner && !selectedBus && (
+                <button
+                  onClick={() => setShowPlanner(true)}
+                  className="flex items-center gap-2 bg-white/10 text-white hover:bg-white/20 border border-white/20 font-semibold text-sm px-4 py-2 rounded-xl transition"
+                >
+                  <Navigation2 size={16} />
+                  Plan Journey
+                </button>
+              )}
+              {(busStop || selectedBus) && (
+                <button onClick={resetView} className="bg-white text-sky-900 hover:bg-sky-50 font-semibold text-sm px-4 py-2 rounded-xl transition">
+                  ← Scan New Stop
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -1026,6 +1471,27 @@ const PassengerPage = () => {
           </div>
         )}
 
+        {busStop && staleSince && (
+          <div className="bg-amber-50 border-l-4 border-amber-500 text-amber-800 p-4 mb-6 rounded-r-lg flex items-start gap-3">
+            <WifiOff size={20} className="shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <p className="font-semibold">{isOnline ? 'Showing saved bus positions' : "You're offline"}</p>
+              <p className="text-sm">
+                Bus positions are stale since {formatStaleSince()}.
+                {isOnline ? ' The server could not be reached.' : " They will refresh when you're back online."}
+              </p>
+            </div>
+            {isOnline && (
+              <button
+                onClick={() => fetchNearestBuses(busStop.stopCode)}
+                className="text-sm font-semibold text-amber-900 hover:text-amber-950 shrink-0"
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+
         {error && !busStop && !showScanner && (
           <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-r-lg">
             <p className="font-semibold">Error</p>
@@ -1041,7 +1507,18 @@ const PassengerPage = () => {
         )}
 
         {/* ✅ FIX: Landing page — only show when no busStop, no scanner open, no selected bus, not loading */}
-        {!busStop && !showScanner && !selectedBus && !loading && (
+        {!busStop && !showScanner && !selectedBus && !loading && !showPlanner && !showNearbyStops && favourites.length > 0 && (
+          <FavouritesPanel
+            favourites={favourites}
+            maxDistanceKm={maxDistanceKm}
+            onOpen={openFavourite}
+            onRemove={removeFavourite}
+            onMove={moveFavourite}
+            onRename={renameFavourite}
+          />
+        )}
+
+        {!busStop && !showScanner && !selectedBus && !loading && !showPlanner && !showNearbyStops && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             <div className="bg-white rounded-[2rem] shadow-xl p-12">
               <div className="inline-flex items-center justify-center w-24 h-24 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-[1.75rem] mb-6 shadow-lg">
@@ -1056,6 +1533,13 @@ const PassengerPage = () => {
                 <Scan size={24} />
                 Scan QR Code
               </button>
+              <button
+                onClick={openNearbyStops}
+                className="mt-4 flex items-center gap-2 text-blue-700 hover:text-blue-900 font-semibold"
+              >
+                <LocateFixed size={18} />
+                Or find stops near me
+              </button>
             </div>
 
             <div className="bg-slate-900 text-white rounded-[2rem] shadow-xl p-12">
@@ -1129,21 +1613,158 @@ const PassengerPage = () => {
           </div>
         )}
 
-        {busStop && !selectedBus && !loading && (
+        {showNearbyStops && !loading && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-800">Stops Around You</h3>
+                <button onClick={toggleMapType} className="flex items-center gap-2 px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition">
+                  {mapType === 'street'
+                    ? <><Satellite size={18} /><span className="text-sm font-semibold">Satellite</span></>
+                    : <><MapIconLucide size={18} /><span className="text-sm font-semibold">Street</span></>}
+                </button>
+              </div>
+              <div className="h-96 rounded-lg overflow-hidden border-2 border-gray-200">
+                {userPosition ? (
+                  <MapContainer center={[userPosition.latitude, userPosition.longitude]} zoom={16} style={{ height: '100%', width: '100%' }}>
+                    <TileLayer url={getTileLayerUrl()} attribution={getTileLayerAttribution()} />
+                    <MapBoundsUpdater points={nearbyPoints} />
+                    <Circle
+                      center={[userPosition.latitude, userPosition.longitude]}
+                      radius={userPosition.accuracy}
+                      pathOptions={{ color: '#2563EB', weight: 1, fillOpacity: 0.1 }}
+                    />
+                    <Marker position={[userPosition.latitude, userPosition.longitude]} icon={userLocationIcon}>
+                      <Popup>📍 You are here</Popup>
+                    </Marker>
+                    {nearbyStops.map((stop, index) => (
+                      <Marker
+                        key={stop._id}
+                        position={[stop.location.latitude, stop.location.longitude]}
+                        icon={index === 0 ? stopIcon : routeStopIcon}
+                      >
+                        <Popup>
+                          <strong>{stop.stopName}</strong><br />
+                          Code: {stop.stopCode}<br />
+                          🚶 {Math.round(stop.walk.distanceKm * 1000)} m<br />
+                          <button
+                            onClick={() => selectNearbyStop(stop)}
+                            className="mt-2 px-3 py-1 bg-blue-600 text-white text-xs font-semibold rounded"
+                          >
+                            Show buses
+                          </button>
+                        </Popup>
+                      </Marker>
+                    ))}
+                  </MapContainer>
+                ) : (
+                  <div className="h-full flex items-center justify-center text-gray-500 text-sm p-6 text-center">
+                    {locatingStops ? 'Waiting for your location...' : 'Share your location to see the stops around you.'}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <NearbyStopsPanel
+              stops={nearbyStops}
+              position={userPosition}
+              locating={locatingStops}
+              error={nearbyStopsError}
+              onSelect={selectNearbyStop}
+              onRefresh={locateNearbyStops}
+              onClose={() => setShowNearbyStops(false)}
+            />
+          </div>
+        )}
+
+        {showPlanner && !selectedBus && !loading && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-800">Journey Map</h3>
+                <button onClick={toggleMapType} className="flex items-center gap-2 px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition">
+                  {mapType === 'street'
+                    ? <><Satellite size={18} /><span className="text-sm font-semibold">Satellite</span></>
+                    : <><MapIconLucide size={18} /><span className="text-sm font-semibold">Street</span></>}
+                </button>
+              </div>
+              <div className="h-96 rounded-lg overflow-hidden border-2 border-gray-200">
+                {plannerMapCenter ? (
+                  <MapContainer center={plannerMapCenter} zoom={14} style={{ height: '100%', width: '100%' }}>
+                    <TileLayer url={getTileLayerUrl()} attribution={getTileLayerAttribution()} />
+                    <MapBoundsUpdater points={itineraryPoints} />
+                    {itineraryLines.map(({ leg, coordinates }, index) => {
+                      const busLegIndex = itineraryLines.slice(0, index).filter((line) => line.leg.type === 'bus').length;
+                      return (
+                        <Polyline
+                          key={index}
+                          positions={coordinates}
+                          color={leg.type === 'walk' ? '#6B7280' : LEG_COLORS[busLegIndex % LEG_COLORS.length]}
+                          weight={leg.type === 'walk' ? 4 : 6}
+                          opacity={0.85}
+                          dashArray={leg.type === 'walk' ? '6, 8' : undefined}
+                        />
+                      );
+                    })}
+                    {itineraryStops.map((stop, index) => (
+                      <Marker
+                        key={`${stop._id}-${index}`}
+                        position={[stop.location.latitude, stop.location.longitude]}
+                        icon={index === 0 ? stopIcon : nextStopIcon}
+                      >
+                        <Popup>
+                          <strong>{stop.stopName}</strong><br />
+                          Code: {stop.stopCode}<br />
+                          {index === 0 ? '📍 Start'
+                            : index === itineraryStops.length - 1 ? '🏁 Destination'
+                            : index % 2 === 1 ? 'Get off here' : 'Board here'}
+                        </Popup>
+                      </Marker>
+                    ))}
+                  </MapContainer>
+                ) : (
+                  <div className="h-full flex items-center justify-center text-gray-500 text-sm p-6 text-center">
+                    Choose where you're starting from and where you're going to see the journey here.
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <JourneyPlanner
+              initialOrigin={busStop}
+              selectedItinerary={selectedItinerary}
+              onSelectItinerary={setSelectedItinerary}
+              onClose={closePlanner}
+            />
+          </div>
+        )}
+
+        {busStop && !selectedBus && !loading && !showPlanner && !showNearbyStops && (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             {/* Map Panel */}
             <div className="lg:col-span-2 bg-white rounded-2xl shadow-xl p-6">
               <div className="flex justify-between items-center mb-4">
                 <h3 className="text-xl font-bold text-gray-800">
-                  {nearestBuses.length > 0 ? 'Live Bus Locations' : 'Your Bus Stop Location'}
+                  {nearestBuses.length > 0 ? (staleSince ? 'Last Known Bus Locations' : 'Live Bus Locations') : 'Your Bus Stop Location'}
                 </h3>
                 <div className="flex items-center gap-2">
+                  {nearestBuses.length > 0 && (
+                    <button
+                      onClick={() => setTrackAllBuses(prev => !prev)}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg transition ${
+                        trackAllBuses ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <BusIcon size={18} />
+                      <span className="text-sm font-semibold">{trackAllBuses ? 'Tracking all' : 'Track all'}</span>
+                    </button>
+                  )}
                   <button onClick={toggleMapType} className="flex items-center gap-2 px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition">
                     {mapType === 'street'
                       ? <><Satellite size={18} /><span className="text-sm font-semibold">Satellite</span></>
                       : <><MapIconLucide size={18} /><span className="text-sm font-semibold">Street</span></>}
                   </button>
-                  {nearestBuses.length > 0 && (
+                  {nearestBuses.length > 0 && !staleSince && (
                     <span className="inline-flex items-center gap-2 px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm font-semibold">
                       <span className="relative flex h-3 w-3">
                         <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
@@ -1166,22 +1787,53 @@ const PassengerPage = () => {
                         📍 Your Location
                       </Popup>
                     </Marker>
-                    {nearestBuses.map(bus => bus.currentLocation && (
-                      <Marker
+                    {!trackAllBuses && nearestBuses.map(bus => bus.currentLocation && (
+                      <AnimatedBusMarker
                         key={bus._id}
                         position={[bus.currentLocation.latitude, bus.currentLocation.longitude]}
-                        icon={busIcon}
+                        heading={bus.heading}
+                        icon={getBusIcon()}
                       >
                         <Popup>
                           <strong>{bus.busName}</strong><br />
                           {bus.busNumber}<br />
                           Speed: {getSafeSpeed(bus.speed) > 0 ? `${getSafeSpeed(bus.speed).toFixed(0)} km/h` : 'N/A'}
                         </Popup>
-                      </Marker>
+                      </AnimatedBusMarker>
+                    ))}
+                    {arrivals.map(({ bus, estimate, color }) => (
+                      <AnimatedBusMarker
+                        key={bus._id}
+                        position={[bus.currentLocation.latitude, bus.currentLocation.longitude]}
+                        heading={bus.heading}
+                        icon={getBusIcon({ color, label: formatEtaRange(estimate) })}
+                      >
+                        <Popup>
+                          <strong>{bus.busName}</strong><br />
+                          {bus.busNumber}{bus.route?.routeNumber ? ` · Route ${bus.route.routeNumber}` : ''}<br />
+                          ETA: {calculateETA(bus)}<br />
+                          <button
+                            onClick={() => trackBus(bus)}
+                            className="mt-2 px-3 py-1 bg-blue-600 text-white text-xs font-semibold rounded"
+                          >
+                            Track this bus
+                          </button>
+                        </Popup>
+                      </AnimatedBusMarker>
                     ))}
                   </MapContainer>
                 )}
               </div>
+              {arrivalRoutes.length > 0 && (
+                <div className="flex flex-wrap gap-3 mt-3">
+                  {arrivalRoutes.map(([routeKey, { route, color }]) => (
+                    <span key={routeKey} className="inline-flex items-center gap-2 text-xs font-semibold text-gray-700">
+                      <span className="w-3 h-3 rounded-full" style={{ background: color }}></span>
+                      {route?.routeNumber ? `Route ${route.routeNumber}` : 'Route'}{route?.routeName ? ` · ${route.routeName}` : ''}
+                    </span>
+                  ))}
+                </div>
+              )}
               {nearestBuses.length === 0 && (
                 <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
                   <p className="text-center text-blue-800 font-semibold flex items-center justify-center gap-2">
@@ -1195,7 +1847,10 @@ const PassengerPage = () => {
 
             {/* Right Panel */}
             <div className="bg-white rounded-2xl shadow-xl p-6">
-              <h3 className="text-xl font-bold text-gray-800 mb-4">Bus Stop Information</h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-gray-800">Bus Stop Information</h3>
+                {renderFavouriteToggle(stopFavourite, isFavourite(stopFavourite.id) ? 'Saved' : 'Save stop')}
+              </div>
               <div className="bg-gradient-to-br from-blue-50 to-indigo-50 p-4 rounded-xl mb-4">
                 <h4 className="font-bold text-lg text-gray-800">{busStop.stopName}</h4>
                 <p className="text-sm text-gray-600">Code: {busStop.stopCode}</p>
@@ -1219,7 +1874,9 @@ const PassengerPage = () => {
                 </div>
               </div>
 
-              {nearestBuses.length > 0 ? (
+              {trackAllBuses && arrivals.length > 0 ? (
+                <ArrivalsBoard stopName={busStop.stopName} arrivals={arrivals} onTrack={trackBus} />
+              ) : nearestBuses.length > 0 ? (
                 <>
                   <h4 className="font-semibold text-gray-700 mb-3">Nearby Buses ({nearestBuses.length})</h4>
                   <div className="space-y-3 max-h-96 overflow-y-auto">
@@ -1288,7 +1945,7 @@ const PassengerPage = () => {
                   <h3 className="text-xl font-bold text-gray-800">Tracking {selectedBus.busName}</h3>
                   <div className="flex items-center gap-3 mt-1">
                     {loadingRoute && <p className="text-sm text-gray-500">Calculating road route...</p>}
-                    {lastUpdateTime && (
+                    {lastUpdateTime && !staleSince && (
                       <span className="inline-flex items-center gap-1 text-xs text-green-600 font-semibold">
                         <span className="relative flex h-2 w-2">
                           <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
@@ -1300,6 +1957,8 @@ const PassengerPage = () => {
                   </div>
                 </div>
                 <div className="flex items-center gap-2">
+                  {busFavourite && renderFavouriteToggle(busFavourite, 'Bus')}
+                  {routeFavourite && renderFavouriteToggle(routeFavourite, 'Route')}
                   <button onClick={toggleMapType} className="flex items-center gap-2 px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition">
                     {mapType === 'street'
                       ? <><Satellite size={18} /><span className="text-sm font-semibold">Satellite</span></>
@@ -1314,13 +1973,13 @@ const PassengerPage = () => {
               {/* Direction Banner */}
               {busDirection && destinationStop && (
                 <div className="mb-4 p-4 rounded-xl border-2 bg-gradient-to-r from-purple-50 to-indigo-50 border-purple-300 flex items-center gap-3">
-                  {busDirection === 'forward' ? <ArrowRight size={28} className="text-purple-600" /> : <ArrowLeft size={28} className="text-purple-600" />}
+                  {busDirection === 'outbound' ? <ArrowRight size={28} className="text-purple-600" /> : <ArrowLeft size={28} className="text-purple-600" />}
                   <div className="flex-1">
                     <p className="font-bold text-purple-900 text-lg">
                       🧭 Heading to {destinationStop.stopName}
                     </p>
                     <p className="text-sm text-purple-700 mt-1">
-                      Direction: {busDirection === 'forward' ? 'Forward Route' : 'Return Route'}
+                      Direction: {busDirection === 'outbound' ? 'Outbound' : 'Inbound'}
                     </p>
                   </div>
                 </div>
@@ -1334,6 +1993,16 @@ const PassengerPage = () => {
                     {config.icon}
                     <div className="flex-1">
                       <p className="font-bold">{config.title}</p>
+                      {(busStatus === 'far' || busStatus === 'approaching') && (() => {
+                        const estimate = getEtaEstimate(selectedBus);
+                        return estimate && (
+                          <p className="text-sm mt-1">
+                            Arrives in <span className="font-semibold">{formatEtaRange(estimate)}</span>
+                            {Math.round(estimate.worst) >= 1 && ` (most likely ${Math.max(1, Math.round(estimate.likely))} min)`}
+                            {estimate.source === 'schedule' && ' — based on the timetable'}
+                          </p>
+                        );
+                      })()}
                       {nextStop && busStatus !== 'at_stop' && busStatus !== 'passed' && (
                         <p className="text-sm mt-1">
                           Next stop: <span className="font-semibold">{nextStop.stopName}</span> (~{nextStop.distance} km away)
@@ -1386,9 +2055,12 @@ const PassengerPage = () => {
                       );
                     })}
 
-                    <Marker
+                    <AnimatedBusMarker
+                      key={selectedBus._id}
                       position={[Number(selectedBus.currentLocation.latitude), Number(selectedBus.currentLocation.longitude)]}
-                      icon={busIcon}
+                      heading={selectedBus.heading}
+                      snapTo={routeCoordinates}
+                      icon={getBusIcon()}
                     >
                       <Popup>
                         <strong>{selectedBus.busName}</strong><br />
@@ -1396,7 +2068,7 @@ const PassengerPage = () => {
                         Speed: {getSafeSpeed(selectedBus.speed).toFixed(0)} km/h
                         {destinationStop && <><br />Going to: {destinationStop.stopName}</>}
                       </Popup>
-                    </Marker>
+                    </AnimatedBusMarker>
                   </MapContainer>
                 ) : (
                   <div className="h-full flex items-center justify-center bg-gray-50 text-center px-6">
@@ -1453,14 +2125,23 @@ const PassengerPage = () => {
             <div className="bg-white rounded-2xl shadow-xl p-6">
               <h3 className="text-xl font-bold text-gray-800 mb-4">Route Progress</h3>
 
+              <ArrivalAlertCard
+                alert={arrivalAlert?.busId === selectedBus._id ? arrivalAlert : null}
+                stopName={busStop.stopName}
+                busy={settingAlert}
+                error={alertError}
+                onCreate={replaceArrivalAlert}
+                onCancel={clearArrivalAlert}
+              />
+
               {destinationStop && (
                 <div className="bg-gradient-to-br from-purple-50 to-indigo-50 border-2 border-purple-300 p-4 rounded-xl mb-4">
                   <div className="flex items-center gap-2 mb-2">
-                    {busDirection === 'forward' ? <ArrowRight size={20} className="text-purple-600" /> : <ArrowLeft size={20} className="text-purple-600" />}
+                    {busDirection === 'outbound' ? <ArrowRight size={20} className="text-purple-600" /> : <ArrowLeft size={20} className="text-purple-600" />}
                     <p className="text-sm text-purple-800 font-semibold">Destination</p>
                   </div>
                   <p className="font-bold text-lg text-purple-900">{destinationStop.stopName}</p>
-                  <p className="text-sm text-purple-700 mt-1">{busDirection === 'forward' ? 'Forward Route' : 'Return Route'}</p>
+                  <p className="text-sm text-purple-700 mt-1">{busDirection === 'outbound' ? 'Outbound' : 'Inbound'}</p>
                 </div>
               )}
 
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { Bus, AlertCircle, CheckCircle } from 'lucide-react';
+import { getErrorMessage } from '../services/apiError';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -13,6 +14,8 @@ const Register = () => {
     phone: ''
   });
   const [error, setError] = useState('');
+  // Per-field messages from the server's validation
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
   
@@ -29,6 +32,7 @@ const Register = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setSuccess('');
 
     // Validation
@@ -64,7 +68,8 @@ const Register = () => {
         navigate(`/${formData.role}`);
       }, 2000);
     } catch (err) {
-      setError(err.response?.data?.message || 'Registration failed');
+      setError(getErrorMessage(err, 'Registration failed'));
+      setFieldErrors(err.fieldErrors || {});
     } finally {
       setLoading(false);
     }
@@ -109,6 +114,7 @@ const Register = () => {
               className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
               placeholder="Enter your full name"
             />
+            {fieldErrors.name && <p className="text-xs text-red-600 mt-1">{fieldErrors.name}</p>}
           </div>
 
           <div>
@@ -124,6 +130,7 @@ const Register = () => {
               className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
               placeholder="Enter your email"
             />
+            {fieldErrors.email && <p className="text-xs text-red-600 mt-1">{fieldErrors.email}</p>}
           </div>
 
           <div>
@@ -138,6 +145,7 @@ const Register = () => {
               className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
               placeholder="Enter your phone number"
             />
+            {fieldErrors.phone && <p className="text-xs text-red-600 mt-1">{fieldErrors.phone}</p>}
           </div>
 
           <div>
@@ -169,6 +177,7 @@ const Register = () => {
               className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
               placeholder="Enter your password"
             />
+            {fieldErrors.password && <p className="text-xs text-red-600 mt-1">{fieldErrors.password}</p>}
             <p className="text-xs text-gray-500 mt-1">Minimum 6 characters</p>
           </div>
 
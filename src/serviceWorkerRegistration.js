@@ -0,0 +1,37 @@
+// Registers public/service-worker.js, which provides the offline app shell and
+// map tile cache and handles arrival alert notifications. Production builds
+// only, so `npm start` never serves a stale cached bundle; set
+// REACT_APP_DISABLE_SW=true to opt out there too.
+
+let registrationPromise = null;
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator) || process.env.REACT_APP_DISABLE_SW === 'true') {
+    return null;
+  }
+
+  if (!registrationPromise) {
+    registrationPromise = new Promise((resolve) => {
+      window.addEventListener('load', () => {
+        navigator.serviceWorker
+          .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+          .then((registration) => {
+            console.log('✅ Service worker registered');
+            resolve(registration);
+          })
+          .catch((error) => {
+            console.error('Service worker registration failed:', error);
+            resolve(null);
+          });
+      });
+    });
+  }
+
+  return registrationPromise;
+};
+
+// Resolves to the active registration, or null if there isn't one
+export const getRegistration = async () => {
+  if (!registrationPromise || !(await registrationPromise)) return null;
+  return navigator.serviceWorker.ready;
+};
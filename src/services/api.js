@@ -1,7 +1,17 @@
 import axios from "axios";
+import { toApiError } from "./apiError";
 
 const API_URL = process.env.REACT_APP_API_URL || "http://localhost:5000";
 
+const TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+// Refresh this long before the access token expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+// Never schedule refreshes closer together than this, even for very short tokens
+const MIN_REFRESH_DELAY_MS = 5 * 1000;
+// setTimeout overflows beyond ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+
 const api = axios.create({
   baseURL: `${API_URL}/api`,
   headers: {
@@ -11,12 +21,102 @@ const api = axios.create({
   timeout: 10000, // ✅ NEW: 10 second timeout to prevent hanging requests
 });
 
+/* =========================
+   SESSION TOKENS
+========================= */
+const tokenListeners = new Set();
+const expiryListeners = new Set();
+let refreshPromise = null;
+let refreshTimer = null;
+
+// Called with the new access token after every login and refresh, so live
+// socket connections can re-authenticate without reconnecting
+export const onTokenRefreshed = (listener) => {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
+
+// Called once the session can no longer be refreshed
+export const onSessionExpired = (listener) => {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+};
+
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const scheduleRefresh = (token) => {
+  clearTimeout(refreshTimer);
+  const expiresAt = getTokenExpiry(token);
+  if (!expiresAt) return;
+
+  const delay = Math.min(MAX_TIMER_MS, Math.max(MIN_REFRESH_DELAY_MS, expiresAt - Date.now() - REFRESH_AHEAD_MS));
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {});
+  }, delay);
+};
+
+export const setSessionTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  // Servers that keep the refresh token in an httpOnly cookie don't send one
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  scheduleRefresh(token);
+  tokenListeners.forEach((listener) => listener(token));
+};
+
+export const clearSessionTokens = () => {
+  clearTimeout(refreshTimer);
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// One refresh at a time: every request that hits a 401 while a refresh is in
+// flight waits for the same one. Uses bare axios so a failed refresh can't
+// trigger another.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(
+        `${API_URL}/api/auth/refresh`,
+        { refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY) },
+        { withCredentials: true, timeout: 10000 }
+      )
+      .then((response) => {
+        setSessionTokens(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        console.warn("🔒 Session refresh failed:", error.response?.data?.message || error.message);
+        // A network failure may recover; only a rejected refresh ends the session
+        if (error.response) {
+          clearSessionTokens();
+          expiryListeners.forEach((listener) => listener());
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+if (getAccessToken()) scheduleRefresh(getAccessToken());
+
 /* =========================
    REQUEST INTERCEPTOR
 ========================= */
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("token");
+    const token = getAccessToken();
 
     // ✅ Attach token ONLY if present
     if (token) {
@@ -31,29 +131,40 @@ api.interceptors.request.use(
   }
 );
 
+/* =========================
+   RESPONSE INTERCEPTOR
+========================= */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     if (error.response) {
       console.error(`❌ API Error [${error.response.status}]:`, error.response.data);
     } else if (error.request) {
-     
+
       console.error("❌ Network Error: No response from server", error.message);
     } else {
       console.error("❌ Request Error:", error.message);
     }
 
-    if (
-      error.response?.status === 401 &&
-      !window.location.pathname.startsWith("/passenger")
-    ) {
-      console.warn("🔒 Unauthorized - redirecting to login");
-      localStorage.removeItem("token");
-      window.location.href = "/login";
+    // An expired access token is refreshed once and the request replayed
+    const config = error.config;
+    if (error.response?.status === 401 && config && !config._retried && !config.skipAuthRefresh && getAccessToken()) {
+      config._retried = true;
+
+      // Another request already refreshed while this one was in flight
+      const sentToken = String(config.headers?.Authorization || "").replace("Bearer ", "");
+      if (sentToken && sentToken !== getAccessToken()) return api(config);
+
+      try {
+        await refreshSession();
+        return api(config);
+      } catch {
+        // Expiry listeners show the sign-in prompt; the caller still sees the 401
+      }
     }
 
-    return Promise.reject(error);
+    return Promise.reject(toApiError(error));
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,119 @@
+// Every failed request through the api client rejects with an ApiError, so
+// callers read `code`, `message` and `fieldErrors` instead of digging through
+// axios' response shape (or finding no response at all when offline).
+
+export const API_ERROR_CODES = {
+  NETWORK: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  CANCELED: 'CANCELED',
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  VALIDATION: 'VALIDATION_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER: 'SERVER_ERROR',
+  UNKNOWN: 'UNKNOWN_ERROR'
+};
+
+const STATUS_CODES = {
+  400: API_ERROR_CODES.BAD_REQUEST,
+  401: API_ERROR_CODES.UNAUTHORIZED,
+  403: API_ERROR_CODES.FORBIDDEN,
+  404: API_ERROR_CODES.NOT_FOUND,
+  409: API_ERROR_CODES.CONFLICT,
+  422: API_ERROR_CODES.VALIDATION,
+  429: API_ERROR_CODES.RATE_LIMITED
+};
+
+const DEFAULT_MESSAGES = {
+  [API_ERROR_CODES.NETWORK]: "Can't reach the server. Check your connection and try again.",
+  [API_ERROR_CODES.TIMEOUT]: 'The server took too long to respond. Please try again.',
+  [API_ERROR_CODES.CANCELED]: 'The request was cancelled.',
+  [API_ERROR_CODES.UNAUTHORIZED]: 'Please sign in to continue.',
+  [API_ERROR_CODES.FORBIDDEN]: "You don't have permission to do that.",
+  [API_ERROR_CODES.NOT_FOUND]: 'Not found.',
+  [API_ERROR_CODES.RATE_LIMITED]: 'Too many requests. Please wait a moment and try again.',
+  [API_ERROR_CODES.SERVER]: 'Something went wrong on the server. Please try again.'
+};
+
+export class ApiError extends Error {
+  constructor({ code, status = null, serverMessage = null, fieldErrors = {}, details = null }) {
+    super(serverMessage || DEFAULT_MESSAGES[code] || 'Request failed');
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    // What the server said, if anything; `message` falls back to a generic
+    // sentence for the code
+    this.serverMessage = serverMessage;
+    this.fieldErrors = fieldErrors;
+    this.details = details;
+  }
+
+  // No answer from the server, so retrying later may work
+  get isNetworkError() {
+    return this.code === API_ERROR_CODES.NETWORK || this.code === API_ERROR_CODES.TIMEOUT;
+  }
+}
+
+// `{ field: message }` from the shapes our backend and its libraries send:
+// express-validator arrays, mongoose ValidationError maps, or a plain map
+const normalizeFieldErrors = (data) => {
+  const source = data?.fieldErrors || data?.errors;
+  const fieldErrors = {};
+  if (Array.isArray(source)) {
+    source.forEach((item) => {
+      const field = item?.path || item?.param || item?.field;
+      if (field && !fieldErrors[field]) fieldErrors[field] = item.msg || item.message || 'Invalid value';
+    });
+  } else if (source && typeof source === 'object') {
+    Object.entries(source).forEach(([field, value]) => {
+      const message = typeof value === 'string' ? value : value?.message;
+      if (message) fieldErrors[field] = message;
+    });
+  }
+  return fieldErrors;
+};
+
+const getStatusCode = (status) => {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? API_ERROR_CODES.SERVER : API_ERROR_CODES.UNKNOWN;
+};
+
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error?.response) {
+    const { status, data } = error.response;
+    const fieldErrors = normalizeFieldErrors(data);
+    const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+    const serverMessage = (typeof data === 'string' && data.length < 200 ? data : null) ||
+      data?.message || (typeof data?.error === 'string' ? data.error : null) ||
+      Object.values(fieldErrors)[0] || null;
+
+    return new ApiError({
+      code: typeof data?.code === 'string'
+        ? data.code
+        : (hasFieldErrors && status === 400 ? API_ERROR_CODES.VALIDATION : getStatusCode(status)),
+      status,
+      serverMessage,
+      fieldErrors,
+      details: data || null
+    });
+  }
+
+  if (error?.code === 'ERR_CANCELED') return new ApiError({ code: API_ERROR_CODES.CANCELED });
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') return new ApiError({ code: API_ERROR_CODES.TIMEOUT });
+  if (error?.request) return new ApiError({ code: API_ERROR_CODES.NETWORK });
+  return new ApiError({ code: API_ERROR_CODES.UNKNOWN, details: error?.message || null });
+};
+
+// Message to show for a failed request: the server's own explanation, the
+// connection problem, or `fallback` describing what the caller was doing.
+// Errors that didn't come from the api client also get `fallback`.
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  if (!(error instanceof ApiError)) return fallback;
+  if (error.serverMessage) return error.serverMessage;
+  return error.isNetworkError ? error.message : fallback;
+};
@@ -0,0 +1,26 @@
+import api from './api';
+
+// A 401 from these means wrong credentials, not an expired session, so they
+// never trigger a token refresh
+const NO_REFRESH = { skipAuthRefresh: true };
+
+// `{ token, refreshToken, user }`
+export const login = async (email, password) => {
+  const res = await api.post('/auth/login', { email, password }, NO_REFRESH);
+  return res.data;
+};
+
+export const register = async ({ name, email, password, role, phone }) => {
+  const res = await api.post('/auth/register', { name, email, password, role, phone }, NO_REFRESH);
+  return res.data;
+};
+
+export const getCurrentUser = async () => {
+  const res = await api.get('/auth/me');
+  return res.data.user;
+};
+
+export const updateProfile = async (profile) => {
+  const res = await api.put('/auth/profile', profile);
+  return res.data;
+};
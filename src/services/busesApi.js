@@ -0,0 +1,20 @@
+import api from './api';
+
+export const listBuses = async () => {
+  const res = await api.get('/buses');
+  return res.data.buses || [];
+};
+
+export const createBus = async (bus) => {
+  const res = await api.post('/buses', bus);
+  return res.data.bus;
+};
+
+export const updateBus = async (busId, changes) => {
+  const res = await api.put(`/buses/${busId}`, changes);
+  return res.data.bus;
+};
+
+export const deleteBus = async (busId) => {
+  await api.delete(`/buses/${busId}`);
+};
@@ -0,0 +1,30 @@
+import api from './api';
+
+// The bus assigned to the signed-in driver
+export const getMyBus = async () => {
+  const res = await api.get('/driver/my-bus');
+  return res.data.bus;
+};
+
+// The driver's running trip, or null
+export const getCurrentTrip = async () => {
+  const res = await api.get('/driver/current-trip');
+  return res.data.trip || null;
+};
+
+// `details` is the pre-trip confirmation: direction, first stop, odometer,
+// passenger count and checklist
+export const startTrip = async (busId, details) => {
+  const res = await api.post('/driver/start-trip', { busId, ...details });
+  return res.data.trip;
+};
+
+export const endTrip = async (tripId) => {
+  await api.post('/driver/end-trip', { tripId });
+};
+
+// `locations` is a batch of fixes, oldest first, each
+// `{ latitude, longitude, speed, heading, direction, timestamp }`
+export const saveLocations = async (busId, locations) => {
+  await api.post('/driver/save-location', { busId, locations });
+};
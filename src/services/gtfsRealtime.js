@@ -0,0 +1,393 @@
+import * as usersApi from './usersApi';
+import { acquireSocket, releaseSocket, onSocketEvent, joinFleetRoom, leaveFleetRoom } from './socket';
+import { calculateDistance, hasValidCoordinates } from '../utils/geo';
+import { estimateArrival, getAlongRouteDistance, recordSpeedSample } from '../utils/eta';
+import {
+  buildTripId,
+  formatGtfsDate,
+  formatGtfsTime,
+  getDirectionId,
+  getScheduledDepartures,
+  getStopOffsets
+} from '../utils/gtfs';
+import { getDirectionStops } from '../utils/routeDirections';
+
+// GTFS-Realtime VehiclePosition and TripUpdate feed built from the live bus
+// stream. IDs match the static feed from utils/gtfs.js: route_id is the
+// routeNumber, stop_id the stopCode and trip_id the scheduled departure the
+// bus's active trip is closest to, in the direction the driver declared.
+//
+// `buildFeedMessage()` returns the JSON debug form (proto field names);
+// `encodeFeedMessage()` turns that into protobuf bytes.
+
+const GTFS_RT_VERSION = '2.0';
+// Within this distance of the next stop a vehicle counts as STOPPED_AT it
+const AT_STOP_KM = 0.05;
+
+const VehicleStopStatus = { INCOMING_AT: 0, STOPPED_AT: 1, IN_TRANSIT_TO: 2 };
+
+const minutesSinceMidnight = (date) => date.getHours() * 60 + date.getMinutes();
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// The scheduled departure closest to when the driver actually started
+const matchScheduledTrip = (route, tripStart, direction) => {
+  const departures = getScheduledDepartures(route);
+  if (departures.length === 0) return null;
+
+  const startMinutes = minutesSinceMidnight(tripStart);
+  const departure = departures.reduce((best, minutes) => (
+    Math.abs(minutes % (24 * 60) - startMinutes) < Math.abs(best % (24 * 60) - startMinutes) ? minutes : best
+  ));
+  const serviceDay = startOfDay(tripStart);
+
+  return {
+    tripId: buildTripId(route, departure % (24 * 60), direction),
+    startTime: formatGtfsTime(departure * 60),
+    startDate: formatGtfsDate(serviceDay),
+    departureEpoch: serviceDay.getTime() / 1000 + departure * 60
+  };
+};
+
+const stopDistanceKm = (location, stop) =>
+  calculateDistance(location.latitude, location.longitude, stop.location.latitude, stop.location.longitude);
+
+// getAlongRouteDistance counts the whole first segment as "before stop 1", so
+// a bus that has pulled away from the first stop is moved on to the second
+const findNextStopIndex = (location, stops) => {
+  const index = stops.findIndex((stop) => getAlongRouteDistance(location, stops, stop._id));
+  if (index !== 0 || stops.length < 2) return index;
+
+  const hasLeftFirstStop = stopDistanceKm(location, stops[0]) > AT_STOP_KM &&
+    stopDistanceKm(location, stops[1]) < stopDistanceKm(stops[0].location, stops[1]);
+  return hasLeftFirstStop ? 1 : 0;
+};
+
+const routeStopsOf = (route, direction) =>
+  getDirectionStops(route, direction).filter((stop) => stop?.stopCode && hasValidCoordinates(stop.location));
+
+export const createGtfsRealtimeProducer = ({ routes = [] } = {}) => {
+  const routesById = new Map(routes.map((route) => [route._id, route]));
+  const vehicles = new Map();
+
+  const resolveRoute = (route) => routesById.get(route?._id || route) || (route?.stops ? route : null);
+
+  // Seeds vehicles from a /users/live-dashboard snapshot
+  const loadSnapshot = (liveBuses = []) => {
+    liveBuses.forEach((bus) => {
+      vehicles.set(bus._id, {
+        busId: bus._id,
+        label: bus.busNumber || bus.busName,
+        route: resolveRoute(bus.route),
+        tripStart: bus.activeTrip?.startTime ? new Date(bus.activeTrip.startTime) : null,
+        direction: bus.direction || bus.activeTrip?.direction || 'outbound',
+        location: bus.currentLocation || null,
+        speed: Number(bus.speed) || 0,
+        heading: bus.heading,
+        timestamp: bus.lastUpdate ? new Date(bus.lastUpdate) : null,
+        speedHistory: []
+      });
+    });
+  };
+
+  // Applies one `bus:location-update` payload
+  const updatePosition = (data) => {
+    const timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
+    const vehicle = vehicles.get(data.busId) || {
+      busId: data.busId,
+      label: data.busNumber || data.busId,
+      route: resolveRoute(data.route || data.routeId),
+      tripStart: timestamp,
+      direction: 'outbound',
+      speedHistory: []
+    };
+
+    vehicles.set(data.busId, {
+      ...vehicle,
+      tripStart: vehicle.tripStart || timestamp,
+      direction: data.direction || vehicle.direction,
+      location: data.location,
+      speed: Number(data.speed) || 0,
+      heading: data.heading ?? vehicle.heading,
+      timestamp,
+      speedHistory: recordSpeedSample(vehicle.speedHistory, data.speed, timestamp.getTime())
+    });
+  };
+
+  // Applies one `bus:trip-started` payload: a new trip, possibly the other way
+  const startTrip = (data) => {
+    const vehicle = vehicles.get(data.busId);
+    if (!vehicle) return;
+    vehicles.set(data.busId, {
+      ...vehicle,
+      tripStart: new Date(),
+      direction: data.direction || vehicle.direction
+    });
+  };
+
+  const buildVehicleEntities = (vehicle, now) => {
+    if (!hasValidCoordinates(vehicle.location)) return [];
+
+    const route = vehicle.route;
+    const stops = routeStopsOf(route, vehicle.direction);
+    const trip = route && vehicle.tripStart ? matchScheduledTrip(route, vehicle.tripStart, vehicle.direction) : null;
+    const tripDescriptor = trip && {
+      trip_id: trip.tripId,
+      route_id: route.routeNumber,
+      start_time: trip.startTime,
+      start_date: trip.startDate,
+      direction_id: getDirectionId(vehicle.direction)
+    };
+    const vehicleDescriptor = { id: vehicle.busId, label: vehicle.label };
+    const timestamp = Math.floor((vehicle.timestamp || now).getTime() / 1000);
+
+    const upcomingIndex = findNextStopIndex(vehicle.location, stops);
+    const nextStop = upcomingIndex === -1 ? null : stops[upcomingIndex];
+    const atStop = nextStop && stopDistanceKm(vehicle.location, nextStop) < AT_STOP_KM;
+
+    const entities = [{
+      id: `vehicle-${vehicle.busId}`,
+      vehicle: {
+        trip: tripDescriptor || undefined,
+        vehicle: vehicleDescriptor,
+        position: {
+          latitude: Number(vehicle.location.latitude),
+          longitude: Number(vehicle.location.longitude),
+          bearing: Number.isFinite(Number(vehicle.heading)) ? Number(vehicle.heading) : undefined,
+          // GTFS-RT speed is in metres per second
+          speed: vehicle.speed / 3.6
+        },
+        current_stop_sequence: nextStop ? upcomingIndex + 1 : undefined,
+        stop_id: nextStop?.stopCode,
+        current_status: nextStop ? (atStop ? VehicleStopStatus.STOPPED_AT : VehicleStopStatus.IN_TRANSIT_TO) : undefined,
+        timestamp
+      }
+    }];
+
+    // Trip updates only make sense for a bus we can place on a scheduled trip
+    if (!tripDescriptor || !nextStop) return entities;
+
+    const offsets = getStopOffsets(route, stops);
+    const stopTimeUpdates = stops.slice(upcomingIndex).map((stop, index) => {
+      const stopIndex = upcomingIndex + index;
+      const estimate = estimateArrival({
+        busLocation: vehicle.location,
+        orderedStops: stops,
+        targetStop: stop,
+        speedHistory: vehicle.speedHistory,
+        currentSpeed: vehicle.speed,
+        now
+      });
+      if (!estimate || estimate.source !== 'live') return null;
+
+      const arrivalTime = Math.round(now.getTime() / 1000 + estimate.likely * 60);
+      return {
+        stop_sequence: stopIndex + 1,
+        stop_id: stop.stopCode,
+        arrival: {
+          time: arrivalTime,
+          delay: Math.round(arrivalTime - (trip.departureEpoch + offsets[stopIndex])),
+          uncertainty: Math.round((estimate.worst - estimate.best) * 60)
+        }
+      };
+    }).filter(Boolean);
+
+    if (stopTimeUpdates.length === 0) return entities;
+
+    return [...entities, {
+      id: `trip-${trip.tripId}-${vehicle.busId}`,
+      trip_update: {
+        trip: tripDescriptor,
+        vehicle: vehicleDescriptor,
+        stop_time_update: stopTimeUpdates,
+        timestamp,
+        delay: stopTimeUpdates[0].arrival.delay
+      }
+    }];
+  };
+
+  const buildFeedMessage = (now = new Date()) => ({
+    header: {
+      gtfs_realtime_version: GTFS_RT_VERSION,
+      incrementality: 0,
+      timestamp: Math.floor(now.getTime() / 1000)
+    },
+    entity: [...vehicles.values()].flatMap((vehicle) => buildVehicleEntities(vehicle, now))
+  });
+
+  return {
+    loadSnapshot,
+    updatePosition,
+    startTrip,
+    buildFeedMessage,
+    getVehicleCount: () => vehicles.size,
+    reset: () => vehicles.clear()
+  };
+};
+
+// --- Protobuf encoding -----------------------------------------------------
+// Hand-written for the handful of gtfs-realtime.proto messages we emit, so we
+// don't ship a protobuf runtime just for this.
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+const textEncoder = new TextEncoder();
+
+const createWriter = () => {
+  const bytes = [];
+
+  // Varints are written from two 32-bit halves. Negative values (int32
+  // delays) are sign-extended to 64 bits, as the protobuf spec requires.
+  const pushVarint = (value) => {
+    const integer = Math.trunc(value);
+    let low = integer < 0 ? integer >>> 0 : integer % 0x100000000;
+    let high = integer < 0 ? 0xffffffff : Math.floor(integer / 0x100000000);
+    while (high > 0 || low > 0x7f) {
+      bytes.push((low & 0x7f) | 0x80);
+      low = ((low >>> 7) | (high << 25)) >>> 0;
+      high >>>= 7;
+    }
+    bytes.push(low);
+  };
+  const tag = (fieldNumber, wireType) => pushVarint(fieldNumber * 8 + wireType);
+  const isSet = (value) => value !== undefined && value !== null && !Number.isNaN(value);
+
+  const writer = {
+    bytes,
+    varint(fieldNumber, value) {
+      if (!isSet(value)) return writer;
+      tag(fieldNumber, WIRE_VARINT);
+      pushVarint(value);
+      return writer;
+    },
+    float(fieldNumber, value) {
+      if (!isSet(value)) return writer;
+      tag(fieldNumber, WIRE_FIXED32);
+      const view = new DataView(new ArrayBuffer(4));
+      view.setFloat32(0, value, true);
+      bytes.push(...new Uint8Array(view.buffer));
+      return writer;
+    },
+    double(fieldNumber, value) {
+      if (!isSet(value)) return writer;
+      tag(fieldNumber, WIRE_FIXED64);
+      const view = new DataView(new ArrayBuffer(8));
+      view.setFloat64(0, value, true);
+      bytes.push(...new Uint8Array(view.buffer));
+      return writer;
+    },
+    bytesField(fieldNumber, data) {
+      tag(fieldNumber, WIRE_LENGTH_DELIMITED);
+      pushVarint(data.length);
+      bytes.push(...data);
+      return writer;
+    },
+    string(fieldNumber, value) {
+      if (!isSet(value) || value === '') return writer;
+      return writer.bytesField(fieldNumber, textEncoder.encode(String(value)));
+    },
+    message(fieldNumber, value, encode) {
+      if (!value) return writer;
+      const nested = createWriter();
+      encode(nested, value);
+      return writer.bytesField(fieldNumber, nested.bytes);
+    }
+  };
+
+  return writer;
+};
+
+const encodeTripDescriptor = (w, trip) => w
+  .string(1, trip.trip_id)
+  .string(2, trip.start_time)
+  .string(3, trip.start_date)
+  .string(5, trip.route_id)
+  .varint(6, trip.direction_id);
+
+const encodeVehicleDescriptor = (w, vehicle) => w
+  .string(1, vehicle.id)
+  .string(2, vehicle.label);
+
+const encodePosition = (w, position) => w
+  .float(1, position.latitude)
+  .float(2, position.longitude)
+  .float(3, position.bearing)
+  .double(4, position.odometer)
+  .float(5, position.speed);
+
+const encodeVehiclePosition = (w, vehicle) => w
+  .message(1, vehicle.trip, encodeTripDescriptor)
+  .message(2, vehicle.position, encodePosition)
+  .varint(3, vehicle.current_stop_sequence)
+  .varint(4, vehicle.current_status)
+  .varint(5, vehicle.timestamp)
+  .string(7, vehicle.stop_id)
+  .message(8, vehicle.vehicle, encodeVehicleDescriptor);
+
+const encodeStopTimeEvent = (w, event) => w
+  .varint(1, event.delay)
+  .varint(2, event.time)
+  .varint(3, event.uncertainty);
+
+const encodeStopTimeUpdate = (w, update) => w
+  .varint(1, update.stop_sequence)
+  .message(2, update.arrival, encodeStopTimeEvent)
+  .message(3, update.departure, encodeStopTimeEvent)
+  .string(4, update.stop_id);
+
+const encodeTripUpdate = (w, tripUpdate) => {
+  w.message(1, tripUpdate.trip, encodeTripDescriptor);
+  (tripUpdate.stop_time_update || []).forEach((update) => w.message(2, update, encodeStopTimeUpdate));
+  return w
+    .message(3, tripUpdate.vehicle, encodeVehicleDescriptor)
+    .varint(4, tripUpdate.timestamp)
+    .varint(5, tripUpdate.delay);
+};
+
+const encodeFeedEntity = (w, entity) => w
+  .string(1, entity.id)
+  .message(3, entity.trip_update, encodeTripUpdate)
+  .message(4, entity.vehicle, encodeVehiclePosition);
+
+const encodeFeedHeader = (w, header) => w
+  .string(1, header.gtfs_realtime_version)
+  .varint(2, header.incrementality)
+  .varint(3, header.timestamp);
+
+// FeedMessage (JSON debug form) → protobuf bytes
+export const encodeFeedMessage = (feed) => {
+  const w = createWriter();
+  w.message(1, feed.header, encodeFeedHeader);
+  (feed.entity || []).forEach((entity) => w.message(2, entity, encodeFeedEntity));
+  return new Uint8Array(w.bytes);
+};
+
+// --- Live wiring -----------------------------------------------------------
+
+// Feeds `producer` from the admin live-dashboard snapshot and then from the
+// fleet room's `bus:location-update` and `bus:trip-started` events. Returns
+// an unsubscribe function.
+export const connectLiveFeed = async (producer) => {
+  const { liveBuses } = await usersApi.getLiveDashboard();
+  producer.loadSnapshot(liveBuses);
+
+  acquireSocket();
+  joinFleetRoom();
+  const unsubscribers = [
+    onSocketEvent('bus:location-update', (data) => producer.updatePosition(data)),
+    onSocketEvent('bus:trip-started', (data) => producer.startTrip(data))
+  ];
+
+  return () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    leaveFleetRoom();
+    releaseSocket();
+  };
+};
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+/* global BigInt */
+import { encodeFeedMessage } from './gtfsRealtime';
+
+jest.mock('./usersApi', () => ({}));
+jest.mock('./socket', () => ({}));
+
+// Minimal protobuf reader: top-level fields of one message, with varints as
+// BigInt so sign-extended negatives survive
+const readFields = (bytes) => {
+  const fields = [];
+  let offset = 0;
+  const readVarint = () => {
+    let value = 0n;
+    let shift = 0n;
+    for (;;) {
+      const byte = bytes[offset++];
+      value |= BigInt(byte & 0x7f) << shift;
+      if (byte < 0x80) return value;
+      shift += 7n;
+    }
+  };
+
+  while (offset < bytes.length) {
+    const key = Number(readVarint());
+    const field = key >> 3;
+    const wireType = key & 7;
+    if (wireType === 0) {
+      fields.push({ field, wireType, value: readVarint() });
+    } else if (wireType === 2) {
+      const length = Number(readVarint());
+      fields.push({ field, wireType, value: bytes.slice(offset, offset + length) });
+      offset += length;
+    } else {
+      const size = wireType === 5 ? 4 : 8;
+      fields.push({ field, wireType, value: bytes.slice(offset, offset + size) });
+      offset += size;
+    }
+  }
+  return fields;
+};
+
+const field = (fields, number) => fields.find((item) => item.field === number);
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+const header = { gtfs_realtime_version: '2.0', incrementality: 0, timestamp: 300 };
+
+describe('encodeFeedMessage', () => {
+  it('writes the header as a length-delimited field 1', () => {
+    expect([...encodeFeedMessage({ header, entity: [] })]).toEqual([
+      0x0a, 10, // FeedMessage.header, 10 bytes
+      0x0a, 3, 0x32, 0x2e, 0x30, // gtfs_realtime_version "2.0"
+      0x10, 0x00, // incrementality FULL_DATASET
+      0x18, 0xac, 0x02 // timestamp 300 as a two-byte varint
+    ]);
+  });
+
+  it('encodes a vehicle position with fixed32 floats', () => {
+    const bytes = encodeFeedMessage({
+      header,
+      entity: [{
+        id: 'v',
+        vehicle: {
+          vehicle: { id: 'b1' },
+          position: { latitude: 1.5, longitude: -2 },
+          current_status: 1
+        }
+      }]
+    });
+
+    expect([...bytes.slice(12)]).toEqual([
+      0x12, 25, // FeedMessage.entity
+      0x0a, 1, 0x76, // FeedEntity.id "v"
+      0x22, 20, // FeedEntity.vehicle
+      0x12, 10, // VehiclePosition.position
+      0x0d, 0x00, 0x00, 0xc0, 0x3f, // latitude 1.5, little-endian float32
+      0x15, 0x00, 0x00, 0x00, 0xc0, // longitude -2
+      0x20, 0x01, // current_status STOPPED_AT
+      0x42, 4, // VehiclePosition.vehicle
+      0x0a, 2, 0x62, 0x31 // VehicleDescriptor.id "b1"
+    ]);
+  });
+
+  it('encodes a trip update with nested stop time updates', () => {
+    const trip = { trip_id: '21-IN-0730', start_time: '07:30:00', start_date: '20240115', route_id: '21', direction_id: 1 };
+    const bytes = encodeFeedMessage({
+      header,
+      entity: [{
+        id: 'trip-21-IN-0730-b1',
+        trip_update: {
+          trip,
+          vehicle: { id: 'b1', label: 'TN 01 AB 1234' },
+          stop_time_update: [
+            { stop_sequence: 2, stop_id: 'S2', arrival: { time: 1700000000, delay: -30, uncertainty: 60 } },
+            { stop_sequence: 3, stop_id: 'S3', arrival: { time: 1700000300, delay: 0 } }
+          ],
+          timestamp: 1700000000,
+          delay: -30
+        }
+      }]
+    });
+
+    const feed = readFields(bytes);
+    expect(feed.map((item) => item.field)).toEqual([1, 2]);
+
+    const entity = readFields(field(feed, 2).value);
+    expect(text(field(entity, 1).value)).toBe('trip-21-IN-0730-b1');
+    expect(field(entity, 4)).toBeUndefined();
+
+    const tripUpdate = readFields(field(entity, 3).value);
+    expect(tripUpdate.map((item) => item.field)).toEqual([1, 2, 2, 3, 4, 5]);
+    expect(field(tripUpdate, 4).value).toBe(1700000000n);
+    // int32 delays are sign-extended to ten bytes
+    expect(field(tripUpdate, 5).value).toBe(2n ** 64n - 30n);
+
+    const tripDescriptor = readFields(field(tripUpdate, 1).value);
+    expect(tripDescriptor.map((item) => item.field)).toEqual([1, 2, 3, 5, 6]);
+    expect(text(field(tripDescriptor, 1).value)).toBe('21-IN-0730');
+    expect(text(field(tripDescriptor, 5).value)).toBe('21');
+    expect(field(tripDescriptor, 6).value).toBe(1n);
+
+    const [first, second] = tripUpdate.filter((item) => item.field === 2).map((item) => readFields(item.value));
+    expect(field(first, 1).value).toBe(2n);
+    expect(text(field(first, 4).value)).toBe('S2');
+    expect(field(second, 1).value).toBe(3n);
+
+    expect([...field(first, 2).value]).toEqual([
+      0x08, 0xe2, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01, // delay -30
+      0x10, 0x80, 0xe2, 0xcf, 0xaa, 0x06, // time 1700000000
+      0x18, 0x3c // uncertainty 60
+    ]);
+
+    const vehicle = readFields(field(tripUpdate, 3).value);
+    expect(text(field(vehicle, 2).value)).toBe('TN 01 AB 1234');
+  });
+});
@@ -0,0 +1,107 @@
+// Persistent outbound queue for driver GPS fixes.
+// Every fix is written here first so nothing taken in a tunnel or dead zone
+// is lost; the driver page drains it in order once connectivity returns.
+
+const DB_NAME = 'bus-tracker';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingLocations';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported by this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('busId', 'busId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const runTransaction = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const store = tx.objectStore(STORE_NAME);
+    let result;
+
+    Promise.resolve(work(store))
+      .then((value) => { result = value; })
+      .catch(reject);
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Stores every field of the fix, so it is saved exactly as it was taken
+export const enqueueLocation = (fix) =>
+  runTransaction('readwrite', (store) =>
+    requestToPromise(store.add({ ...fix }))
+  );
+
+// Oldest first, so replay preserves the order fixes were taken in
+export const getPendingLocations = (busId, limit = 50) =>
+  runTransaction('readonly', (store) =>
+    new Promise((resolve, reject) => {
+      const items = [];
+      const request = store.index('busId').openCursor(IDBKeyRange.only(busId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || items.length >= limit) {
+          resolve(items.sort((a, b) => a.id - b.id));
+          return;
+        }
+        items.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })
+  );
+
+// Replayed on the socket but not yet saved; kept until the API accepts it
+export const markSentToSocket = (ids) =>
+  runTransaction('readwrite', (store) =>
+    Promise.all(ids.map(async (id) => {
+      const item = await requestToPromise(store.get(id));
+      if (item) {
+        item.sentToSocket = true;
+        await requestToPromise(store.put(item));
+      }
+    }))
+  );
+
+export const countPendingLocations = (busId) =>
+  runTransaction('readonly', (store) =>
+    requestToPromise(store.index('busId').count(IDBKeyRange.only(busId)))
+  );
+
+export const removeLocations = (ids) =>
+  runTransaction('readwrite', (store) =>
+    Promise.all(ids.map((id) => requestToPromise(store.delete(id))))
+  );
@@ -0,0 +1,51 @@
+// Offline copies of passenger stop lookups.
+//
+// Every successful /passenger/nearest-buses lookup (and every live update
+// after it) is saved as a snapshot, so a passenger who loses signal still
+// sees where the buses were last seen. Lookups made with no connection are
+// queued and retried by the passenger page when it comes back online.
+
+const SNAPSHOTS_KEY = 'offlineStopSnapshots';
+const QUEUE_KEY = 'queuedStopLookups';
+const MAX_SNAPSHOTS = 10;
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error.message);
+  }
+};
+
+// `savedAt` is when the positions were last known to be current
+export const saveStopSnapshot = (busStop, buses, savedAt = Date.now()) => {
+  if (!busStop?.stopCode) return;
+
+  const snapshots = readJson(SNAPSHOTS_KEY, {});
+  snapshots[busStop.stopCode] = { busStop, buses, savedAt };
+
+  const newestFirst = Object.entries(snapshots).sort(([, a], [, b]) => b.savedAt - a.savedAt);
+  writeJson(SNAPSHOTS_KEY, Object.fromEntries(newestFirst.slice(0, MAX_SNAPSHOTS)));
+};
+
+export const getStopSnapshot = (stopCode) => readJson(SNAPSHOTS_KEY, {})[stopCode] || null;
+
+export const getQueuedStopLookups = () => readJson(QUEUE_KEY, []);
+
+// Re-queuing a stop moves it to the end, so the last one asked for is last
+export const queueStopLookup = (stopCode) => {
+  const queued = getQueuedStopLookups().filter((code) => code !== stopCode);
+  writeJson(QUEUE_KEY, [...queued, stopCode]);
+};
+
+export const removeQueuedStopLookup = (stopCode) => {
+  writeJson(QUEUE_KEY, getQueuedStopLookups().filter((code) => code !== stopCode));
+};
@@ -0,0 +1,25 @@
+import api from './api';
+
+// `{ busStop, buses }` for a stop code
+export const getNearestBuses = async (stopCode) => {
+  const res = await api.get(`/passenger/nearest-buses/${stopCode}`);
+  return { busStop: res.data.busStop, buses: res.data.buses || [] };
+};
+
+export const getFavourites = async () => {
+  const res = await api.get('/passenger/favourites');
+  return res.data.favourites || [];
+};
+
+export const saveFavourites = async (favourites) => {
+  await api.put('/passenger/favourites', { favourites });
+};
+
+export const createAlert = async (alert) => {
+  const res = await api.post('/passenger/alerts', alert);
+  return res.data.alert || null;
+};
+
+export const deleteAlert = async (alertId) => {
+  await api.delete(`/passenger/alerts/${alertId}`);
+};
@@ -0,0 +1,124 @@
+import * as passengerApi from './passengerApi';
+import { getRegistration } from '../serviceWorkerRegistration';
+
+// Arrival alerts: "tell me when bus X is N minutes / N km from my stop".
+//
+// The alert is registered with the backend (POST /passenger/alerts) together
+// with a Web Push subscription so it fires even with the tab closed. While the
+// tracker page is open it also checks the condition itself on every location
+// update and shows the same notification through the service worker, which
+// covers browsers without push and backends that can't reach the push service.
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY || '';
+
+export const ALERT_THRESHOLD_TYPES = {
+  minutes: { label: 'minutes away', unit: 'min' },
+  km: { label: 'km away', unit: 'km' }
+};
+
+export const isNotificationSupported = () => 'Notification' in window && 'serviceWorker' in navigator;
+
+const isPushSupported = () => isNotificationSupported() && 'PushManager' in window && Boolean(VAPID_PUBLIC_KEY);
+
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+const getPushSubscription = async (registration) => {
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+  });
+};
+
+export const alertTag = (busId, stopCode) => `arrival-${busId}-${stopCode}`;
+
+// Asks for notification permission and registers the alert. Resolves to
+// `{ id, busId, stopCode, thresholdType, threshold, push }` where `push` says
+// whether the backend will deliver it with the tab closed; throws if the
+// passenger refuses notifications.
+export const createArrivalAlert = async ({ bus, stop, thresholdType, threshold }) => {
+  if (!isNotificationSupported()) {
+    throw new Error('This browser does not support notifications');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  const alert = {
+    id: null,
+    busId: bus._id,
+    busName: bus.busName,
+    stopCode: stop.stopCode,
+    stopName: stop.stopName,
+    thresholdType,
+    threshold,
+    push: false
+  };
+
+  const registration = await getRegistration();
+  if (!registration || !isPushSupported()) return alert;
+
+  try {
+    const subscription = await getPushSubscription(registration);
+    const created = await passengerApi.createAlert({
+      subscription: subscription.toJSON(),
+      busId: bus._id,
+      stopCode: stop.stopCode,
+      stopLocation: stop.location,
+      thresholdType,
+      threshold,
+      tag: alertTag(bus._id, stop.stopCode)
+    });
+    return { ...alert, id: created?._id || null, push: true };
+  } catch (error) {
+    // The page-side check still works, just not with the tab closed
+    console.error('Push alert registration failed:', error);
+    return alert;
+  }
+};
+
+export const cancelArrivalAlert = async (alert) => {
+  if (!alert?.id) return;
+  try {
+    await passengerApi.deleteAlert(alert.id);
+  } catch (error) {
+    console.error('Cancel push alert error:', error);
+  }
+};
+
+// `estimate` is an estimateArrival() result for the alert's stop
+export const isAlertDue = (alert, estimate) => {
+  if (!alert || !estimate || estimate.source !== 'live') return false;
+  return alert.thresholdType === 'km'
+    ? estimate.distanceKm <= alert.threshold
+    : estimate.likely <= alert.threshold;
+};
+
+// Shows the alert through the service worker so it appears even when the
+// tab is in the background; falls back to a page notification.
+export const showArrivalNotification = async (alert, estimate) => {
+  const { unit } = ALERT_THRESHOLD_TYPES[alert.thresholdType];
+  const amount = alert.thresholdType === 'km'
+    ? estimate.distanceKm.toFixed(1)
+    : Math.max(1, Math.round(estimate.likely));
+  const payload = {
+    title: `🚌 ${alert.busName} is almost here`,
+    body: `About ${amount} ${unit} from ${alert.stopName}`,
+    tag: alertTag(alert.busId, alert.stopCode),
+    url: `/passenger?stop=${encodeURIComponent(alert.stopCode)}`
+  };
+
+  const registration = await getRegistration();
+  if (registration?.active) {
+    registration.active.postMessage({ type: 'SHOW_ALERT', alert: payload });
+  } else if (Notification.permission === 'granted') {
+    new Notification(payload.title, { body: payload.body, tag: payload.tag });
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import crypto from 'crypto';
+import http from 'http';
+import webpush from 'web-push';
+import { createMockPushServer, vapidKeys } from '../../scripts/mock-push-server';
+import * as passengerApi from './passengerApi';
+import { getRegistration } from '../serviceWorkerRegistration';
+
+jest.mock('./passengerApi', () => ({ createAlert: jest.fn(), deleteAlert: jest.fn() }));
+jest.mock('../serviceWorkerRegistration', () => ({ getRegistration: jest.fn() }));
+
+// What a browser's PushManager hands back: an endpoint plus the keys the
+// push message is encrypted for
+const createBrowserSubscription = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    endpoint: 'https://push.example.test/send/device-1',
+    expirationTime: null,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  };
+};
+
+const stop = {
+  stopCode: 'TH01',
+  stopName: 'Town Hall',
+  location: { latitude: 11.0168, longitude: 76.9558 }
+};
+
+describe('arrival alert push', () => {
+  let server;
+  let createArrivalAlert;
+
+  const requestJson = (method, path, body) => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => resolve(JSON.parse(raw)));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+
+  beforeAll(async () => {
+    server = createMockPushServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    global.window = {
+      Notification: {},
+      PushManager: {},
+      atob: (value) => Buffer.from(value, 'base64').toString('binary')
+    };
+    global.navigator = { serviceWorker: {} };
+    global.Notification = { requestPermission: async () => 'granted' };
+
+    // The client reads its VAPID key when it loads
+    process.env.REACT_APP_VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    ({ createArrivalAlert } = require('./pushAlerts'));
+  });
+
+  afterAll(async () => {
+    delete global.window;
+    delete global.navigator;
+    delete global.Notification;
+    delete process.env.REACT_APP_VAPID_PUBLIC_KEY;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('pushes to the subscription once the bus is within the alert distance', async () => {
+    const subscription = createBrowserSubscription();
+    getRegistration.mockResolvedValue({
+      pushManager: { getSubscription: async () => ({ toJSON: () => subscription }) }
+    });
+    passengerApi.createAlert.mockImplementation(async (body) =>
+      (await requestJson('POST', '/api/passenger/alerts', body)).alert
+    );
+
+    // Encrypt and sign each push for real, but stop short of the network
+    const pushes = [];
+    const sendNotification = jest.spyOn(webpush, 'sendNotification').mockImplementation(async (target, payload) => {
+      pushes.push({ payload: JSON.parse(payload), request: webpush.generateRequestDetails(target, payload) });
+      return { statusCode: 201 };
+    });
+
+    const alert = await createArrivalAlert({
+      bus: { _id: 'bus-21', busName: '21A' },
+      stop,
+      thresholdType: 'km',
+      threshold: 2
+    });
+
+    expect(alert.push).toBe(true);
+    expect(alert.id).toBeTruthy();
+
+    // About 20 km out: too early
+    const early = await requestJson('POST', '/api/mock/locations', { busId: 'bus-21', latitude: 11.2, longitude: 76.9558, speed: 30 });
+    expect(early.sent).toEqual([]);
+    expect(pushes).toHaveLength(0);
+
+    const due = await requestJson('POST', '/api/mock/locations', { busId: 'bus-21', latitude: 11.02, longitude: 76.9558, speed: 30 });
+    expect(due.sent).toEqual([alert.id]);
+
+    expect(pushes).toHaveLength(1);
+    const [{ payload, request }] = pushes;
+    expect(payload).toMatchObject({ tag: 'arrival-bus-21-TH01', url: '/passenger?stop=TH01' });
+    expect(request.endpoint).toBe(subscription.endpoint);
+    expect(request.headers['Content-Encoding']).toBe('aes128gcm');
+    expect(request.headers.Authorization).toMatch(/^vapid t=.+, k=/);
+
+    // A delivered alert is done with
+    expect((await requestJson('GET', '/api/passenger/alerts')).alerts).toEqual([]);
+
+    sendNotification.mockRestore();
+  });
+});
@@ -0,0 +1,20 @@
+import api from './api';
+
+export const listRoutes = async () => {
+  const res = await api.get('/routes');
+  return res.data.routes || [];
+};
+
+export const createRoute = async (route) => {
+  const res = await api.post('/routes', route);
+  return res.data.route;
+};
+
+export const updateRoute = async (routeId, changes) => {
+  const res = await api.put(`/routes/${routeId}`, changes);
+  return res.data.route;
+};
+
+export const deleteRoute = async (routeId) => {
+  await api.delete(`/routes/${routeId}`);
+};
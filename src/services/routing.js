@@ -0,0 +1,260 @@
+import { calculateDistance, hasValidCoordinates } from '../utils/geo';
+
+// Road routing used by the driver and passenger maps.
+//
+//   REACT_APP_ROUTING_PROVIDER  osrm | graphhopper | valhalla | straight
+//                               (default: osrm with a routing URL, else straight)
+//   REACT_APP_ROUTING_URL       base URL of the routing server
+//   REACT_APP_ROUTING_API_KEY   API key, if the server needs one (GraphHopper)
+//   REACT_APP_ROUTING_PROFILE   vehicle profile passed to the server
+//
+// There is no public server to fall back on: OSRM and Valhalla need
+// REACT_APP_ROUTING_URL pointing at the deployment's own server, and without
+// it routes are drawn as straight lines between the stops.
+
+const ROUTING_URL = (process.env.REACT_APP_ROUTING_URL || '').replace(/\/+$/, '');
+const DEFAULT_PROVIDER = ROUTING_URL ? 'osrm' : 'straight';
+const PROVIDER = (process.env.REACT_APP_ROUTING_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+const API_KEY = process.env.REACT_APP_ROUTING_API_KEY || '';
+const PROFILE = process.env.REACT_APP_ROUTING_PROFILE || '';
+
+const MAX_CACHE_ENTRIES = 100;
+// Most recent routes kept in localStorage so maps still draw roads offline
+const PERSISTED_CACHE_KEY = 'routeGeometryCache';
+const MAX_PERSISTED_ENTRIES = 30;
+
+const toLatLng = (point) => [Number(point.latitude), Number(point.longitude)];
+
+const straightLineDistanceKm = (points) =>
+  points.slice(1).reduce((total, point, index) => (
+    total + calculateDistance(points[index].latitude, points[index].longitude, point.latitude, point.longitude)
+  ), 0);
+
+// Valhalla returns shapes as polyline strings with 6 digits of precision
+const decodePolyline = (encoded, precision = 6) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+
+  return coordinates;
+};
+
+const providers = {
+  osrm: {
+    defaultUrl: '',
+    async route(points, baseUrl) {
+      const coordinates = points.map((point) => `${point.longitude},${point.latitude}`).join(';');
+      const response = await fetch(`${baseUrl}/route/v1/${PROFILE || 'driving'}/${coordinates}?overview=full&geometries=geojson`);
+      const data = await response.json();
+      if (data.code !== 'Ok' || !data.routes?.length) {
+        throw new Error(`OSRM returned ${data.code || response.status}`);
+      }
+      return {
+        coordinates: data.routes[0].geometry.coordinates.map((coord) => [coord[1], coord[0]]),
+        distanceKm: data.routes[0].distance / 1000
+      };
+    }
+  },
+
+  graphhopper: {
+    defaultUrl: 'https://graphhopper.com/api/1',
+    async route(points, baseUrl) {
+      const params = new URLSearchParams({
+        profile: PROFILE || 'car',
+        points_encoded: 'false'
+      });
+      points.forEach((point) => params.append('point', `${point.latitude},${point.longitude}`));
+      if (API_KEY) params.set('key', API_KEY);
+
+      const response = await fetch(`${baseUrl}/route?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok || !data.paths?.length) {
+        throw new Error(`GraphHopper returned ${data.message || response.status}`);
+      }
+      return {
+        coordinates: data.paths[0].points.coordinates.map((coord) => [coord[1], coord[0]]),
+        distanceKm: data.paths[0].distance / 1000
+      };
+    }
+  },
+
+  valhalla: {
+    defaultUrl: '',
+    async route(points, baseUrl) {
+      const response = await fetch(`${baseUrl}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: points.map((point) => ({ lat: point.latitude, lon: point.longitude })),
+          costing: PROFILE || 'auto',
+          directions_options: { units: 'kilometers' }
+        })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.trip?.legs?.length) {
+        throw new Error(`Valhalla returned ${data.error || response.status}`);
+      }
+      return {
+        coordinates: data.trip.legs.flatMap((leg) => decodePolyline(leg.shape)),
+        distanceKm: data.trip.summary.length
+      };
+    }
+  },
+
+  straight: {
+    defaultUrl: '',
+    async route(points) {
+      return {
+        coordinates: points.map(toLatLng),
+        distanceKm: straightLineDistanceKm(points)
+      };
+    }
+  }
+};
+
+const readPersistedCache = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PERSISTED_CACHE_KEY));
+    return new Map(Array.isArray(stored) ? stored : []);
+  } catch {
+    return new Map();
+  }
+};
+
+const cache = readPersistedCache();
+const inFlight = new Map();
+// Only whole-route geometry is worth keeping; one-off bus-to-stop legs are not
+const persistedKeys = new Set(cache.keys());
+
+const persistCache = () => {
+  const entries = [...cache.entries()]
+    .filter(([key]) => persistedKeys.has(key))
+    .slice(-MAX_PERSISTED_ENTRIES);
+  try {
+    localStorage.setItem(PERSISTED_CACHE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // Quota exceeded; the in-memory cache still works
+    console.warn('Could not persist route cache:', error.message);
+  }
+};
+
+const cacheKey = (providerName, points) =>
+  `${providerName}|${points.map((point) => `${Number(point.latitude).toFixed(6)},${Number(point.longitude).toFixed(6)}`).join(';')}`;
+
+const remember = (key, value) => {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+const getBaseUrl = (providerName) => ROUTING_URL || providers[providerName].defaultUrl;
+
+// A provider with no server to ask (no REACT_APP_ROUTING_URL and no hosted
+// default) routes in straight lines
+const resolveProvider = (providerName) => {
+  const name = providers[providerName] ? providerName : DEFAULT_PROVIDER;
+  return name === 'straight' || getBaseUrl(name) ? name : 'straight';
+};
+
+if (providers[PROVIDER] && resolveProvider(PROVIDER) !== PROVIDER) {
+  console.warn(`REACT_APP_ROUTING_URL is not set for ${PROVIDER}, drawing routes as straight lines`);
+}
+
+export const getRoutingProviderName = () => resolveProvider(PROVIDER);
+
+// Resolves to `{ coordinates: [[lat, lng], ...], distanceKm, provider, isFallback }`.
+// `persist` also keeps the result in localStorage for offline use.
+//
+// Never rejects: if the provider fails the straight line through `points` is
+// returned with `isFallback: true`, and that result is not cached so the
+// next call tries the server again.
+export const getRoute = (points, { provider, persist = false } = {}) => {
+  const validPoints = (points || [])
+    .filter(hasValidCoordinates)
+    .map((point) => ({ latitude: Number(point.latitude), longitude: Number(point.longitude) }));
+  const providerName = provider ? resolveProvider(provider) : getRoutingProviderName();
+
+  if (validPoints.length < 2) {
+    return Promise.resolve({
+      coordinates: validPoints.map(toLatLng),
+      distanceKm: 0,
+      provider: providerName,
+      isFallback: true
+    });
+  }
+
+  const key = cacheKey(providerName, validPoints);
+  if (cache.has(key)) {
+    const cached = cache.get(key);
+    remember(key, cached);
+    return Promise.resolve(cached);
+  }
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const request = providers[providerName].route(validPoints, getBaseUrl(providerName))
+    .then((result) => {
+      const value = { ...result, provider: providerName, isFallback: false };
+      remember(key, value);
+      if (persist) {
+        persistedKeys.add(key);
+        persistCache();
+      }
+      return value;
+    })
+    .catch((error) => {
+      console.error(`Routing via ${providerName} failed, using straight line:`, error.message);
+      return {
+        coordinates: validPoints.map(toLatLng),
+        distanceKm: straightLineDistanceKm(validPoints),
+        provider: 'straight',
+        isFallback: true
+      };
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+};
+
+// Long stop lists exceed what most routing servers accept in one request, so
+// route them in overlapping chunks (the last point of one chunk starts the
+// next) and stitch the geometry back together. Whole routes are persisted.
+export const getChunkedRoute = async (points, { maxWaypoints = 12, provider } = {}) => {
+  const validPoints = (points || []).filter(hasValidCoordinates);
+  if (validPoints.length <= maxWaypoints) return getRoute(validPoints, { provider, persist: true });
+
+  const chunks = [];
+  for (let start = 0; start < validPoints.length - 1; start += maxWaypoints - 1) {
+    chunks.push(validPoints.slice(start, start + maxWaypoints));
+  }
+
+  const results = await Promise.all(chunks.map((chunk) => getRoute(chunk, { provider, persist: true })));
+  return {
+    coordinates: results.flatMap((result, index) => (index === 0 ? result.coordinates : result.coordinates.slice(1))),
+    distanceKm: results.reduce((total, result) => total + result.distanceKm, 0),
+    provider: results.find((result) => !result.isFallback)?.provider || 'straight',
+    isFallback: results.some((result) => result.isFallback)
+  };
+};
@@ -0,0 +1,208 @@
+import io from 'socket.io-client';
+import { getAccessToken, onTokenRefreshed, refreshSession } from './api';
+
+// One socket for the whole app. Pages acquire it on mount and release it on
+// unmount (useSocket does both); it disconnects once nobody is using it. The
+// handshake carries the current access token, so the server knows who is
+// connected instead of trusting ids sent in events.
+//
+// Everything the server needs to know about this client (rooms joined, buses
+// tracked, location being shared) is kept as a subscription and re-sent after
+// every reconnect, so pages never have to re-announce themselves.
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// socket.io's own quick retries...
+const RECONNECTION_ATTEMPTS = 10;
+// ...then ours, starting here and doubling up to the cap, each with jitter so
+// a fleet of phones that lost the server together don't return together
+const RETRY_BASE_DELAY_MS = 15 * 1000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// 'disconnected' (nobody is using it), 'connecting', 'connected',
+// 'reconnecting' or 'unauthorized' (the server refused this token)
+let status = 'disconnected';
+let socket = null;
+let users = 0;
+let retryRound = 0;
+let retryTimer = null;
+let authRetried = false;
+const subscriptions = new Map();
+const statusListeners = new Set();
+
+const setStatus = (next) => {
+  if (next === status) return;
+  status = next;
+  statusListeners.forEach((listener) => listener(status));
+};
+
+const clearRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+};
+
+// socket.io gave up; keep trying at growing intervals while someone is
+// still using the socket
+const scheduleRetry = () => {
+  clearRetry();
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** retryRound) * (0.5 + Math.random());
+  retryRound += 1;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (users > 0 && !socket.connected) socket.connect();
+  }, delay);
+};
+
+// The server refused the handshake (socket.io doesn't retry those by
+// itself). An expired token is refreshed once and the connection retried.
+const handleConnectError = (error) => {
+  if (socket.active) return;
+
+  if (!authRetried && getAccessToken()) {
+    authRetried = true;
+    refreshSession()
+      .then(() => socket?.connect())
+      .catch(() => setStatus('unauthorized'));
+    return;
+  }
+  console.error('🔒 Socket authentication failed:', error.message);
+  setStatus('unauthorized');
+};
+
+const createSocket = () => {
+  const instance = io(SOCKET_URL, {
+    transports: ['websocket', 'polling'],
+    withCredentials: true,
+    autoConnect: false,
+    // Read on every (re)connect so a reconnect never sends a stale token
+    auth: (cb) => cb({ token: getAccessToken() }),
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 10000,
+    reconnectionAttempts: RECONNECTION_ATTEMPTS
+  });
+
+  instance.on('connect', () => {
+    authRetried = false;
+    retryRound = 0;
+    clearRetry();
+    setStatus('connected');
+    subscriptions.forEach(({ event, payload }) => instance.emit(event, payload));
+  });
+  instance.on('disconnect', (reason) => {
+    // A server-side kick isn't retried by socket.io
+    if (reason === 'io server disconnect' && users > 0) scheduleRetry();
+    setStatus(users > 0 ? 'reconnecting' : 'disconnected');
+  });
+  instance.on('connect_error', handleConnectError);
+  instance.io.on('reconnect_attempt', () => setStatus('reconnecting'));
+  instance.io.on('reconnect_failed', scheduleRetry);
+  return instance;
+};
+
+// Back online (or signed in again): don't wait for the next scheduled retry
+export const reconnectNow = () => {
+  if (!socket || users === 0 || socket.connected) return;
+  clearRetry();
+  retryRound = 0;
+  authRetried = false;
+  socket.connect();
+};
+
+// The open connection is told about refreshed tokens too, and one that was
+// refused gets another go with the new token
+onTokenRefreshed((token) => {
+  if (socket?.connected) socket.emit('auth:token-refreshed', { token });
+  else if (status === 'unauthorized') reconnectNow();
+});
+
+if (typeof window !== 'undefined') window.addEventListener('online', reconnectNow);
+
+// The shared instance, created (but not connected) on first use
+export const getSocket = () => {
+  if (!socket) socket = createSocket();
+  return socket;
+};
+
+export const getSocketStatus = () => status;
+
+export const onSocketStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+export const acquireSocket = () => {
+  getSocket();
+  users += 1;
+  if (!socket.connected && !socket.active) {
+    setStatus('connecting');
+    socket.connect();
+  }
+  return socket;
+};
+
+// The last release tells the server about every subscription still held
+// (pages' own cleanups may run after this one) before disconnecting
+export const releaseSocket = () => {
+  users = Math.max(0, users - 1);
+  if (users === 0 && socket) {
+    clearRetry();
+    if (socket.connected) {
+      subscriptions.forEach(({ leaveEvent, payload }) => socket.emit(leaveEvent, payload));
+    }
+    subscriptions.clear();
+    socket.disconnect();
+    setStatus('disconnected');
+  }
+};
+
+// Listens on the shared socket; returns the function that stops listening.
+// Pages must use this (not socket.on) so their handlers go when they unmount.
+export const onSocketEvent = (event, handler) => {
+  getSocket().on(event, handler);
+  return () => socket.off(event, handler);
+};
+
+// Sends `event` now (if connected) and again after every reconnect, until
+// removed, when `leaveEvent` is sent instead. Subscriptions are counted per
+// key, so two parts of a page can hold the same one and each only removes its
+// own hold.
+const addSubscription = (key, event, leaveEvent, payload) => {
+  const existing = subscriptions.get(key);
+  if (existing) {
+    existing.holds += 1;
+    return;
+  }
+  subscriptions.set(key, { event, leaveEvent, payload, holds: 1 });
+  if (socket?.connected) socket.emit(event, payload);
+};
+
+// Drops one hold; the last one forgets the subscription and tells the server
+const removeSubscription = (key) => {
+  const existing = subscriptions.get(key);
+  if (!existing) return;
+  existing.holds -= 1;
+  if (existing.holds > 0) return;
+  subscriptions.delete(key);
+  if (socket?.connected) socket.emit(existing.leaveEvent, existing.payload);
+};
+
+// Admins: every bus's location updates and status changes
+export const joinFleetRoom = () => addSubscription('fleet', 'admin:join-fleet', 'admin:leave-fleet', {});
+export const leaveFleetRoom = () => removeSubscription('fleet');
+
+// Drivers: messages for the bus they are assigned to
+export const joinBusRoom = (busId) => addSubscription(`bus:${busId}`, 'driver:join-bus', 'driver:leave-bus', { busId });
+export const leaveBusRoom = (busId) => removeSubscription(`bus:${busId}`);
+
+// Passengers: arrivals and service notices for the stop they are looking at
+export const joinStopRoom = (stopCode) => addSubscription(`stop:${stopCode}`, 'passenger:join-stop', 'passenger:leave-stop', { stopCode });
+export const leaveStopRoom = (stopCode) => removeSubscription(`stop:${stopCode}`);
+
+// Passengers: location updates for one bus
+export const subscribeToBus = (busId) => addSubscription(`track:${busId}`, 'passenger:track-bus', 'passenger:untrack-bus', { busId });
+export const unsubscribeFromBus = (busId) => removeSubscription(`track:${busId}`);
+
+// Drivers: this client is the one sharing the bus's location
+export const startLocationSharing = (busId) => addSubscription(`sharing:${busId}`, 'driver:start-sharing', 'driver:stop-sharing', { busId });
+export const stopLocationSharing = (busId) => removeSubscription(`sharing:${busId}`);
@@ -0,0 +1,32 @@
+import api from './api';
+
+export const listStops = async () => {
+  const res = await api.get('/bus-stops');
+  return res.data.busStops || [];
+};
+
+export const createStop = async (stop) => {
+  const res = await api.post('/bus-stops', stop);
+  return res.data.busStop;
+};
+
+export const updateStop = async (stopId, changes) => {
+  const res = await api.put(`/bus-stops/${stopId}`, changes);
+  return res.data.busStop;
+};
+
+export const deleteStop = async (stopId) => {
+  await api.delete(`/bus-stops/${stopId}`);
+};
+
+// Data URL of the stop's QR code image
+export const getStopQrCode = async (stopId) => {
+  const res = await api.get(`/bus-stops/${stopId}/qr-code`);
+  return res.data.qrCode;
+};
+
+// Public stops matching `query` from the server's external lookup
+export const searchExternalStops = async (query) => {
+  const res = await api.get('/bus-stops/external-search', { params: { q: query } });
+  return res.data.results || [];
+};
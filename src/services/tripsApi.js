@@ -0,0 +1,12 @@
+import api from './api';
+
+// `filters` may narrow by busId and driverId
+export const listTrips = async (filters = {}) => {
+  const res = await api.get('/trips', { params: filters });
+  return res.data.trips || [];
+};
+
+export const getTripLocations = async (tripId) => {
+  const res = await api.get(`/trips/${tripId}/locations`);
+  return res.data.locations || [];
+};
@@ -0,0 +1,28 @@
+import api from './api';
+
+// Older servers have no /users/drivers endpoint; filter the full user list
+export const listDrivers = async () => {
+  try {
+    const res = await api.get('/users/drivers');
+    return res.data.drivers || [];
+  } catch {
+    const res = await api.get('/users');
+    const users = res.data.users || res.data || [];
+    return users.filter((user) => user.role === 'driver');
+  }
+};
+
+export const deleteUser = async (userId) => {
+  await api.delete(`/users/${userId}`);
+};
+
+// `{ stats, liveBuses, drivers, generatedAt }`
+export const getLiveDashboard = async () => {
+  const res = await api.get('/users/live-dashboard');
+  return {
+    stats: res.data.stats || null,
+    liveBuses: res.data.liveBuses || [],
+    drivers: res.data.drivers || [],
+    generatedAt: res.data.generatedAt || null
+  };
+};
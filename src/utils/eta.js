@@ -0,0 +1,229 @@
+import { calculateDistance, hasValidCoordinates } from './geo';
+import { STOP_ARRIVAL_KM } from './linearReferencing';
+
+// Seconds a bus typically spends at each intermediate stop. Individual stops
+// can override this with a `dwellSeconds` field.
+const DEFAULT_DWELL_SECONDS = Number(process.env.REACT_APP_ETA_DWELL_SECONDS) || 30;
+
+// Used when we have no live speed at all (schedule fallback, first fix)
+const DEFAULT_SPEED_KMH = 25;
+// A bus waiting at a light still gets there eventually — never let the
+// smoothed speed collapse to zero
+const MIN_SPEED_KMH = 8;
+const MAX_SPEED_KMH = 80;
+
+// Straight lines between stops under-estimate road distance
+const ROAD_DETOUR_FACTOR = 1.25;
+
+const SPEED_HISTORY_WINDOW_MS = 5 * 60 * 1000;
+const SPEED_HISTORY_MAX_SAMPLES = 30;
+
+export const recordSpeedSample = (history = [], speed, time = Date.now()) => {
+  const parsed = Number(speed);
+  if (!Number.isFinite(parsed) || parsed < 0) return history;
+
+  return [...history, { speed: Math.min(parsed, MAX_SPEED_KMH), time }]
+    .filter((sample) => time - sample.time <= SPEED_HISTORY_WINDOW_MS)
+    .slice(-SPEED_HISTORY_MAX_SAMPLES);
+};
+
+// Exponentially weighted average of recent samples, oldest first. Stops at
+// lights pull it down gradually instead of flipping the ETA to "stopped".
+export const getSmoothedSpeed = (history = []) => {
+  if (history.length === 0) return null;
+
+  const alpha = 0.3;
+  const smoothed = history.reduce(
+    (acc, sample, index) => (index === 0 ? sample.speed : alpha * sample.speed + (1 - alpha) * acc),
+    0
+  );
+  return Math.max(MIN_SPEED_KMH, smoothed);
+};
+
+// Flat-earth projection is fine at stop-spacing scale
+const distanceToSegment = (point, start, end) => {
+  const toXY = (p) => [
+    p.longitude * Math.cos(point.latitude * Math.PI / 180) * 111.32,
+    p.latitude * 110.57
+  ];
+  const [px, py] = toXY(point);
+  const [ax, ay] = toXY(start);
+  const [bx, by] = toXY(end);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+const stopDistance = (a, b) =>
+  calculateDistance(a.location.latitude, a.location.longitude, b.location.latitude, b.location.longitude);
+
+// Distance along the ordered stop sequence from the bus to `targetStopId`.
+// Returns null when the bus has already passed the target in this ordering.
+export const getAlongRouteDistance = (busLocation, orderedStops, targetStopId) => {
+  const stops = (orderedStops || []).filter((stop) => hasValidCoordinates(stop?.location));
+  const targetIndex = stops.findIndex((stop) => stop._id === targetStopId);
+  if (!hasValidCoordinates(busLocation) || targetIndex === -1) return null;
+
+  const target = stops[targetIndex];
+  const toTargetKm = calculateDistance(busLocation.latitude, busLocation.longitude, target.location.latitude, target.location.longitude);
+  // A bus standing at the stop may sit nearer the segment after it; it has
+  // arrived, not passed
+  if (toTargetKm <= STOP_ARRIVAL_KM) return { distanceKm: 0, intermediateStops: [] };
+
+  if (stops.length < 2) {
+    return { distanceKm: toTargetKm, intermediateStops: [] };
+  }
+
+  // The segment the bus is currently on is the one it's closest to
+  let segmentIndex = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < stops.length - 1; i++) {
+    const distance = distanceToSegment(busLocation, stops[i].location, stops[i + 1].location);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      segmentIndex = i;
+    }
+  }
+
+  // Sitting at (or before) the very first stop
+  if (targetIndex === 0) {
+    return segmentIndex === 0
+      ? {
+          distanceKm: calculateDistance(busLocation.latitude, busLocation.longitude, stops[0].location.latitude, stops[0].location.longitude),
+          intermediateStops: []
+        }
+      : null;
+  }
+
+  if (targetIndex <= segmentIndex) return null;
+
+  const nextStop = stops[segmentIndex + 1];
+  let distanceKm = calculateDistance(
+    busLocation.latitude, busLocation.longitude,
+    nextStop.location.latitude, nextStop.location.longitude
+  );
+  for (let i = segmentIndex + 1; i < targetIndex; i++) {
+    distanceKm += stopDistance(stops[i], stops[i + 1]);
+  }
+
+  return {
+    distanceKm: distanceKm * ROAD_DETOUR_FACTOR,
+    intermediateStops: stops.slice(segmentIndex + 1, targetIndex)
+  };
+};
+
+const parseClockMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Minutes until the next scheduled departure from the first stop
+const minutesUntilNextDeparture = (route, now) => {
+  const start = parseClockMinutes(route?.startTime);
+  const frequency = Number(route?.frequency) || 0;
+  if (start === null || frequency <= 0) return null;
+
+  const end = parseClockMinutes(route?.endTime) ?? 24 * 60 - 1;
+  const nowMinutes = now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+
+  if (nowMinutes <= start) return start - nowMinutes;
+  if (nowMinutes > end) return start + 24 * 60 - nowMinutes;
+
+  const sinceStart = nowMinutes - start;
+  const wait = (frequency - (sinceStart % frequency)) % frequency;
+  return nowMinutes + wait > end ? start + 24 * 60 - nowMinutes : wait;
+};
+
+const buildRange = (distanceKm, speedKmh, intermediateStops, dwellSeconds, offsetMinutes = 0) => {
+  const dwellMinutes = intermediateStops.reduce(
+    (total, stop) => total + (Number(stop.dwellSeconds) || dwellSeconds) / 60,
+    0
+  );
+  const driveMinutes = (distanceKm / speedKmh) * 60;
+
+  return {
+    best: offsetMinutes + driveMinutes / 1.25 + dwellMinutes * 0.5,
+    likely: offsetMinutes + driveMinutes + dwellMinutes,
+    worst: offsetMinutes + driveMinutes / 0.7 + dwellMinutes * 1.5
+  };
+};
+
+// Estimates when a bus reaches `targetStop` as a best/likely/worst range in
+// minutes. Live estimates use along-route distance, the smoothed speed history
+// and per-stop dwell time; when the bus has no usable position (or has already
+// passed the stop) we fall back to the route's startTime/frequency timetable.
+export const estimateArrival = ({
+  busLocation,
+  orderedStops,
+  targetStop,
+  speedHistory,
+  currentSpeed,
+  route,
+  roadDistanceKm,
+  dwellSeconds = DEFAULT_DWELL_SECONDS,
+  now = new Date()
+}) => {
+  if (!targetStop) return null;
+
+  const along = getAlongRouteDistance(busLocation, orderedStops, targetStop._id);
+  if (along) {
+    const liveSpeed = getSmoothedSpeed(speedHistory)
+      ?? (Number(currentSpeed) > 0 ? Math.max(MIN_SPEED_KMH, Number(currentSpeed)) : DEFAULT_SPEED_KMH);
+    // A road-snapped distance to the stop beats our straight-line estimate
+    const distanceKm = Number(roadDistanceKm) > 0 ? Number(roadDistanceKm) : along.distanceKm;
+
+    return {
+      ...buildRange(distanceKm, liveSpeed, along.intermediateStops, dwellSeconds),
+      source: 'live',
+      distanceKm
+    };
+  }
+
+  const waitMinutes = minutesUntilNextDeparture(route, now);
+  if (waitMinutes === null) return null;
+
+  const stops = (orderedStops || []).filter((stop) => hasValidCoordinates(stop?.location));
+  const targetIndex = stops.findIndex((stop) => stop._id === targetStop._id);
+  if (targetIndex === -1) return null;
+
+  let distanceKm = 0;
+  for (let i = 0; i < targetIndex; i++) {
+    distanceKm += stopDistance(stops[i], stops[i + 1]);
+  }
+
+  return {
+    ...buildRange(distanceKm * ROAD_DETOUR_FACTOR, DEFAULT_SPEED_KMH, stops.slice(1, targetIndex), dwellSeconds, waitMinutes),
+    source: 'schedule',
+    distanceKm: distanceKm * ROAD_DETOUR_FACTOR
+  };
+};
+
+// Running time along `stops` (boarding stop first, alighting stop last) at
+// the default speed, for trips no bus is live on yet. Same range shape as
+// estimateArrival.
+export const estimateRideTime = (stops, dwellSeconds = DEFAULT_DWELL_SECONDS) => {
+  const validStops = (stops || []).filter((stop) => hasValidCoordinates(stop?.location));
+
+  let distanceKm = 0;
+  for (let i = 1; i < validStops.length; i++) {
+    distanceKm += stopDistance(validStops[i - 1], validStops[i]);
+  }
+  distanceKm *= ROAD_DETOUR_FACTOR;
+
+  return {
+    ...buildRange(distanceKm, DEFAULT_SPEED_KMH, validStops.slice(1, -1), dwellSeconds),
+    distanceKm
+  };
+};
+
+export const formatEtaRange = (estimate) => {
+  if (!estimate) return 'Calculating...';
+
+  const best = Math.round(estimate.best);
+  const worst = Math.round(estimate.worst);
+  if (worst < 1) return 'Arriving now!';
+  if (best === worst) return `${Math.max(1, best)} min`;
+  return `${Math.max(0, best)}–${worst} min`;
+};
@@ -0,0 +1,30 @@
+import { getAlongRouteDistance } from './eta';
+
+const stop = (id, latitude, longitude) => ({ _id: id, location: { latitude, longitude } });
+
+// Three stops on a road heading north, then a sharp turn east
+const stops = [
+  stop('a', 12.9000, 77.6000),
+  stop('b', 12.9100, 77.6000),
+  stop('c', 12.9100, 77.6100)
+];
+
+describe('getAlongRouteDistance', () => {
+  it('measures along the stops still ahead of the bus', () => {
+    const result = getAlongRouteDistance({ latitude: 12.9050, longitude: 77.6000 }, stops, 'c');
+
+    expect(result.distanceKm).toBeGreaterThan(1);
+    expect(result.intermediateStops.map((item) => item._id)).toEqual(['b']);
+  });
+
+  it('treats a bus standing at the target stop as arrived', () => {
+    // Just past the corner, so the bus is closest to the b → c segment
+    const result = getAlongRouteDistance({ latitude: 12.9100, longitude: 77.6002 }, stops, 'b');
+
+    expect(result).toEqual({ distanceKm: 0, intermediateStops: [] });
+  });
+
+  it('returns null once the bus has left the target behind', () => {
+    expect(getAlongRouteDistance({ latitude: 12.9100, longitude: 77.6060 }, stops, 'b')).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+// Haversine distance in km between two lat/lng pairs
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const hasValidCoordinates = (location) =>
+  location &&
+  Number.isFinite(Number(location.latitude)) &&
+  Number.isFinite(Number(location.longitude));
+
+// Initial compass bearing in degrees (0 = north) from the first point to the second
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+// Indexes of segments (i → i+1) in an ordered list of locations that double
+// back on the previous segment. Very short hops are ignored because the
+// bearing between two nearly identical points is meaningless.
+export const findBacktrackingSegments = (locations, { maxTurnDegrees = 135, minSegmentKm = 0.05 } = {}) => {
+  const flagged = [];
+  let previousBearing = null;
+
+  for (let i = 0; i < locations.length - 1; i++) {
+    const from = locations[i];
+    const to = locations[i + 1];
+    if (!hasValidCoordinates(from) || !hasValidCoordinates(to)) {
+      previousBearing = null;
+      continue;
+    }
+    if (calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) < minSegmentKm) continue;
+
+    const bearing = calculateBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+    if (previousBearing !== null) {
+      const turn = Math.abs(((bearing - previousBearing + 540) % 360) - 180);
+      if (turn > maxTurnDegrees) flagged.push(i);
+    }
+    previousBearing = bearing;
+  }
+
+  return flagged;
+};
+
+// Nearest point to `point` on a polyline of [lat, lng] pairs. Uses a local
+// flat-earth projection, which is accurate at street scale. Returns
+// { latitude, longitude, distanceKm, segmentIndex } or null for an empty line.
+export const projectOntoPolyline = (point, polyline) => {
+  if (!hasValidCoordinates(point) || !polyline?.length) return null;
+
+  const lat = Number(point.latitude);
+  const lng = Number(point.longitude);
+  const scale = Math.cos(lat * Math.PI / 180);
+  let best = null;
+
+  for (let i = 0; i < Math.max(1, polyline.length - 1); i++) {
+    const [aLat, aLng] = polyline[i];
+    const [bLat, bLng] = polyline[Math.min(i + 1, polyline.length - 1)];
+    const dx = (bLng - aLng) * scale;
+    const dy = bLat - aLat;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, (((lng - aLng) * scale) * dx + (lat - aLat) * dy) / lengthSq));
+    const candidateLat = aLat + (bLat - aLat) * t;
+    const candidateLng = aLng + (bLng - aLng) * t;
+    const offLat = lat - candidateLat;
+    const offLng = (lng - candidateLng) * scale;
+    const offSq = offLat * offLat + offLng * offLng;
+
+    if (!best || offSq < best.offSq) {
+      best = { latitude: candidateLat, longitude: candidateLng, segmentIndex: i, offSq };
+    }
+  }
+
+  return {
+    latitude: best.latitude,
+    longitude: best.longitude,
+    segmentIndex: best.segmentIndex,
+    distanceKm: calculateDistance(lat, lng, best.latitude, best.longitude)
+  };
+};
@@ -0,0 +1,220 @@
+import { calculateDistance, hasValidCoordinates } from './geo';
+import { exportStops, parseCsv, toCsv } from './stopFormats';
+import { isGeometryCurrent } from './routeGeometry';
+import { ROUTE_DIRECTIONS, getDirectionStops } from './routeDirections';
+
+// GTFS static feed generation from our routes and stops.
+//
+// Ids: stop_id is the stopCode, route_id the routeNumber and trip_id
+// `<routeNumber>-<HHMM>` of the first departure (`<routeNumber>-IN-<HHMM>`
+// for the inbound run). Every route runs both ways on the same timetable,
+// outbound as direction_id 0 and inbound as 1, and runs daily, so there is a
+// single service_id. Stop times come from along-route distance at an assumed
+// average speed plus a dwell at each intermediate stop.
+
+const SERVICE_ID = 'DAILY';
+const ASSUMED_SPEED_KMH = 25;
+const DWELL_SECONDS = Number(process.env.REACT_APP_ETA_DWELL_SECONDS) || 30;
+// Straight lines between stops under-estimate road distance
+const ROAD_DETOUR_FACTOR = 1.25;
+// GTFS route_type 3 = bus
+const ROUTE_TYPE_BUS = 3;
+
+const REQUIRED_FILES = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+
+const parseClockMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// GTFS times may run past 24:00:00 for trips after midnight
+export const formatGtfsTime = (totalSeconds) => {
+  const seconds = Math.round(totalSeconds);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+export const formatGtfsDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+const DIRECTION_IDS = { outbound: 0, inbound: 1 };
+
+export const getDirectionId = (direction) => DIRECTION_IDS[direction] ?? 0;
+
+export const buildTripId = (route, departureMinutes, direction = 'outbound') =>
+  `${route.routeNumber}${direction === 'inbound' ? '-IN' : ''}-${String(Math.floor(departureMinutes / 60)).padStart(2, '0')}${String(departureMinutes % 60).padStart(2, '0')}`;
+
+// Seconds from the first stop to each stop of `stops`, either direction's
+// sequence of the route
+export const getStopOffsets = (route, stops) => {
+  const segmentKm = stops.slice(1).map((stop, index) =>
+    calculateDistance(stops[index].location.latitude, stops[index].location.longitude, stop.location.latitude, stop.location.longitude)
+  );
+  const straightKm = segmentKm.reduce((total, km) => total + km, 0);
+  // A road distance saved by the route editor is better than a flat detour
+  // factor; a sequence run backwards is as long as the one it reverses
+  const reversed = [...stops].reverse();
+  const geometry = [route.geometry, route.inboundGeometry].find((candidate) =>
+    isGeometryCurrent(candidate, stops) || isGeometryCurrent(candidate, reversed)
+  );
+  const scale = geometry?.distanceKm > 0 && straightKm > 0
+    ? geometry.distanceKm / straightKm
+    : ROAD_DETOUR_FACTOR;
+
+  const offsets = [0];
+  segmentKm.forEach((km, index) => {
+    const drive = (km * scale / ASSUMED_SPEED_KMH) * 3600;
+    const dwell = index === 0 ? 0 : Number(stops[index].dwellSeconds) || DWELL_SECONDS;
+    offsets.push(offsets[index] + dwell + drive);
+  });
+  return offsets;
+};
+
+// Departure times (minutes after midnight) from startTime to endTime every
+// `frequency` minutes. An endTime earlier than startTime means an overnight service.
+export const getScheduledDepartures = (route) => {
+  const start = parseClockMinutes(route.startTime);
+  let end = parseClockMinutes(route.endTime);
+  const frequency = Number(route.frequency) || 0;
+  if (start === null || end === null || frequency <= 0) return [];
+  if (end < start) end += 24 * 60;
+
+  const departures = [];
+  for (let minutes = start; minutes <= end; minutes += frequency) {
+    departures.push(minutes);
+  }
+  return departures;
+};
+
+const tableToRows = (text) => parseCsv(text).slice(1);
+
+// Builds the feed as `{ files: { 'agency.txt': '...', ... }, summary }`.
+export const buildGtfsFeed = ({ routes, stops, agency = {}, now = new Date() }) => {
+  const agencyId = agency.id || 'AGENCY';
+  const validStops = stops.filter((stop) => stop.stopCode && hasValidCoordinates(stop.location));
+  const stopsById = new Map(validStops.map((stop) => [stop._id, stop]));
+
+  const routeRows = [];
+  const tripRows = [];
+  const stopTimeRows = [];
+  const skippedRoutes = [];
+
+  routes.forEach((route) => {
+    const stopsFor = (direction) => getDirectionStops(route, direction)
+      .map((stop) => stopsById.get(typeof stop === 'string' ? stop : stop?._id))
+      .filter(Boolean);
+    const departures = getScheduledDepartures(route);
+
+    if (!route.routeNumber || stopsFor('outbound').length < 2 || departures.length === 0) {
+      skippedRoutes.push(route.routeName || route.routeNumber || route._id);
+      return;
+    }
+
+    routeRows.push([route.routeNumber, agencyId, route.routeNumber, route.routeName || '', ROUTE_TYPE_BUS]);
+
+    ROUTE_DIRECTIONS.forEach((direction) => {
+      const routeStops = stopsFor(direction);
+      if (routeStops.length < 2) return;
+
+      const offsets = getStopOffsets(route, routeStops);
+      departures.forEach((departure) => {
+        const tripId = buildTripId(route, departure % (24 * 60), direction);
+        tripRows.push([route.routeNumber, SERVICE_ID, tripId, routeStops[routeStops.length - 1].stopName, getDirectionId(direction)]);
+
+        routeStops.forEach((stop, index) => {
+          const arrival = departure * 60 + offsets[index];
+          const isTerminal = index === 0 || index === routeStops.length - 1;
+          const dwell = isTerminal ? 0 : Number(stop.dwellSeconds) || DWELL_SECONDS;
+          stopTimeRows.push([tripId, formatGtfsTime(arrival), formatGtfsTime(arrival + dwell), stop.stopCode, index + 1]);
+        });
+      });
+    });
+  });
+
+  const endDate = new Date(now);
+  endDate.setFullYear(endDate.getFullYear() + 1);
+
+  const files = {
+    'agency.txt': toCsv(
+      ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'],
+      [[agencyId, agency.name || 'Bus Tracker', agency.url || window.location.origin, agency.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone]]
+    ),
+    'stops.txt': exportStops(validStops, 'gtfs').content,
+    'routes.txt': toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], routeRows),
+    'trips.txt': toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id'], tripRows),
+    'stop_times.txt': toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], stopTimeRows),
+    'calendar.txt': toCsv(
+      ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+      [[SERVICE_ID, 1, 1, 1, 1, 1, 1, 1, formatGtfsDate(now), formatGtfsDate(endDate)]]
+    )
+  };
+
+  return {
+    files,
+    summary: {
+      stops: validStops.length,
+      routes: routeRows.length,
+      trips: tripRows.length,
+      skippedRoutes
+    }
+  };
+};
+
+const toSeconds = (time) => {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+// Reference checks a feed consumer would reject us for. Returns
+// `{ errors, warnings }`; a feed with errors should not be published.
+export const validateGtfsFeed = ({ files, summary }) => {
+  const errors = [];
+  const warnings = [];
+
+  REQUIRED_FILES.forEach((name) => {
+    if (!files[name] || tableToRows(files[name]).length === 0) errors.push(`${name} has no rows`);
+  });
+  if (errors.length > 0) return { errors, warnings };
+
+  const stopIds = new Set();
+  tableToRows(files['stops.txt']).forEach(([stopId]) => {
+    if (stopIds.has(stopId)) errors.push(`Duplicate stop_id ${stopId} in stops.txt`);
+    stopIds.add(stopId);
+  });
+
+  const routeIds = new Set(tableToRows(files['routes.txt']).map(([routeId]) => routeId));
+  if (routeIds.size !== tableToRows(files['routes.txt']).length) errors.push('Duplicate route_id in routes.txt');
+
+  const tripIds = new Set();
+  tableToRows(files['trips.txt']).forEach(([routeId, , tripId]) => {
+    if (!routeIds.has(routeId)) errors.push(`Trip ${tripId} references unknown route ${routeId}`);
+    if (tripIds.has(tripId)) errors.push(`Duplicate trip_id ${tripId} in trips.txt`);
+    tripIds.add(tripId);
+  });
+
+  let previous = null;
+  tableToRows(files['stop_times.txt']).forEach(([tripId, arrival, departure, stopId]) => {
+    if (!tripIds.has(tripId)) errors.push(`stop_times.txt references unknown trip ${tripId}`);
+    if (!stopIds.has(stopId)) errors.push(`Trip ${tripId} references unknown stop ${stopId}`);
+    if (toSeconds(departure) < toSeconds(arrival)) errors.push(`Trip ${tripId} departs stop ${stopId} before arriving`);
+    if (previous?.tripId === tripId && toSeconds(arrival) < previous.departure) {
+      errors.push(`Trip ${tripId} goes back in time at stop ${stopId}`);
+    }
+    previous = { tripId, departure: toSeconds(departure) };
+  });
+
+  summary.skippedRoutes.forEach((name) => {
+    warnings.push(`Route ${name} was left out (needs a route number, 2+ stops and a valid timetable)`);
+  });
+
+  // Keep the report readable when one systematic problem hits every row
+  return { errors: [...new Set(errors)].slice(0, 20), warnings };
+};
+
+// Zips the feed files into a Blob ready for download
+export const zipGtfsFeed = async ({ files }) => {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
@@ -0,0 +1,147 @@
+import { buildGtfsFeed, buildTripId, getStopOffsets, validateGtfsFeed } from './gtfs';
+import { parseCsv } from './stopFormats';
+
+const stop = (id, latitude, longitude) => ({
+  _id: id,
+  stopCode: id.toUpperCase(),
+  stopName: `Stop ${id.toUpperCase()}`,
+  location: { latitude, longitude }
+});
+
+// 0.01° of latitude apart, on a road heading north
+const stops = [
+  stop('s1', 12.9000, 77.6000),
+  stop('s2', 12.9100, 77.6000),
+  stop('s3', 12.9200, 77.6000)
+];
+
+// Runs its stops back in reverse for inbound
+const outboundOnly = {
+  _id: 'r21',
+  routeNumber: '21',
+  routeName: 'Market – Station',
+  stops: ['s1', 's2', 's3'],
+  startTime: '07:30',
+  endTime: '08:00',
+  frequency: 30
+};
+
+// Inbound takes its own way back, and the last run is after midnight
+const withInbound = {
+  _id: 'r5',
+  routeNumber: '5',
+  routeName: 'Night Loop',
+  stops: ['s1', 's2'],
+  inboundStops: ['s3', 's2'],
+  startTime: '23:30',
+  endTime: '00:15',
+  frequency: 45
+};
+
+const agency = { name: 'Test Transit', url: 'https://transit.example', timezone: 'Asia/Kolkata' };
+const now = new Date(2024, 0, 15);
+
+const buildFeed = (routes = [outboundOnly, withInbound]) => buildGtfsFeed({ routes, stops, agency, now });
+const rows = (text) => parseCsv(text).slice(1);
+
+describe('buildTripId', () => {
+  it('is the route number and first departure, marked -IN for inbound', () => {
+    expect(buildTripId(outboundOnly, 7 * 60 + 5)).toBe('21-0705');
+    expect(buildTripId(outboundOnly, 7 * 60 + 5, 'outbound')).toBe('21-0705');
+    expect(buildTripId(outboundOnly, 23 * 60 + 30, 'inbound')).toBe('21-IN-2330');
+  });
+});
+
+describe('buildGtfsFeed', () => {
+  it('runs every route both ways with direction_id 0 and 1', () => {
+    const { files, summary } = buildFeed();
+
+    expect(rows(files['trips.txt'])).toEqual([
+      ['21', 'DAILY', '21-0730', 'Stop S3', '0'],
+      ['21', 'DAILY', '21-0800', 'Stop S3', '0'],
+      ['21', 'DAILY', '21-IN-0730', 'Stop S1', '1'],
+      ['21', 'DAILY', '21-IN-0800', 'Stop S1', '1'],
+      ['5', 'DAILY', '5-2330', 'Stop S2', '0'],
+      ['5', 'DAILY', '5-0015', 'Stop S2', '0'],
+      ['5', 'DAILY', '5-IN-2330', 'Stop S2', '1'],
+      ['5', 'DAILY', '5-IN-0015', 'Stop S2', '1']
+    ]);
+    expect(summary).toEqual({ stops: 3, routes: 2, trips: 8, skippedRoutes: [] });
+  });
+
+  it('times each stop from the departure plus its drive and dwell offsets', () => {
+    const stopTimes = rows(buildFeed().files['stop_times.txt']);
+
+    // 1.11 km per segment at 25 km/h with the 1.25 detour factor is 200 s,
+    // plus 30 s dwell at the middle stop
+    expect(stopTimes.filter(([tripId]) => tripId === '21-0730')).toEqual([
+      ['21-0730', '07:30:00', '07:30:00', 'S1', '1'],
+      ['21-0730', '07:33:20', '07:33:50', 'S2', '2'],
+      ['21-0730', '07:37:10', '07:37:10', 'S3', '3']
+    ]);
+    expect(stopTimes.filter(([tripId]) => tripId === '21-IN-0800').map(([, , , stopId]) => stopId)).toEqual(['S3', 'S2', 'S1']);
+    expect(stopTimes.filter(([tripId]) => tripId === '5-IN-2330').map(([, , , stopId]) => stopId)).toEqual(['S3', 'S2']);
+
+    // Past midnight the service day carries on past 24:00:00
+    expect(stopTimes.filter(([tripId]) => tripId === '5-0015')).toEqual([
+      ['5-0015', '24:15:00', '24:15:00', 'S1', '1'],
+      ['5-0015', '24:18:20', '24:18:20', 'S2', '2']
+    ]);
+  });
+
+  it('measures offsets from the first stop of the given sequence', () => {
+    const offsets = getStopOffsets(outboundOnly, stops);
+
+    expect(offsets[0]).toBe(0);
+    expect(offsets[1]).toBeCloseTo(200.15, 1);
+    expect(offsets[2]).toBeCloseTo(430.3, 1);
+  });
+
+  it('leaves out routes it cannot schedule', () => {
+    const feed = buildFeed([outboundOnly, { ...withInbound, frequency: 0 }]);
+
+    expect(feed.summary.routes).toBe(1);
+    expect(feed.summary.skippedRoutes).toEqual(['Night Loop']);
+    expect(validateGtfsFeed(feed).warnings).toEqual([
+      'Route Night Loop was left out (needs a route number, 2+ stops and a valid timetable)'
+    ]);
+  });
+});
+
+describe('validateGtfsFeed', () => {
+  const withFile = (feed, name, content) => ({ ...feed, files: { ...feed.files, [name]: content } });
+
+  it('accepts the feed it builds', () => {
+    expect(validateGtfsFeed(buildFeed())).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('rejects a feed with an empty required file', () => {
+    const feed = buildFeed();
+
+    expect(validateGtfsFeed(withFile(feed, 'calendar.txt', 'service_id\n')).errors).toEqual(['calendar.txt has no rows']);
+  });
+
+  it('reports unknown references and duplicate ids', () => {
+    const feed = buildFeed();
+    const trips = `${feed.files['trips.txt']}\n99,DAILY,21-0730,Stop S3,0`;
+    const stopTimes = `${feed.files['stop_times.txt']}\n21-0730,07:40:00,07:40:00,S9,4`;
+
+    expect(validateGtfsFeed(withFile(withFile(feed, 'trips.txt', trips), 'stop_times.txt', stopTimes)).errors).toEqual([
+      'Trip 21-0730 references unknown route 99',
+      'Duplicate trip_id 21-0730 in trips.txt',
+      'Trip 21-0730 references unknown stop S9'
+    ]);
+  });
+
+  it('reports stop times that run backwards', () => {
+    const feed = buildFeed();
+    const stopTimes = feed.files['stop_times.txt']
+      .replace('21-0730,07:33:20,07:33:50,S2', '21-0730,07:33:20,07:33:00,S2')
+      .replace('21-0730,07:37:10,07:37:10,S3', '21-0730,07:31:00,07:31:00,S3');
+
+    expect(validateGtfsFeed(withFile(feed, 'stop_times.txt', stopTimes)).errors).toEqual([
+      'Trip 21-0730 departs stop S2 before arriving',
+      'Trip 21-0730 goes back in time at stop S3'
+    ]);
+  });
+});
@@ -0,0 +1,234 @@
+import { calculateDistance, hasValidCoordinates } from './geo';
+import { estimateArrival, estimateRideTime } from './eta';
+import { ROUTE_DIRECTIONS, getDirectionStops } from './routeDirections';
+
+// Origin → destination itineraries over the routes' ordered stop lists.
+//
+// Each route can be ridden in either direction, so it is expanded into two
+// "patterns" (its outbound and inbound stop sequences). An itinerary is either one
+// bus leg on a pattern that visits the origin before the destination, or two
+// bus legs joined at a transfer stop, with a walking leg when the second bus
+// leaves from a different stop nearby.
+//
+// Waits come from live buses where possible (estimateArrival against the
+// boarding stop), then the route's timetable, then half the route frequency.
+
+const WALK_SPEED_KMH = 4.8;
+// Walking paths are never straight either
+const WALK_DETOUR_FACTOR = 1.3;
+// Transfer choice is by distance; a km on foot costs about as much time as
+// this many km on a bus
+const WALK_COST_FACTOR = 5;
+// The admin route form's default frequency
+const DEFAULT_FREQUENCY_MINUTES = 30;
+
+export const DEFAULT_MAX_WALK_KM = 0.4;
+
+const getRouteId = (route) => (route && typeof route === 'object' ? route._id : route);
+
+const stopDistance = (a, b) =>
+  calculateDistance(a.location.latitude, a.location.longitude, b.location.latitude, b.location.longitude);
+
+const buildPatterns = (routes) =>
+  routes.flatMap((route) =>
+    ROUTE_DIRECTIONS.flatMap((direction) => {
+      const ordered = getDirectionStops(route, direction)
+        .filter((stop) => stop?._id && hasValidCoordinates(stop.location));
+      if (ordered.length < 2) return [];
+
+      const cumulativeKm = [0];
+      for (let i = 1; i < ordered.length; i++) {
+        cumulativeKm.push(cumulativeKm[i - 1] + stopDistance(ordered[i - 1], ordered[i]));
+      }
+      return [{ route, direction, stops: ordered, cumulativeKm }];
+    })
+  );
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// Minutes after `afterMinutes` (from now) until a bus on `pattern` reaches
+// stops[boardIndex]
+const estimateWait = (pattern, boardIndex, { buses, speedHistories, now }, afterMinutes) => {
+  const boardStop = pattern.stops[boardIndex];
+
+  const live = buses
+    // Buses on a trip in the other direction won't come this way
+    .filter((bus) =>
+      getRouteId(bus.route) === pattern.route._id &&
+      (!bus.direction || bus.direction === pattern.direction) &&
+      hasValidCoordinates(bus.currentLocation)
+    )
+    .map((bus) => ({
+      bus,
+      estimate: estimateArrival({
+        busLocation: bus.currentLocation,
+        orderedStops: pattern.stops,
+        targetStop: boardStop,
+        speedHistory: speedHistories[bus._id],
+        currentSpeed: bus.speed,
+        route: pattern.route,
+        now
+      })
+    }))
+    .filter(({ estimate }) => estimate?.source === 'live' && estimate.likely >= afterMinutes)
+    .sort((a, b) => a.estimate.likely - b.estimate.likely)[0];
+
+  if (live) {
+    return {
+      minutes: live.estimate.likely - afterMinutes,
+      source: 'live',
+      busId: live.bus._id,
+      busName: live.bus.busName
+    };
+  }
+
+  const scheduled = estimateArrival({
+    busLocation: null,
+    orderedStops: pattern.stops,
+    targetStop: boardStop,
+    route: pattern.route,
+    now: addMinutes(now, afterMinutes)
+  });
+  if (scheduled) return { minutes: scheduled.likely, source: 'schedule' };
+
+  return {
+    minutes: (Number(pattern.route.frequency) || DEFAULT_FREQUENCY_MINUTES) / 2,
+    source: 'frequency'
+  };
+};
+
+const buildBusLeg = (pattern, fromIndex, toIndex, wait) => {
+  const stops = pattern.stops.slice(fromIndex, toIndex + 1);
+  const ride = estimateRideTime(stops);
+  return {
+    type: 'bus',
+    route: pattern.route,
+    direction: pattern.direction,
+    towards: pattern.stops[pattern.stops.length - 1],
+    from: stops[0],
+    to: stops[stops.length - 1],
+    stops,
+    wait,
+    rideMinutes: ride.likely,
+    distanceKm: ride.distanceKm,
+    minutes: wait.minutes + ride.likely
+  };
+};
+
+// Walking distance and minutes between two { latitude, longitude } points
+export const estimateWalk = (from, to) => {
+  const distanceKm = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * WALK_DETOUR_FACTOR;
+  return { distanceKm, minutes: (distanceKm / WALK_SPEED_KMH) * 60 };
+};
+
+const buildWalkLeg = (from, to) => ({ type: 'walk', from, to, ...estimateWalk(from.location, to.location) });
+
+const buildItinerary = (legs) => ({
+  legs,
+  transfers: legs.filter((leg) => leg.type === 'bus').length - 1,
+  totalMinutes: legs.reduce((total, leg) => total + leg.minutes, 0)
+});
+
+// Cheapest transfer between a pattern leaving the origin and one reaching the
+// destination, or null if they never come within walking distance
+const findBestTransfer = (first, originIndex, second, destinationIndex, maxWalkKm) => {
+  let best = null;
+
+  for (let k = originIndex + 1; k < first.stops.length; k++) {
+    for (let m = 0; m < destinationIndex; m++) {
+      const alight = first.stops[k];
+      const board = second.stops[m];
+      const walkKm = alight._id === board._id ? 0 : stopDistance(alight, board);
+      if (walkKm > maxWalkKm) continue;
+
+      const cost = (first.cumulativeKm[k] - first.cumulativeKm[originIndex])
+        + walkKm * WALK_COST_FACTOR
+        + (second.cumulativeKm[destinationIndex] - second.cumulativeKm[m]);
+      if (!best || cost < best.cost) best = { alightIndex: k, boardIndex: m, cost };
+    }
+  }
+
+  return best;
+};
+
+// Resolves itineraries sorted by total likely minutes:
+//   { legs: [{ type: 'bus', route, direction, towards, from, to, stops, wait,
+//              rideMinutes, distanceKm, minutes }
+//            | { type: 'walk', from, to, distanceKm, minutes }],
+//     transfers, totalMinutes }
+// `wait` is `{ minutes, source: 'live' | 'schedule' | 'frequency', busId?, busName? }`.
+export const planJourneys = ({
+  routes,
+  originStopId,
+  destinationStopId,
+  buses = [],
+  speedHistories = {},
+  maxWalkKm = DEFAULT_MAX_WALK_KM,
+  maxResults = 5,
+  now = new Date()
+}) => {
+  if (!originStopId || !destinationStopId || originStopId === destinationStopId) return [];
+
+  const context = { buses, speedHistories, now };
+  const patterns = buildPatterns(routes || []);
+  const indexOf = (pattern, stopId) => pattern.stops.findIndex((stop) => stop._id === stopId);
+
+  const fromOrigin = patterns
+    .map((pattern) => ({ pattern, index: indexOf(pattern, originStopId) }))
+    .filter(({ pattern, index }) => index !== -1 && index < pattern.stops.length - 1);
+  const toDestination = patterns
+    .map((pattern) => ({ pattern, index: indexOf(pattern, destinationStopId) }))
+    .filter(({ index }) => index > 0);
+
+  const itineraries = [];
+
+  fromOrigin.forEach(({ pattern, index }) => {
+    const destinationIndex = indexOf(pattern, destinationStopId);
+    if (destinationIndex > index) {
+      itineraries.push(buildItinerary([
+        buildBusLeg(pattern, index, destinationIndex, estimateWait(pattern, index, context, 0))
+      ]));
+    }
+  });
+
+  // Routes that already go direct are never worth changing off
+  const directRouteIds = new Set(itineraries.map((itinerary) => itinerary.legs[0].route._id));
+
+  fromOrigin.forEach(({ pattern: first, index: originIndex }) => {
+    if (directRouteIds.has(first.route._id)) return;
+
+    toDestination.forEach(({ pattern: second, index: destinationIndex }) => {
+      if (second.route._id === first.route._id || directRouteIds.has(second.route._id)) return;
+
+      const transfer = findBestTransfer(first, originIndex, second, destinationIndex, maxWalkKm);
+      if (!transfer) return;
+
+      const firstLeg = buildBusLeg(first, originIndex, transfer.alightIndex, estimateWait(first, originIndex, context, 0));
+      const alight = first.stops[transfer.alightIndex];
+      const board = second.stops[transfer.boardIndex];
+      const walkLeg = alight._id === board._id ? null : buildWalkLeg(alight, board);
+      const arrivalMinutes = firstLeg.minutes + (walkLeg?.minutes || 0);
+      const secondLeg = buildBusLeg(
+        second,
+        transfer.boardIndex,
+        destinationIndex,
+        estimateWait(second, transfer.boardIndex, context, arrivalMinutes)
+      );
+
+      itineraries.push(buildItinerary([firstLeg, walkLeg, secondLeg].filter(Boolean)));
+    });
+  });
+
+  return itineraries
+    .sort((a, b) => a.totalMinutes - b.totalMinutes || a.transfers - b.transfers)
+    .slice(0, maxResults);
+};
+
+// Stops where the itinerary's buses are boarded, for fetching their live buses
+export const getBoardingStops = (itineraries) => {
+  const stops = new Map();
+  itineraries.forEach((itinerary) => itinerary.legs.forEach((leg) => {
+    if (leg.type === 'bus') stops.set(leg.from._id, leg.from);
+  }));
+  return [...stops.values()];
+};
@@ -0,0 +1,201 @@
+import { calculateDistance, hasValidCoordinates, projectOntoPolyline } from './geo';
+
+// Linear referencing along a route: every position is reduced to its
+// chainage, the km driven along the route line from the first stop. Stops get
+// a chainage too, so "how far to my stop" and "has the bus passed it" are
+// measured along the road rather than as the crow flies, which matters where
+// a road curves back near a stop.
+//
+// Circular routes (first and last stop in the same place) wrap: after the last
+// stop the chainage starts again from 0, and distances are taken to the next
+// time the bus reaches a stop rather than going negative.
+
+// A bus within this distance before a stop has arrived at it...
+export const STOP_ARRIVAL_KM = 0.05;
+// ...and has departed once it is this far beyond it
+export const STOP_DEPARTURE_KM = 0.1;
+// First and last stop closer than this make the route circular
+const CIRCULAR_STOP_KM = 0.05;
+// Projections this close to the best one are equally plausible, e.g. both
+// sides of a loop or an out-and-back street; the caller's hint picks one
+const AMBIGUOUS_PROJECTION_KM = 0.05;
+
+const toLatLng = (location) => [Number(location.latitude), Number(location.longitude)];
+
+const measureLine = (line) => {
+  const cumulativeKm = [0];
+  for (let i = 1; i < line.length; i++) {
+    const [aLat, aLng] = line[i - 1];
+    const [bLat, bLng] = line[i];
+    cumulativeKm.push(cumulativeKm[i - 1] + calculateDistance(aLat, aLng, bLat, bLng));
+  }
+  return cumulativeKm;
+};
+
+// Signed km from `fromKm` to `toKm` along the route. On a circular route the
+// shorter way round wins, so crossing the start is a small step, not a lap.
+export const getProgressDelta = (reference, fromKm, toKm) => {
+  const deltaKm = toKm - fromKm;
+  if (!reference.circular || reference.lengthKm === 0) return deltaKm;
+  const lap = reference.lengthKm;
+  const wrapped = ((deltaKm % lap) + lap) % lap;
+  return wrapped > lap / 2 ? wrapped - lap : wrapped;
+};
+
+// Chainage of `point`. Where the line passes near the point more than once,
+// `nearKm` picks the pass closest to a known previous chainage and `minKm`
+// the first pass at or after it; otherwise the nearest pass wins.
+export const locateOnRoute = (reference, point, { nearKm, minKm } = {}) => {
+  if (!reference || !hasValidCoordinates(point)) return null;
+
+  const candidates = [];
+  for (let i = 0; i < reference.line.length - 1; i++) {
+    const projected = projectOntoPolyline(point, [reference.line[i], reference.line[i + 1]]);
+    const [startLat, startLng] = reference.line[i];
+    candidates.push({
+      latitude: projected.latitude,
+      longitude: projected.longitude,
+      segmentIndex: i,
+      offRouteKm: projected.distanceKm,
+      chainageKm: reference.cumulativeKm[i] +
+        calculateDistance(startLat, startLng, projected.latitude, projected.longitude)
+    });
+  }
+  if (candidates.length === 0) return null;
+
+  const bestOffKm = Math.min(...candidates.map((candidate) => candidate.offRouteKm));
+  const plausible = candidates.filter((candidate) => candidate.offRouteKm <= bestOffKm + AMBIGUOUS_PROJECTION_KM);
+
+  if (Number.isFinite(nearKm)) {
+    const distanceFromHint = (candidate) => Math.abs(getProgressDelta(reference, nearKm, candidate.chainageKm));
+    return plausible.reduce((best, candidate) =>
+      distanceFromHint(candidate) < distanceFromHint(best) ? candidate : best
+    );
+  }
+  if (Number.isFinite(minKm)) {
+    const after = plausible.filter((candidate) => candidate.chainageKm >= minKm);
+    if (after.length > 0) {
+      return after.reduce((best, candidate) => (candidate.chainageKm < best.chainageKm ? candidate : best));
+    }
+  }
+  return candidates.find((candidate) => candidate.offRouteKm === bestOffKm);
+};
+
+// Chainage of each stop in route order (undefined for stops without a
+// location), each placed at the first pass after the stop before it
+const placeStops = (reference, stops) => {
+  let minKm = 0;
+  return stops.map((stop) => {
+    const located = locateOnRoute(reference, stop?.location, { minKm });
+    if (!located) return undefined;
+    minKm = located.chainageKm;
+    return located.chainageKm;
+  });
+};
+
+// The route line runs against the stop order when most consecutive stops
+// project to decreasing chainages
+const runsBackwards = (line, stops) => {
+  const reference = { line, cumulativeKm: measureLine(line) };
+  const chainages = stops
+    .map((stop) => locateOnRoute(reference, stop.location)?.chainageKm)
+    .filter((km) => km !== undefined);
+  let balance = 0;
+  for (let i = 1; i < chainages.length; i++) {
+    balance += Math.sign(chainages[i] - chainages[i - 1]);
+  }
+  return balance < 0;
+};
+
+// Reference for a route from its road geometry, or straight lines between
+// the stops when there is none. `stops` is the route's stop list in order;
+// the line is flipped if it was drawn the other way round.
+export const buildRouteReference = (polyline, stops = []) => {
+  const validStops = stops.filter((stop) => hasValidCoordinates(stop?.location));
+  let line = polyline?.length >= 2 ? polyline : validStops.map((stop) => toLatLng(stop.location));
+  if (line.length < 2) return null;
+
+  const firstStop = validStops[0];
+  const lastStop = validStops[validStops.length - 1];
+  const circular = validStops.length > 2 && (
+    firstStop._id === lastStop._id ||
+    calculateDistance(...toLatLng(firstStop.location), ...toLatLng(lastStop.location)) <= CIRCULAR_STOP_KM
+  );
+
+  // The shared first/last stop of a loop projects to either end, so leave it
+  // out when checking which way the line runs
+  if (runsBackwards(line, circular ? validStops.slice(0, -1) : validStops)) line = [...line].reverse();
+
+  const cumulativeKm = measureLine(line);
+  const reference = { line, cumulativeKm, lengthKm: cumulativeKm[cumulativeKm.length - 1], circular };
+  reference.stopKm = placeStops(reference, stops);
+  if (circular) {
+    reference.stopKm[stops.indexOf(firstStop)] = 0;
+    reference.stopKm[stops.lastIndexOf(lastStop)] = reference.lengthKm;
+  }
+  return reference;
+};
+
+// Bus and stop chainages measured in the direction of travel, so the larger
+// value is always further on. `stopKm` follows the stops in travel order
+// (the route's order reversed for 'reverse').
+export const getRouteProgress = (reference, chainageKm, direction) => {
+  const directed = (km) => (km === undefined || direction !== 'reverse' ? km : reference.lengthKm - km);
+  const stopKm = reference.stopKm.map(directed);
+  return {
+    direction,
+    circular: reference.circular,
+    lengthKm: reference.lengthKm,
+    busKm: directed(chainageKm),
+    stopKm: direction === 'reverse' ? stopKm.reverse() : stopKm
+  };
+};
+
+// Km still to drive to the stop at `index`. Negative once the bus is beyond
+// it; on a circular route only until it has departed, after which the stop
+// is a lap away.
+export const getDistanceToStop = (progress, index) => {
+  const stopKm = progress.stopKm[index];
+  if (stopKm === undefined) return null;
+
+  const distanceKm = stopKm - progress.busKm;
+  if (!progress.circular || progress.lengthKm === 0) return distanceKm;
+  const lap = progress.lengthKm;
+  return ((distanceKm + STOP_DEPARTURE_KM) % lap + lap) % lap - STOP_DEPARTURE_KM;
+};
+
+// Whether moving `deltaKm` on from `fromKm` crosses `pointKm`
+const crosses = (progress, fromKm, deltaKm, pointKm) => {
+  if (deltaKm <= 0) return false;
+  let offsetKm = pointKm - fromKm;
+  if (progress.circular && progress.lengthKm > 0) {
+    offsetKm = ((offsetKm % progress.lengthKm) + progress.lengthKm) % progress.lengthKm;
+  }
+  return offsetKm > 0 && offsetKm <= deltaKm;
+};
+
+// Arrival and departure events for every stop whose arrival or departure
+// chainage the bus crossed between two progress readings in the same
+// direction, in the order they happened: [{ type, index }]
+export const getStopEvents = (previous, current) => {
+  if (!previous || !current || previous.direction !== current.direction) return [];
+
+  const deltaKm = getProgressDelta(current, previous.busKm, current.busKm);
+  const events = [];
+  current.stopKm.forEach((stopKm, index) => {
+    if (stopKm === undefined) return;
+    const arrivalKm = stopKm - STOP_ARRIVAL_KM;
+    const departureKm = stopKm + STOP_DEPARTURE_KM;
+    if (crosses(current, previous.busKm, deltaKm, arrivalKm)) {
+      events.push({ type: 'arrival', index, atKm: arrivalKm });
+    }
+    if (crosses(current, previous.busKm, deltaKm, departureKm)) {
+      events.push({ type: 'departure', index, atKm: departureKm });
+    }
+  });
+
+  const travelled = (event) => getProgressDelta(current, previous.busKm, event.atKm);
+  return events
+    .sort((a, b) => travelled(a) - travelled(b))
+    .map(({ type, index }) => ({ type, index }));
+};
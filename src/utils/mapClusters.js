@@ -0,0 +1,20 @@
+// Screen-space clustering for map markers. Each item joins the first cluster
+// whose centre is within `radiusPx` of it at the current zoom, otherwise it
+// starts one. `project` turns an item into pixels `{ x, y }` (e.g. Leaflet's
+// map.project), so clusters split apart naturally as the map zooms in.
+export const clusterByDistance = (items, project, radiusPx = 60) => {
+  const clusters = [];
+  items.forEach((item) => {
+    const { x, y } = project(item);
+    const cluster = clusters.find((candidate) => Math.hypot(candidate.x - x, candidate.y - y) <= radiusPx);
+    if (!cluster) {
+      clusters.push({ x, y, items: [item] });
+      return;
+    }
+    cluster.items.push(item);
+    // Keep the centre at the mean of its members
+    cluster.x += (x - cluster.x) / cluster.items.length;
+    cluster.y += (y - cluster.y) / cluster.items.length;
+  });
+  return clusters;
+};
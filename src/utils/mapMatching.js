@@ -0,0 +1,55 @@
+import { getProgressDelta, locateOnRoute } from './linearReferencing';
+
+// Map-matching of live GPS fixes to a route reference (see linearReferencing).
+// Each fix is projected onto the route line and reduced to its chainage.
+// Sideways jitter disappears in the projection, and fixes that jump further
+// along the line than a bus could drive are rejected, so direction, next stop
+// and arrival status see a steady progress value instead of raw coordinates.
+
+// Faster than any bus drives in town; a fix implying more is a GPS outlier
+const MAX_PLAUSIBLE_SPEED_KMH = 100;
+// Further than this from the line the bus is on a diversion (or the fix is bad)
+const MAX_OFF_ROUTE_KM = 0.15;
+// Movement along the line smaller than this is treated as noise
+const MIN_PROGRESS_DELTA_KM = 0.03;
+const MATCH_HISTORY_SIZE = 5;
+
+// Map-matches one fix `{ latitude, longitude, timestamp }` against the last
+// accepted match. The result carries `rejected` ('off-route' or 'outlier')
+// when it should not move the bus along the route, and `deltaKm`, the
+// distance along the route since the previous match.
+export const matchFix = (reference, fix, previous, {
+  maxSpeedKmh = MAX_PLAUSIBLE_SPEED_KMH,
+  maxOffRouteKm = MAX_OFF_ROUTE_KM
+} = {}) => {
+  const located = locateOnRoute(reference, fix, { nearKm: previous?.chainageKm });
+  if (!located) return null;
+
+  const timestamp = fix.timestamp ? new Date(fix.timestamp).getTime() : Date.now();
+  const deltaKm = previous ? getProgressDelta(reference, previous.chainageKm, located.chainageKm) : 0;
+  const match = { ...located, timestamp, deltaKm };
+  if (located.offRouteKm > maxOffRouteKm) return { ...match, rejected: 'off-route' };
+
+  if (previous) {
+    const jumpKm = Math.abs(deltaKm);
+    const hours = (timestamp - previous.timestamp) / 3600000;
+    if (jumpKm > MIN_PROGRESS_DELTA_KM && (hours <= 0 || jumpKm / hours > maxSpeedKmh)) {
+      return { ...match, rejected: 'outlier' };
+    }
+  }
+
+  return match;
+};
+
+// Recent accepted matches, oldest first
+export const recordMatch = (history = [], match) =>
+  match && !match.rejected ? [...history, match].slice(-MATCH_HISTORY_SIZE) : history;
+
+// 'forward' or 'reverse' once the recent matches have moved far enough along
+// the line, otherwise null (standing still, or jitter around one spot)
+export const getTravelDirection = (history = [], minDeltaKm = MIN_PROGRESS_DELTA_KM) => {
+  const deltaKm = history.slice(1).reduce((sum, match) => sum + match.deltaKm, 0);
+  if (deltaKm > minDeltaKm) return 'forward';
+  if (deltaKm < -minDeltaKm) return 'reverse';
+  return null;
+};
@@ -0,0 +1,28 @@
+// Stable colour per route for map markers, lines and chips. A route with its
+// own `color` keeps it; the rest are hashed into the palette, so a route has
+// the same colour on every page and after every reload.
+
+export const ROUTE_PALETTE = [
+  '#2563EB',
+  '#DC2626',
+  '#16A34A',
+  '#9333EA',
+  '#EA580C',
+  '#0891B2',
+  '#DB2777',
+  '#65A30D',
+  '#4F46E5',
+  '#CA8A04'
+];
+
+// `route` may be a populated route or just its id
+export const getRouteColor = (route) => {
+  if (route?.color) return route.color;
+
+  const key = String((typeof route === 'object' ? route?._id || route?.routeNumber : route) || '');
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return ROUTE_PALETTE[Math.abs(hash) % ROUTE_PALETTE.length];
+};
@@ -0,0 +1,50 @@
+import { calculateDistance, hasValidCoordinates } from './geo';
+
+// A route runs outbound along `stops` and inbound along `inboundStops`, each
+// with its own saved road geometry (`geometry` / `inboundGeometry`). Routes
+// without an inbound sequence run the outbound stops in reverse, which is how
+// every route worked before directions were modelled.
+
+export const ROUTE_DIRECTIONS = ['outbound', 'inbound'];
+
+export const hasInboundVariant = (route) => (route?.inboundStops?.length || 0) > 1;
+
+export const getDirectionStops = (route, direction) => {
+  const outbound = route?.stops || [];
+  if (direction !== 'inbound') return outbound;
+  return hasInboundVariant(route) ? route.inboundStops : [...outbound].reverse();
+};
+
+// Saved road geometry for a direction's own stop sequence. A route without an
+// inbound sequence shares the outbound geometry, which getStoredRouteCoordinates
+// reverses for inbound.
+export const getDirectionGeometry = (route, direction) =>
+  (direction === 'inbound' && hasInboundVariant(route) ? route.inboundGeometry : route?.geometry) || null;
+
+export const getOppositeDirection = (direction) => (direction === 'inbound' ? 'outbound' : 'inbound');
+
+// Destination shown for a direction, e.g. "Outbound to Central Station"
+export const getDirectionLabel = (route, direction) => {
+  const stops = getDirectionStops(route, direction);
+  const terminus = stops[stops.length - 1]?.stopName;
+  const name = direction === 'inbound' ? 'Inbound' : 'Outbound';
+  return terminus ? `${name} to ${terminus}` : name;
+};
+
+// Direction a bus standing at `location` is about to start: the one whose
+// first stop is nearest. Null when the route or location is unusable.
+export const detectStartDirection = (route, location) => {
+  if (!hasValidCoordinates(location)) return null;
+
+  let best = null;
+  ROUTE_DIRECTIONS.forEach((direction) => {
+    const firstStop = getDirectionStops(route, direction)[0];
+    if (!hasValidCoordinates(firstStop?.location)) return;
+    const distance = calculateDistance(
+      Number(location.latitude), Number(location.longitude),
+      Number(firstStop.location.latitude), Number(firstStop.location.longitude)
+    );
+    if (!best || distance < best.distance) best = { direction, distance };
+  });
+  return best?.direction || null;
+};
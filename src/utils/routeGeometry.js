@@ -0,0 +1,63 @@
+// Helpers for the road geometry saved on a route by the admin route editor
+// (`geometry` for the outbound stops, `inboundGeometry` for the inbound ones).
+//
+// A stored geometry looks like:
+//   {
+//     stopIds: [...],           // stop order the geometry was computed for
+//     waypoints: [{ fromStopId, toStopId, latitude, longitude }],
+//     coordinates: [[lat, lng], ...],
+//     distanceKm, provider, computedAt
+//   }
+
+const getId = (stop) => (typeof stop === 'string' ? stop : stop?._id);
+
+const sameSequence = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+// Straight lines drawn while the routing server was unreachable. Older routes
+// may have been saved with them; they are never served as the road route.
+const isRoadGeometry = (geometry) => geometry?.coordinates?.length > 1 && geometry.provider !== 'straight';
+
+export const isGeometryCurrent = (geometry, stops) => {
+  const stopIds = (stops || []).map(getId);
+  return Boolean(
+    isRoadGeometry(geometry) &&
+    Array.isArray(geometry.stopIds) &&
+    sameSequence(geometry.stopIds, stopIds)
+  );
+};
+
+// Stops interleaved with any via-waypoint dragged onto the segment after them
+export const buildRoutingPoints = (stops, waypoints = []) =>
+  stops.flatMap((stop, index) => {
+    const next = stops[index + 1];
+    const waypoint = next && waypoints.find(
+      (item) => item.fromStopId === stop._id && item.toStopId === next._id
+    );
+    return waypoint ? [stop.location, waypoint] : [stop.location];
+  });
+
+// Waypoints survive a re-order only while their two stops stay adjacent
+export const keepValidWaypoints = (waypoints = [], stops) =>
+  waypoints.filter((waypoint) =>
+    stops.some((stop, index) =>
+      stop._id === waypoint.fromStopId && stops[index + 1]?._id === waypoint.toStopId
+    )
+  );
+
+// ~1 m precision is plenty for drawing and keeps the saved route small
+export const compactCoordinates = (coordinates) =>
+  coordinates.map(([lat, lng]) => [Number(lat.toFixed(5)), Number(lng.toFixed(5))]);
+
+// Returns the stored polyline for `orderedStops` — from the outbound or
+// inbound geometry, reversed when the bus is running a sequence backwards —
+// or null if the route has no usable geometry
+export const getStoredRouteCoordinates = (route, orderedStops) => {
+  const orderedIds = (orderedStops || []).map(getId);
+
+  for (const geometry of [route?.geometry, route?.inboundGeometry]) {
+    if (!isRoadGeometry(geometry) || !Array.isArray(geometry.stopIds)) continue;
+    if (sameSequence(geometry.stopIds, orderedIds)) return geometry.coordinates;
+    if (sameSequence([...geometry.stopIds].reverse(), orderedIds)) return [...geometry.coordinates].reverse();
+  }
+  return null;
+};
@@ -0,0 +1,259 @@
+import { calculateDistance, hasValidCoordinates } from './geo';
+
+// Import/export of bus stops as CSV, GeoJSON and GTFS stops.txt.
+//
+// Every parser returns plain rows shaped like the /bus-stops payload:
+//   { stopName, stopCode, latitude, longitude, address }
+
+// Two stops closer than this are probably the same physical stop
+const NEAR_DUPLICATE_KM = 0.025;
+
+export const STOP_FILE_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  gtfs: { label: 'GTFS stops.txt', extension: 'txt', mimeType: 'text/plain' }
+};
+
+// RFC 4180 style: quoted fields may contain commas, newlines and "" escapes
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Header aliases accepted for plain CSV exports from spreadsheets
+const CSV_COLUMNS = {
+  stopName: ['stopname', 'stop_name', 'name'],
+  stopCode: ['stopcode', 'stop_code', 'code', 'stop_id', 'id'],
+  latitude: ['latitude', 'lat', 'stop_lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long', 'stop_lon'],
+  address: ['address', 'stop_desc', 'description']
+};
+
+const tableToRecords = (table) => {
+  const [header = [], ...body] = table;
+  const keys = header.map((cell) => cell.trim().toLowerCase());
+  return body.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()]))
+  );
+};
+
+const pickColumn = (record, aliases) => {
+  const key = aliases.find((alias) => record[alias] !== undefined && record[alias] !== '');
+  return key ? record[key] : '';
+};
+
+const parsePlainCsv = (records) =>
+  records.map((record) => ({
+    stopName: pickColumn(record, CSV_COLUMNS.stopName),
+    stopCode: pickColumn(record, CSV_COLUMNS.stopCode),
+    latitude: pickColumn(record, CSV_COLUMNS.latitude),
+    longitude: pickColumn(record, CSV_COLUMNS.longitude),
+    address: pickColumn(record, CSV_COLUMNS.address)
+  }));
+
+// Stations, entrances and boarding areas (location_type 1-4) are not stops a
+// bus serves, so only plain stops are imported
+const parseGtfsStops = (records) =>
+  records
+    .filter((record) => !record.location_type || record.location_type === '0')
+    .map((record) => ({
+      stopName: record.stop_name || '',
+      stopCode: record.stop_code || record.stop_id || '',
+      latitude: record.stop_lat || '',
+      longitude: record.stop_lon || '',
+      address: record.stop_desc || ''
+    }));
+
+const parseGeoJson = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  if (!Array.isArray(features)) throw new Error('Expected a GeoJSON FeatureCollection');
+
+  return features.map((feature) => {
+    const properties = feature?.properties || {};
+    const isPoint = feature?.geometry?.type === 'Point';
+    const [longitude, latitude] = isPoint ? feature.geometry.coordinates : [];
+    return {
+      stopName: String(properties.stopName ?? properties.name ?? properties.stop_name ?? ''),
+      stopCode: String(properties.stopCode ?? properties.code ?? properties.stop_code ?? properties.stop_id ?? feature?.id ?? ''),
+      latitude: latitude ?? '',
+      longitude: longitude ?? '',
+      address: String(properties.address ?? properties.description ?? '')
+    };
+  });
+};
+
+// Detects the format from the file name and contents.
+// Returns `{ format, rows }`; throws if the file can't be parsed at all.
+export const parseStopsFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (/\.(geo)?json$/i.test(fileName) || trimmed.startsWith('{')) {
+    return { format: 'geojson', rows: parseGeoJson(trimmed) };
+  }
+
+  const records = tableToRecords(parseCsv(text));
+  const isGtfs = records.length > 0 && 'stop_id' in records[0] && 'stop_lat' in records[0];
+  return isGtfs
+    ? { format: 'gtfs', rows: parseGtfsStops(records) }
+    : { format: 'csv', rows: parsePlainCsv(records) };
+};
+
+const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+  !(latitude === 0 && longitude === 0);
+
+// Annotates each row with `errors` (row can't be imported) and `warnings`
+// (row can be imported but probably shouldn't be). Existing stops are checked
+// for duplicate codes and near-duplicate locations, as are earlier rows that
+// will be imported.
+export const validateStopRows = (rows, existingStops = []) => {
+  const knownCodes = new Map(
+    existingStops.map((stop) => [String(stop.stopCode).toLowerCase(), `existing stop "${stop.stopName}"`])
+  );
+  const knownLocations = existingStops
+    .filter((stop) => stop.location)
+    .map((stop) => ({ label: `existing stop "${stop.stopName}"`, ...stop.location }));
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const warnings = [];
+    const stopName = String(row.stopName || '').trim();
+    const stopCode = String(row.stopCode || '').trim();
+    const latitude = row.latitude === '' ? NaN : Number(row.latitude);
+    const longitude = row.longitude === '' ? NaN : Number(row.longitude);
+
+    if (!stopName) errors.push('Missing stop name');
+    if (!stopCode) {
+      errors.push('Missing stop code');
+    } else if (knownCodes.has(stopCode.toLowerCase())) {
+      errors.push(`Stop code already used by ${knownCodes.get(stopCode.toLowerCase())}`);
+    }
+
+    const hasCoordinates = isValidCoordinate(latitude, longitude);
+    if (!hasCoordinates) {
+      errors.push('Invalid coordinates');
+    } else {
+      const nearby = knownLocations.find((location) =>
+        calculateDistance(latitude, longitude, location.latitude, location.longitude) < NEAR_DUPLICATE_KM
+      );
+      if (nearby) warnings.push(`Within 25 m of ${nearby.label}`);
+    }
+
+    if (errors.length === 0) {
+      knownCodes.set(stopCode.toLowerCase(), `row ${index + 1}`);
+      knownLocations.push({ label: `row ${index + 1}`, latitude, longitude });
+    }
+
+    return {
+      stopName,
+      stopCode,
+      latitude,
+      longitude,
+      address: String(row.address || '').trim(),
+      errors,
+      warnings
+    };
+  });
+};
+
+// Serialises stops for download. Returns `{ content, fileName, mimeType,
+// skipped }`; stops without valid coordinates can't be written and are
+// listed in `skipped` instead.
+export const exportStops = (allStops, format) => {
+  const { extension, mimeType } = STOP_FILE_FORMATS[format] || STOP_FILE_FORMATS.csv;
+  const stops = allStops.filter((stop) => hasValidCoordinates(stop.location));
+  const skipped = allStops.filter((stop) => !hasValidCoordinates(stop.location));
+
+  if (format === 'geojson') {
+    const collection = {
+      type: 'FeatureCollection',
+      features: stops.map((stop) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [stop.location.longitude, stop.location.latitude]
+        },
+        properties: {
+          stopName: stop.stopName,
+          stopCode: stop.stopCode,
+          address: stop.address || ''
+        }
+      }))
+    };
+    return { content: JSON.stringify(collection, null, 2), fileName: `bus-stops.${extension}`, mimeType, skipped };
+  }
+
+  if (format === 'gtfs') {
+    return {
+      content: toCsv(
+        ['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon'],
+        stops.map((stop) => [
+          stop.stopCode, stop.stopCode, stop.stopName, stop.address || '',
+          stop.location.latitude, stop.location.longitude
+        ])
+      ),
+      fileName: 'stops.txt',
+      mimeType,
+      skipped
+    };
+  }
+
+  return {
+    content: toCsv(
+      ['stopCode', 'stopName', 'latitude', 'longitude', 'address'],
+      stops.map((stop) => [
+        stop.stopCode, stop.stopName, stop.location.latitude, stop.location.longitude, stop.address || ''
+      ])
+    ),
+    fileName: `bus-stops.${extension}`,
+    mimeType,
+    skipped
+  };
+};
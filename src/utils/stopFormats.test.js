@@ -0,0 +1,146 @@
+import { exportStops, parseCsv, parseStopsFile, validateStopRows } from './stopFormats';
+
+const row = (stopCode, latitude, longitude, stopName = `Stop ${stopCode}`) => ({
+  stopName,
+  stopCode,
+  latitude: String(latitude),
+  longitude: String(longitude),
+  address: ''
+});
+
+describe('parseCsv', () => {
+  it('handles a BOM, quoted commas, newlines and escaped quotes', () => {
+    const text = '\uFEFFname,address\r\n"Market, North","Gate ""B""\nOpposite bank"\r\nDepot,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['name', 'address'],
+      ['Market, North', 'Gate "B"\nOpposite bank'],
+      ['Depot', '']
+    ]);
+  });
+});
+
+describe('parseStopsFile', () => {
+  it('maps spreadsheet header aliases onto stop fields', () => {
+    const { format, rows } = parseStopsFile('Name,Code,Lat,Lng\nTown Hall,TH01,11.0168,76.9558\n', 'stops.csv');
+
+    expect(format).toBe('csv');
+    expect(rows).toEqual([
+      { stopName: 'Town Hall', stopCode: 'TH01', latitude: '11.0168', longitude: '76.9558', address: '' }
+    ]);
+  });
+
+  it('reads GTFS stops.txt and skips stations', () => {
+    const text = [
+      'stop_id,stop_code,stop_name,stop_desc,stop_lat,stop_lon,location_type',
+      '1001,TH01,Town Hall,Main road,11.0168,76.9558,0',
+      '1002,,Central Station,,11.0000,76.9600,1',
+      '1003,,Ukkadam,,10.9900,76.9600,'
+    ].join('\n');
+
+    const { format, rows } = parseStopsFile(text, 'stops.txt');
+
+    expect(format).toBe('gtfs');
+    expect(rows.map((item) => [item.stopCode, item.stopName, item.address])).toEqual([
+      ['TH01', 'Town Hall', 'Main road'],
+      ['1003', 'Ukkadam', '']
+    ]);
+  });
+
+  it('reads GeoJSON points as longitude, latitude', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        id: 'TH01',
+        geometry: { type: 'Point', coordinates: [76.9558, 11.0168] },
+        properties: { name: 'Town Hall' }
+      }]
+    });
+
+    expect(parseStopsFile(text, 'stops.geojson')).toEqual({
+      format: 'geojson',
+      rows: [{ stopName: 'Town Hall', stopCode: 'TH01', latitude: 11.0168, longitude: 76.9558, address: '' }]
+    });
+  });
+});
+
+describe('validateStopRows', () => {
+  const existingStops = [
+    { stopName: 'Town Hall', stopCode: 'TH01', location: { latitude: 11.0168, longitude: 76.9558 } }
+  ];
+
+  it('rejects rows without a name, code or usable coordinates', () => {
+    const [noName, noCode, badCoordinates, nullIsland] = validateStopRows([
+      row('A1', 11.1, 77.0, ''),
+      row('', 11.2, 77.0),
+      row('A3', 'north', 77.0),
+      row('A4', 0, 0)
+    ]);
+
+    expect(noName.errors).toEqual(['Missing stop name']);
+    expect(noCode.errors).toEqual(['Missing stop code']);
+    expect(badCoordinates.errors).toEqual(['Invalid coordinates']);
+    expect(nullIsland.errors).toEqual(['Invalid coordinates']);
+  });
+
+  it('checks codes and locations against existing stops, case-insensitively', () => {
+    const [duplicateCode, nearby] = validateStopRows([
+      row('th01', 11.5, 77.5),
+      row('TH02', 11.0169, 76.9558)
+    ], existingStops);
+
+    expect(duplicateCode.errors).toEqual(['Stop code already used by existing stop "Town Hall"']);
+    expect(nearby.errors).toEqual([]);
+    expect(nearby.warnings).toEqual(['Within 25 m of existing stop "Town Hall"']);
+  });
+
+  it('checks later rows against earlier valid rows only', () => {
+    const [, , retry, repeat] = validateStopRows([
+      row('B1', 'unknown', 77.0),
+      row('B2', 11.3, 77.3),
+      row('B1', 11.2, 77.2),
+      row('B2', 11.4, 77.4)
+    ]);
+
+    // The first B1 could not be imported, so it does not claim the code
+    expect(retry.errors).toEqual([]);
+    expect(repeat.errors).toEqual(['Stop code already used by row 2']);
+  });
+});
+
+describe('exportStops', () => {
+  const stops = [
+    { stopName: 'Town Hall', stopCode: 'TH01', address: 'Main road, east side', location: { latitude: 11.0168, longitude: 76.9558 } },
+    { stopName: 'Unplaced', stopCode: 'UP01' },
+    { stopName: 'Half placed', stopCode: 'HP01', location: { latitude: 'n/a', longitude: 76.9 } }
+  ];
+
+  it('writes GTFS stops.txt and lists stops it could not place', () => {
+    const { content, fileName, skipped } = exportStops(stops, 'gtfs');
+
+    expect(fileName).toBe('stops.txt');
+    expect(content).toBe(
+      'stop_id,stop_code,stop_name,stop_desc,stop_lat,stop_lon\r\n' +
+      'TH01,TH01,Town Hall,"Main road, east side",11.0168,76.9558\r\n'
+    );
+    expect(skipped.map((stop) => stop.stopCode)).toEqual(['UP01', 'HP01']);
+  });
+
+  it('round-trips through the CSV and GeoJSON parsers', () => {
+    ['csv', 'geojson'].forEach((format) => {
+      const { content, fileName } = exportStops(stops, format);
+      const { rows } = parseStopsFile(content, fileName);
+
+      expect(rows).toHaveLength(1);
+      expect(validateStopRows(rows)[0]).toMatchObject({
+        stopName: 'Town Hall',
+        stopCode: 'TH01',
+        latitude: 11.0168,
+        longitude: 76.9558,
+        address: 'Main road, east side',
+        errors: []
+      });
+    });
+  });
+});